@@ -54,6 +54,7 @@ async function analyzeMintLog() {
     const statusCounts = {
       completed: 0,
       pending: 0,
+      submitted: 0,
       failed: 0
     };
     
@@ -65,6 +66,7 @@ async function analyzeMintLog() {
     console.log(`Total tokens: ${Object.keys(mintLog.tokens).length}`);
     console.log(`Completed: ${statusCounts.completed}`);
     console.log(`Pending: ${statusCounts.pending}`);
+    console.log(`Submitted (awaiting receipt): ${statusCounts.submitted}`);
     console.log(`Failed: ${statusCounts.failed}`);
     
     // Check for gaps in minting
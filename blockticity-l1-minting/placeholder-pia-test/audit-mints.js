@@ -0,0 +1,340 @@
+require('dotenv').config();
+const { ethers } = require('ethers');
+const fs = require('fs-extra');
+const path = require('path');
+const pLimit = require('p-limit');
+const chalk = require('chalk');
+const { TRANSFER_TOPIC } = require('./lib/transfer-events');
+const { readMintLog } = require('./lib/mint-journal');
+const { resolveRpcEndpoints, createProvider } = require('./lib/rpc-endpoints');
+const { resolveSignerKeys } = require('./lib/signer-sets');
+const { CONTRACT_ABI } = require('./lib/mint-engine');
+
+// Compare what our signers actually minted on chain with what the mint logs claim
+const CONFIG = {
+  CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
+  BLOCK_CHUNK: 2000,  // Blocks per eth_getLogs call
+  CONCURRENCY: 5,
+  RPC_TIMEOUT: 30000,
+  // Searched when no logs are given on the command line
+  LOG_DIRS: [__dirname, path.join(__dirname, 'output')]
+};
+
+const MINT_INTERFACE = new ethers.Interface(CONTRACT_ABI);
+const ZERO_TOPIC = ethers.zeroPadValue(ethers.ZeroAddress, 32);
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Every *_log.json next to the scripts and in output/
+async function discoverLogs() {
+  const logPaths = [];
+  for (const dir of CONFIG.LOG_DIRS) {
+    if (!await fs.pathExists(dir)) continue;
+    for (const file of await fs.readdir(dir)) {
+      if (file.endsWith('_log.json')) logPaths.push(path.join(dir, file));
+    }
+  }
+  return logPaths;
+}
+
+// Logical ID as a number, so "019600" in the retry logs matches 19600 elsewhere
+function normalizeTokenId(tokenId) {
+  const parsed = parseInt(tokenId, 10);
+  return isNaN(parsed) ? String(tokenId) : parsed;
+}
+
+// Flatten every log into entries: { log, tokenId, status, txHash, blockNumber, otherTxHashes,
+// signerAddress, nonce, needsAudit }
+// otherTxHashes holds every other hash broadcast for the token: dropped, replaced or cancelled
+async function loadLogEntries(logPaths) {
+  const entries = [];
+  const signerAddresses = new Set();
+
+  for (const logPath of logPaths) {
+    const mintLog = await readMintLog(logPath);
+    const log = path.relative(__dirname, logPath);
+
+    Object.entries(mintLog.tokens || {}).forEach(([tokenId, token]) => {
+      if (token.signerAddress) signerAddresses.add(token.signerAddress.toLowerCase());
+      entries.push({
+        log,
+        tokenId: normalizeTokenId(tokenId),
+        status: token.status,
+        txHash: typeof token.txHash === 'string' ? token.txHash.toLowerCase() : null,
+        blockNumber: token.blockNumber,
+        otherTxHashes: [
+          token.originalTxHash,
+          ...(token.replacements || []).map(replacement => replacement.hash),
+          ...(token.droppedTxHashes || [])
+        ].filter(Boolean).map(hash => hash.toLowerCase()),
+        signerAddress: token.signerAddress ? token.signerAddress.toLowerCase() : null,
+        nonce: token.nonce,
+        needsAudit: token.needsAudit || null
+      });
+    });
+
+    console.log(chalk.cyan(`  📂 ${log}: ${Object.keys(mintLog.tokens || {}).length.toLocaleString()} tokens`));
+  }
+
+  return { entries, signerAddresses };
+}
+
+// Mint transactions (Transfer from 0x0) by our signers in [fromBlock, toBlock], keyed by tx hash
+async function scanChainMints(provider, fromBlock, toBlock, signerAddresses) {
+  const mintsByTx = new Map();
+
+  for (let start = fromBlock; start <= toBlock; start += CONFIG.BLOCK_CHUNK) {
+    const end = Math.min(start + CONFIG.BLOCK_CHUNK - 1, toBlock);
+    const logs = await provider.getLogs({
+      address: CONFIG.CONTRACT_ADDRESS,
+      topics: [TRANSFER_TOPIC, ZERO_TOPIC],
+      fromBlock: start,
+      toBlock: end
+    });
+
+    for (const log of logs) {
+      const txHash = log.transactionHash.toLowerCase();
+      if (!mintsByTx.has(txHash)) {
+        mintsByTx.set(txHash, { txHash, blockNumber: log.blockNumber, onChainTokenIds: [] });
+      }
+      mintsByTx.get(txHash).onChainTokenIds.push(BigInt(log.topics[3]).toString());
+    }
+
+    console.log(chalk.cyan(`  🔍 Blocks ${start}-${end}: ${logs.length} mint event(s)`));
+  }
+
+  // Keep only transactions sent by our signers, and note which function they called
+  const limit = pLimit(CONFIG.CONCURRENCY);
+  await Promise.all([...mintsByTx.values()].map(mint => limit(async () => {
+    const tx = await provider.getTransaction(mint.txHash);
+    mint.from = tx ? tx.from.toLowerCase() : null;
+    mint.nonce = tx ? tx.nonce : null;
+
+    const parsed = tx ? MINT_INTERFACE.parseTransaction({ data: tx.data }) : null;
+    mint.method = parsed ? parsed.name : 'unknown';
+  })));
+
+  for (const [txHash, mint] of mintsByTx) {
+    if (!signerAddresses.has(mint.from)) mintsByTx.delete(txHash);
+  }
+
+  return mintsByTx;
+}
+
+function buildReport(entries, chainMints) {
+  const entriesByTx = new Map();
+  const chainTxsByToken = new Map();
+
+  entries.forEach(entry => {
+    const hashes = [...new Set([entry.txHash, ...entry.otherTxHashes])].filter(hash => hash && hash.startsWith('0x'));
+    hashes.forEach(hash => {
+      if (!entriesByTx.has(hash)) entriesByTx.set(hash, []);
+      entriesByTx.get(hash).push(entry);
+
+      if (chainMints.has(hash)) {
+        if (!chainTxsByToken.has(entry.tokenId)) chainTxsByToken.set(entry.tokenId, new Set());
+        chainTxsByToken.get(entry.tokenId).add(hash);
+      }
+    });
+  });
+
+  // One logical token minted by more than one transaction
+  const duplicates = [];
+  chainTxsByToken.forEach((hashes, tokenId) => {
+    if (hashes.size > 1) {
+      duplicates.push({
+        tokenId,
+        transactions: [...hashes].map(hash => ({ ...chainMints.get(hash), logs: entriesByTx.get(hash).map(entry => entry.log) }))
+      });
+    }
+  });
+
+  // One transaction claimed by different logical tokens - only one of them was really minted
+  const sharedTransactions = [];
+  entriesByTx.forEach((claims, hash) => {
+    const tokenIds = [...new Set(claims.map(entry => entry.tokenId))];
+    if (tokenIds.length > 1) {
+      sharedTransactions.push({ txHash: hash, tokenIds, logs: [...new Set(claims.map(entry => entry.log))] });
+    }
+  });
+
+  // Minted by our signers but recorded nowhere
+  const orphans = [...chainMints.values()].filter(mint => !entriesByTx.has(mint.txHash));
+
+  const alreadyKnown = entries.filter(entry => entry.status === 'completed' && entry.txHash === 'already_known');
+
+  // Submitted tokens whose nonce a transaction not in the log took (lib/submitted-tx.js):
+  // an orphan mint from the same signer and nonce is that token's mint
+  const flagged = entries.filter(entry => entry.status === 'submitted' && entry.needsAudit).map(entry => {
+    const mint = orphans.find(orphan => orphan.from === entry.signerAddress && orphan.nonce === entry.nonce);
+    return {
+      log: entry.log,
+      tokenId: entry.tokenId,
+      signerAddress: entry.signerAddress,
+      nonce: entry.nonce,
+      mintedBy: mint ? { txHash: mint.txHash, blockNumber: mint.blockNumber, onChainTokenIds: mint.onChainTokenIds } : null
+    };
+  });
+
+  return { duplicates, sharedTransactions, orphans, alreadyKnown, flagged };
+}
+
+// Completed entries inside the scanned range whose transaction did not mint anything
+async function findMissingTransactions(provider, entries, chainMints, fromBlock, toBlock) {
+  const candidates = entries.filter(entry =>
+    entry.status === 'completed' &&
+    entry.txHash && entry.txHash.startsWith('0x') &&
+    !chainMints.has(entry.txHash) &&
+    (entry.blockNumber === undefined || (entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock))
+  );
+
+  const limit = pLimit(CONFIG.CONCURRENCY);
+  const missing = [];
+
+  await Promise.all(candidates.map(entry => limit(async () => {
+    const receipt = await provider.getTransactionReceipt(entry.txHash);
+
+    // Entries without a block number may simply be outside the range
+    if (receipt && entry.blockNumber === undefined && (receipt.blockNumber < fromBlock || receipt.blockNumber > toBlock)) {
+      return;
+    }
+
+    let reason = 'no transaction on chain';
+    if (receipt && receipt.status === 0) reason = 'transaction reverted';
+    else if (receipt) reason = 'not a mint by our signers';
+
+    missing.push({ log: entry.log, tokenId: entry.tokenId, txHash: entry.txHash, reason });
+  })));
+
+  return missing;
+}
+
+function printReport(report, missing, chainMints) {
+  const sample = (items, format) => {
+    items.slice(0, 10).forEach(item => console.log(`     ${format(item)}`));
+    if (items.length > 10) console.log(`     ... and ${items.length - 10} more`);
+  };
+
+  console.log(chalk.cyan('\n' + '='.repeat(60)));
+  console.log(chalk.cyan(`📊 Mint transactions by our signers: ${chainMints.size.toLocaleString()}`));
+
+  console.log((report.duplicates.length ? chalk.red : chalk.green)(`\n🔁 Tokens minted more than once: ${report.duplicates.length}`));
+  sample(report.duplicates, d => `${d.tokenId}: ${d.transactions.map(tx => `${tx.txHash.slice(0, 10)}... (#${tx.onChainTokenIds.join(',')})`).join(', ')}`);
+
+  console.log((report.sharedTransactions.length ? chalk.red : chalk.green)(`\n🔗 Transactions claimed by several tokens: ${report.sharedTransactions.length}`));
+  sample(report.sharedTransactions, s => `${s.txHash.slice(0, 10)}...: tokens ${s.tokenIds.join(', ')} (${s.logs.join(', ')})`);
+
+  console.log((report.orphans.length ? chalk.yellow : chalk.green)(`\n👻 Orphan mints (no log entry): ${report.orphans.length}`));
+  sample(report.orphans, o => `${o.txHash.slice(0, 10)}... block ${o.blockNumber} → #${o.onChainTokenIds.join(',')} (${o.from.slice(0, 10)}..., nonce ${o.nonce}, ${o.method})`);
+
+  console.log((missing.length ? chalk.red : chalk.green)(`\n❓ Log entries with no mint on chain: ${missing.length}`));
+  sample(missing, m => `${m.tokenId} (${m.log}): ${m.txHash.slice(0, 10)}... ${m.reason}`);
+
+  if (report.flagged.length > 0) {
+    console.log(chalk.red(`\n🔍 Submitted tokens whose nonce went to a transaction not in the log: ${report.flagged.length}`));
+    sample(report.flagged, f => `${f.tokenId} (${f.log}): nonce ${f.nonce} ${f.mintedBy ? `minted it in ${f.mintedBy.txHash.slice(0, 10)}... (#${f.mintedBy.onChainTokenIds.join(',')})` : 'did not mint anything of ours in range'}`);
+  }
+
+  if (report.alreadyKnown.length > 0) {
+    console.log(chalk.yellow(`\n⚠️  ${report.alreadyKnown.length} entries are marked completed with txHash "already_known" and cannot be matched by hash`));
+    console.log(chalk.yellow(`   Up to ${Math.min(report.alreadyKnown.length, report.orphans.length)} of the orphan mints may belong to them`));
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log(chalk.blue('Duplicate-mint audit\n'));
+    console.log('Usage:');
+    console.log('  node audit-mints.js [--from 180000] [--to latest] [--logs a_log.json,b_log.json] [--signers multi] [--out report.json]');
+    console.log('\nOptions:');
+    console.log('  --from <block>       First block to scan (default: lowest blockNumber in the logs)');
+    console.log('  --to <block>         Last block to scan (default: latest)');
+    console.log('  --logs <paths>       Comma-separated mint logs (default: every *_log.json here and in output/)');
+    console.log('  --signers <set>      Signer set whose addresses count as ours (in addition to addresses in the logs)');
+    console.log('  --addresses <list>   Extra signer addresses, comma-separated');
+    console.log('  --rpc <set>          RPC set to query (default: public)');
+    console.log('  --out <path>         Report path (default: output/mint_audit_<from>_<to>.json)');
+    return;
+  }
+
+  const logsArg = getArg(args, 'logs');
+  const logPaths = logsArg
+    ? logsArg.split(',').map(logPath => path.resolve(logPath.trim()))
+    : await discoverLogs();
+
+  console.log(chalk.cyan('🕵️  Duplicate-Mint Audit'));
+  console.log(chalk.cyan('='.repeat(60)));
+  console.log(chalk.blue(`\n📚 Loading ${logPaths.length} mint log(s)...`));
+
+  const { entries, signerAddresses } = await loadLogEntries(logPaths);
+
+  if (getArg(args, 'signers')) {
+    resolveSignerKeys(getArg(args, 'signers')).forEach(key => signerAddresses.add(new ethers.Wallet(key).address.toLowerCase()));
+  }
+  (getArg(args, 'addresses') || '').split(',').filter(Boolean).forEach(address => signerAddresses.add(address.trim().toLowerCase()));
+
+  if (signerAddresses.size === 0) {
+    throw new Error('No signer addresses known - pass --signers or --addresses');
+  }
+
+  const [endpoint] = resolveRpcEndpoints(getArg(args, 'rpc') || 'public');
+  const provider = createProvider(endpoint, {
+    staticNetwork: true,
+    timeout: CONFIG.RPC_TIMEOUT
+  });
+
+  const loggedBlocks = entries.map(entry => entry.blockNumber).filter(Number.isInteger);
+  const fromBlock = parseInt(getArg(args, 'from')) || loggedBlocks.reduce((min, block) => Math.min(min, block), Infinity);
+  const toArg = getArg(args, 'to');
+  const toBlock = toArg && toArg !== 'latest' ? parseInt(toArg) : await provider.getBlockNumber();
+
+  if (!Number.isFinite(fromBlock)) {
+    throw new Error('No block numbers in the logs - pass --from');
+  }
+
+  console.log(chalk.cyan(`📡 RPC: ${endpoint.name}`));
+  console.log(chalk.cyan(`👥 Signers: ${signerAddresses.size}`));
+  console.log(chalk.blue(`\n⛓️  Scanning blocks ${fromBlock}-${toBlock}...`));
+
+  const chainMints = await scanChainMints(provider, fromBlock, toBlock, signerAddresses);
+  const report = buildReport(entries, chainMints);
+
+  console.log(chalk.blue(`\n🔎 Checking logged transactions in range...`));
+  const missing = await findMissingTransactions(provider, entries, chainMints, fromBlock, toBlock);
+
+  printReport(report, missing, chainMints);
+
+  const outPath = path.resolve(getArg(args, 'out') || path.join(__dirname, 'output', `mint_audit_${fromBlock}_${toBlock}.json`));
+  await fs.outputJson(outPath, {
+    auditedAt: new Date().toISOString(),
+    contract: CONFIG.CONTRACT_ADDRESS,
+    fromBlock,
+    toBlock,
+    logs: logPaths.map(logPath => path.relative(__dirname, logPath)),
+    signers: [...signerAddresses],
+    chainMints: chainMints.size,
+    duplicates: report.duplicates,
+    sharedTransactions: report.sharedTransactions,
+    orphans: report.orphans,
+    missing,
+    alreadyKnown: report.alreadyKnown.map(entry => ({ log: entry.log, tokenId: entry.tokenId })),
+    needsAudit: report.flagged
+  }, { spaces: 2 });
+
+  console.log(chalk.cyan(`\n💾 Report saved to: ${outPath}`));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red(`💥 Fatal error: ${error.message}`));
+    process.exit(1);
+  });
+}
+
+module.exports = { buildReport };
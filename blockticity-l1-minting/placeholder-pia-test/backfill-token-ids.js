@@ -0,0 +1,175 @@
+require('dotenv').config();
+const { ethers } = require('ethers');
+const fs = require('fs-extra');
+const path = require('path');
+const pLimit = require('p-limit');
+const chalk = require('chalk');
+const { extractMintedTokenId } = require('./lib/transfer-events');
+const { resolveRpcEndpoints, createProvider } = require('./lib/rpc-endpoints');
+const { MintJournal, computeSummary } = require('./lib/mint-journal');
+const { writeJsonAtomic, readJsonVerified } = require('./lib/atomic-json');
+
+// Re-fetch receipts for completed tokens and record the token ID the contract actually assigned
+const CONFIG = {
+  CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
+  CONCURRENCY: 5,
+  SAVE_EVERY: 500, // Save the log every N receipts
+  RPC_TIMEOUT: 30000
+};
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function backfillLog(logPath, provider, options) {
+  console.log(chalk.blue(`\n📂 ${logPath}`));
+
+  // Logs written by mint-batch.js live in a snapshot + journal; edit those, not the export
+  const journal = new MintJournal(logPath);
+  const journaled = await journal.isJournaled();
+  let mintLog;
+
+  if (journaled) {
+    const state = await journal.load();
+    mintLog = { ...state.meta, tokens: state.tokens };
+  } else {
+    ({ data: mintLog } = await readJsonVerified(logPath));
+    if (!mintLog) {
+      throw new Error(`Mint log not found: ${logPath}`);
+    }
+  }
+
+  const candidates = Object.entries(mintLog.tokens).filter(([_, token]) =>
+    token.status === 'completed' &&
+    typeof token.txHash === 'string' && token.txHash.startsWith('0x') &&
+    (options.force || token.onChainTokenId === undefined || token.onChainTokenId === null)
+  );
+
+  const skipped = Object.values(mintLog.tokens).filter(token =>
+    token.status === 'completed' && !(typeof token.txHash === 'string' && token.txHash.startsWith('0x'))
+  ).length;
+
+  console.log(chalk.cyan(`🎯 Receipts to fetch: ${candidates.length.toLocaleString()}`));
+  if (skipped > 0) {
+    console.log(chalk.yellow(`⚠️  ${skipped} completed tokens have no usable txHash (e.g. "already_known") and cannot be backfilled`));
+  }
+
+  const limit = pLimit(CONFIG.CONCURRENCY);
+  const stats = { resolved: 0, missingReceipt: 0, noTransfer: 0, errors: 0 };
+  let processed = 0;
+
+  await Promise.all(candidates.map(([logicalId, token]) => limit(async () => {
+    try {
+      const receipt = await provider.getTransactionReceipt(token.txHash);
+
+      if (!receipt) {
+        stats.missingReceipt++;
+        console.log(chalk.red(`  ❌ ${logicalId}: no receipt for ${token.txHash.slice(0, 10)}...`));
+      } else {
+        const onChainTokenId = extractMintedTokenId(receipt, CONFIG.CONTRACT_ADDRESS);
+        token.onChainTokenId = onChainTokenId;
+        token.receiptStatus = receipt.status;
+        if (journaled && !options.dryRun) {
+          await journal.recordToken(logicalId, token);
+        }
+
+        if (onChainTokenId === null) {
+          stats.noTransfer++;
+          console.log(chalk.yellow(`  ⚠️  ${logicalId}: no Transfer event (receipt status ${receipt.status})`));
+        } else {
+          stats.resolved++;
+        }
+      }
+    } catch (error) {
+      stats.errors++;
+      console.log(chalk.red(`  ❌ ${logicalId}: ${error.message.slice(0, 80)}`));
+    }
+
+    processed++;
+    if (processed % CONFIG.SAVE_EVERY === 0) {
+      console.log(chalk.cyan(`  📈 ${processed.toLocaleString()}/${candidates.length.toLocaleString()} receipts`));
+      if (!options.dryRun && !journaled) {
+        await writeJsonAtomic(logPath, mintLog, { spaces: 2 });
+      }
+    }
+  })));
+
+  if (!options.dryRun) {
+    mintLog.tokenIdsBackfilledAt = new Date().toISOString();
+
+    if (journaled) {
+      const { tokens, ...meta } = mintLog;
+      const match = String(meta.batch || '').match(/(\d+)-(\d+)/);
+      const summary = match ? computeSummary(tokens, parseInt(match[1]), parseInt(match[2])) : undefined;
+      await journal.compact({ meta, tokens });
+      await journal.exportMintLog({ meta, tokens }, summary);
+    } else {
+      await writeJsonAtomic(logPath, mintLog, { spaces: 2 });
+    }
+  }
+
+  console.log(chalk.green(`✅ Resolved: ${stats.resolved}`));
+  console.log(chalk.yellow(`⚠️  No Transfer event: ${stats.noTransfer}`));
+  console.log(chalk.red(`❌ Missing receipt: ${stats.missingReceipt}, errors: ${stats.errors}`));
+
+  return mintLog;
+}
+
+// One row per logical token: logicalId,onChainTokenId,txHash,blockNumber,source
+function buildMappingRows(logPath, mintLog) {
+  return Object.entries(mintLog.tokens)
+    .filter(([_, token]) => token.onChainTokenId)
+    .map(([logicalId, token]) => [logicalId, token.onChainTokenId, token.txHash, token.blockNumber, path.basename(logPath)].join(','));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const logPaths = args.filter((arg, index) => !arg.startsWith('--') && !(args[index - 1] || '').match(/^--(rpc|csv)$/));
+
+  if (logPaths.length === 0 || args.includes('--help')) {
+    console.log(chalk.blue('Backfill on-chain token IDs from Transfer events\n'));
+    console.log('Usage:');
+    console.log('  node backfill-token-ids.js <mint_log.json> [more logs...] [--rpc public] [--csv mapping.csv] [--force] [--dry-run]');
+    console.log('\nOptions:');
+    console.log('  --rpc <set>     RPC set to read receipts from (default: public)');
+    console.log('  --csv <path>    Also write a logicalId → onChainTokenId mapping');
+    console.log('  --force         Re-fetch tokens that already have onChainTokenId');
+    console.log('  --dry-run       Do not write the logs back');
+    return;
+  }
+
+  const [endpoint] = resolveRpcEndpoints(getArg(args, 'rpc') || 'public');
+  const provider = createProvider(endpoint, {
+    staticNetwork: true,
+    timeout: CONFIG.RPC_TIMEOUT
+  });
+
+  const options = { force: args.includes('--force'), dryRun: args.includes('--dry-run') };
+  const csvPath = getArg(args, 'csv');
+  const rows = ['logicalId,onChainTokenId,txHash,blockNumber,source'];
+
+  console.log(chalk.cyan('🔍 Token ID Backfill'));
+  console.log(chalk.cyan('='.repeat(50)));
+  console.log(chalk.cyan(`📡 RPC: ${endpoint.name}`));
+
+  for (const logPath of logPaths) {
+    const mintLog = await backfillLog(path.resolve(logPath), provider, options);
+    rows.push(...buildMappingRows(logPath, mintLog));
+  }
+
+  if (csvPath) {
+    await fs.writeFile(csvPath, rows.join('\n') + '\n');
+    console.log(chalk.cyan(`\n💾 Mapping saved to: ${csvPath} (${rows.length - 1} rows)`));
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red(`💥 Fatal error: ${error.message}`));
+    process.exit(1);
+  });
+}
+
+module.exports = { backfillLog };
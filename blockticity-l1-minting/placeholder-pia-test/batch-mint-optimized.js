@@ -3,6 +3,10 @@ const { ethers } = require('ethers');
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const { ProviderPool } = require('./lib/provider-pool');
+const { resolveRpcEndpoints } = require('./lib/rpc-endpoints');
+const { classifyError, isRetryable, errorAction } = require('./lib/errors');
+const { simulate, preflightSigners, assertPreflight, batchMintCall } = require('./lib/preflight');
 
 // Configuration
 const CONFIG = {
@@ -11,10 +15,7 @@ const CONFIG = {
   PRIVATE_KEY: process.env.PRIVATE_KEY,
   
   // Network configuration
-  RPC_ENDPOINTS: [
-    'https://subnets.avax.network/btic/mainnet/rpc',
-    'https://mainnet-btic-wd732.avax.network/ext/bc/2pV5K35V1ohNSYhRU3z1Bud2oZys9bak7QYcmvbVvnieh4FJXc/rpc?token=90bd898ee2f77b6c45744ad57ae36724130c37e6478836c4cab1a50922d56dde'
-  ],
+  RPC_ENDPOINTS: resolveRpcEndpoints(process.env.RPC_SET || 'round-robin', { network: 'mainnet' }),
   
   // Minting configuration
   BATCH_SIZE: 25, // Tokens per batch
@@ -22,6 +23,7 @@ const CONFIG = {
   RETRY_ATTEMPTS: 5,
   RETRY_DELAY: 3000,
   TX_TIMEOUT: 120000, // 2 minutes
+  SIMULATE_EACH_TX: process.env.SIMULATE_EACH_TX === 'true', // eth_call each batch before broadcasting it
   
   // File paths
   RECIPIENTS_FILE: path.join(__dirname, 'data', 'recipients.json'),
@@ -41,8 +43,8 @@ const CONFIG = {
 
 class BatchMinter {
   constructor() {
+    this.pool = null;
     this.providers = [];
-    this.currentProviderIndex = 0;
     this.wallet = null;
     this.contract = null;
     this.results = {
@@ -60,13 +62,14 @@ class BatchMinter {
   async initialize() {
     console.log(chalk.cyan('🚀 Initializing Batch Minter'));
     
-    // Setup providers with round-robin
-    this.providers = CONFIG.RPC_ENDPOINTS.map((rpc, index) => {
-      console.log(chalk.cyan(`  ${index + 1}. ${rpc.includes('token') ? 'Developer' : 'Public'} RPC`));
-      return new ethers.JsonRpcProvider(rpc, undefined, {
-        timeout: CONFIG.TX_TIMEOUT
-      });
-    });
+    // Setup the provider pool; each batch goes to the healthiest endpoint
+    this.pool = new ProviderPool(
+      CONFIG.RPC_ENDPOINTS,
+      { timeout: CONFIG.TX_TIMEOUT }
+    );
+    this.providers = this.pool.providers();
+    await this.pool.start();
+    this.pool.printStatus();
     
     // Setup wallet and contract
     this.wallet = new ethers.Wallet(CONFIG.PRIVATE_KEY, this.providers[0]);
@@ -86,11 +89,16 @@ class BatchMinter {
     }
   }
   
-  // Get next provider in round-robin
+  // Healthiest provider: { provider, rpcName, endpoint }
   getNextProvider() {
-    const provider = this.providers[this.currentProviderIndex];
-    this.currentProviderIndex = (this.currentProviderIndex + 1) % this.providers.length;
-    return provider;
+    return this.pool.get([], 'write');
+  }
+  
+  // Simulate the first batch from the wallet; refuses to start if it would revert
+  async preflight(batches) {
+    const { method, args } = batchMintCall(batches[0]);
+    const contract = new ethers.Contract(CONFIG.CONTRACT_ADDRESS, CONFIG.CONTRACT_ABI, this.pool.proxy());
+    assertPreflight(await preflightSigners(contract, [this.wallet], () => ({ method, args })), { label: 'Wallet' });
   }
   
   // Load recipients from file
@@ -118,12 +126,11 @@ class BatchMinter {
   // Execute single batch mint
   async executeBatchMint(batch, batchIndex, retryCount = 0) {
     const batchId = `batch_${batchIndex + 1}`;
+    const { provider, rpcName, endpoint } = this.getNextProvider();
     
     try {
-      console.log(chalk.blue(`\n🔄 Processing ${batchId}: ${batch.length} tokens`));
+      console.log(chalk.blue(`\n🔄 Processing ${batchId}: ${batch.length} tokens via ${rpcName}`));
       
-      // Use round-robin provider
-      const provider = this.getNextProvider();
       const walletWithProvider = new ethers.Wallet(CONFIG.PRIVATE_KEY, provider);
       const contractWithProvider = new ethers.Contract(CONFIG.CONTRACT_ADDRESS, CONFIG.CONTRACT_ABI, walletWithProvider);
       
@@ -138,6 +145,12 @@ class BatchMinter {
       const startTime = Date.now();
       let tx;
       
+      // A revert found here costs no gas
+      if (CONFIG.SIMULATE_EACH_TX) {
+        const { method, args } = batchMintCall(batch);
+        await simulate(contractWithProvider, method, args, walletWithProvider.address);
+      }
+      
       if (sameURI) {
         console.log(chalk.yellow(`  📄 Using batchMintSameURI (optimized)`));
         tx = await contractWithProvider.batchMintSameURI(addresses, uris[0]);
@@ -151,6 +164,7 @@ class BatchMinter {
       // Wait for confirmation
       const receipt = await tx.wait();
       const duration = Date.now() - startTime;
+      this.pool.report(endpoint);
       
       // Parse events to get token IDs
       const batchMintedEvents = receipt.logs.filter(log => {
@@ -200,21 +214,26 @@ class BatchMinter {
       return batchResult;
       
     } catch (error) {
-      console.error(chalk.red(`  ❌ ${batchId} failed:`, error.message));
+      const errorType = classifyError(error);
+      console.error(chalk.red(`  ❌ ${batchId} failed (${errorType}):`, error.message));
+      this.pool.report(endpoint, error);
       
       // Retry logic
-      if (retryCount < CONFIG.RETRY_ATTEMPTS) {
+      if (isRetryable(errorType) && retryCount < CONFIG.RETRY_ATTEMPTS) {
         console.log(chalk.yellow(`  🔄 Retrying ${batchId} (${retryCount + 1}/${CONFIG.RETRY_ATTEMPTS})`));
         await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY * (retryCount + 1)));
         return this.executeBatchMint(batch, batchIndex, retryCount + 1);
       }
       
+      console.log(chalk.gray(`  💡 ${batchId}: ${errorAction(errorType)}`));
+      
       // Record failed batch
       const batchResult = {
         batchId,
         batchIndex,
         success: false,
         error: error.message,
+        errorType,
         retryCount,
         recipients: batch,
         timestamp: new Date().toISOString()
@@ -233,6 +252,7 @@ class BatchMinter {
     
     for (let i = 0; i < batches.length; i++) {
       try {
+        await this.pool.awaitHeads();
         await this.executeBatchMint(batches[i], i);
         
         // Progress update
@@ -289,6 +309,9 @@ class BatchMinter {
       await this.initialize();
       const recipients = await this.loadRecipients();
       const batches = this.createBatches(recipients);
+      if (batches.length > 0) {
+        await this.preflight(batches);
+      }
       
       await this.executeBatches(batches);
       await this.saveResults();
@@ -298,7 +321,10 @@ class BatchMinter {
     } catch (error) {
       console.error(chalk.red('💥 Fatal error:'), error);
       await this.saveResults();
-      process.exit(1);
+      process.exitCode = 1;
+    } finally {
+      // The pool's health-check timers would otherwise keep the process alive
+      if (this.pool) this.pool.stop();
     }
   }
 }
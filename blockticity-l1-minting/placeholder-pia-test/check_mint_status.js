@@ -1,7 +1,55 @@
+require('dotenv').config();
 const fs = require('fs-extra');
 const path = require('path');
+const pLimit = require('p-limit');
+const { resolveRpcEndpoints } = require('./lib/rpc-endpoints');
+const { ProviderPool } = require('./lib/provider-pool');
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Look up the receipts of submitted tokens (read-only; the log is not changed)
+async function checkSubmitted(submitted, rpcSpec) {
+  const pool = new ProviderPool(resolveRpcEndpoints(rpcSpec, { role: 'read', network: 'mainnet' }), { timeout: 10000 });
+
+  const limit = pLimit(5);
+  const counts = { mined: 0, reverted: 0, notMined: 0 };
+  const answeredBy = new Set();
+  try {
+    const head = await pool.read(() => null);
+    console.log(`\n=== CHAIN (${head.rpcName} at block ${head.blockNumber}) ===`);
+
+    await Promise.all(submitted.map(token => limit(async () => {
+      const { result: receipt, rpcName } = await pool.read(provider => provider.getTransactionReceipt(token.txHash));
+      answeredBy.add(rpcName);
+      if (!receipt) counts.notMined++;
+      else if (receipt.status === 1) counts.mined++;
+      else counts.reverted++;
+    })));
+  } finally {
+    pool.destroy();
+  }
+
+  console.log(`Submitted and mined: ${counts.mined}`);
+  console.log(`Submitted and reverted: ${counts.reverted}`);
+  console.log(`Submitted, not mined yet: ${counts.notMined}`);
+  console.log(`Receipts from: ${[...answeredBy].join(', ')}`);
+  if (counts.mined + counts.reverted > 0) {
+    console.log('Run the minting script again to record them in the log.');
+  }
+}
 
 async function checkStatus() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log('Usage: node check_mint_status.js [--rpc round-robin]');
+    console.log('  --rpc <set>   RPC endpoints to look up submitted transactions with; another takes over if one fails (default: RPC_SET or round-robin)');
+    return;
+  }
+
   const mintLogPath = path.join(__dirname, 'output', 'mint_log.json');
   
   try {
@@ -11,6 +59,7 @@ async function checkStatus() {
     const statusCounts = {
       completed: 0,
       pending: 0,
+      submitted: 0,
       failed: 0
     };
     
@@ -22,6 +71,7 @@ async function checkStatus() {
     console.log(`Total tokens: ${Object.keys(mintLog.tokens).length}`);
     console.log(`Completed: ${statusCounts.completed}`);
     console.log(`Pending: ${statusCounts.pending}`);
+    console.log(`Submitted (awaiting receipt): ${statusCounts.submitted}`);
     console.log(`Failed: ${statusCounts.failed}`);
     
     if (statusCounts.pending > 0) {
@@ -30,6 +80,11 @@ async function checkStatus() {
     } else {
       console.log('\nAll tokens have been processed (no pending tokens).');
     }
+
+    const submitted = Object.values(mintLog.tokens).filter(token => token.status === 'submitted' && token.txHash);
+    if (submitted.length > 0) {
+      await checkSubmitted(submitted, getArg(args, 'rpc') || process.env.RPC_SET || 'round-robin');
+    }
     
   } catch (error) {
     console.error('Error:', error.message);
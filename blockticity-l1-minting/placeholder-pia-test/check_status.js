@@ -1,8 +1,52 @@
+require('dotenv').config();
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const { resolveRpcEndpoints } = require('./lib/rpc-endpoints');
+const { ProviderPool } = require('./lib/provider-pool');
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Chain head and the last minted token's receipt, from the first endpoint that answers
+async function checkChain(lastMinted, rpcSpec) {
+  console.log(chalk.cyan('\n🔗 Chain:'));
+
+  let pool = null;
+  try {
+    pool = new ProviderPool(resolveRpcEndpoints(rpcSpec, { role: 'read', network: 'mainnet' }), { timeout: 10000 });
+
+    if (!lastMinted || !lastMinted.txHash || !lastMinted.txHash.startsWith('0x')) {
+      const { rpcName, blockNumber } = await pool.read(() => null);
+      console.log(chalk.blue(`   📡 ${rpcName} at block ${blockNumber}`));
+      return;
+    }
+
+    const { result: receipt, rpcName, blockNumber } = await pool.read(provider => provider.getTransactionReceipt(lastMinted.txHash));
+    console.log(chalk.blue(`   📡 ${rpcName} at block ${blockNumber}`));
+    if (!receipt) {
+      console.log(chalk.yellow(`   ⚠️  Last minted token's transaction not found on chain`));
+    } else {
+      console.log(chalk.gray(`   Last mint: block ${receipt.blockNumber}, ${blockNumber - receipt.blockNumber + 1} confirmation(s), status ${receipt.status === 1 ? 'success' : 'reverted'}`));
+    }
+  } catch (error) {
+    console.log(chalk.red(`   ❌ No RPC endpoint answered: ${error.message.slice(0, 80)}`));
+  } finally {
+    if (pool) pool.destroy();
+  }
+}
 
 async function checkStatus() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log('Usage: node check_status.js [--rpc round-robin]');
+    console.log('  --rpc <set>   RPC endpoints to check the chain with; another takes over if one fails (default: RPC_SET or round-robin)');
+    return;
+  }
+
   const logPath = path.join(__dirname, 'output', 'mint_log.json');
   
   if (!await fs.pathExists(logPath)) {
@@ -69,6 +113,8 @@ async function checkStatus() {
     const remainingHours = (pending / (5 * 3600)).toFixed(1); // 5 TPS
     console.log(chalk.yellow(`\n⏱️  Estimated time to mint pending tokens: ${remainingHours} hours`));
   }
+
+  await checkChain(lastMinted, getArg(args, 'rpc') || process.env.RPC_SET || 'round-robin');
 }
 
 checkStatus();
\ No newline at end of file
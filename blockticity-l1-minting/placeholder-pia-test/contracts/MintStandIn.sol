@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MintStandIn
+ * @dev Stand-in for the Blockticity ERC721 on the local fault-injecting chain
+ * (lib/fault-chain.js). It has the surface the minting scripts use - mintURI, batchMint,
+ * owner, paused, authorized minters - and emits the same Transfer event and Ownable error,
+ * without the ERC721 and LayerZero parts.
+ *
+ * Compiled with solc 0.8.24 (optimizer, 200 runs, evmVersion paris) into abi/MintStandIn.json.
+ */
+contract MintStandIn {
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+
+    error OwnableUnauthorizedAccount(address account);
+
+    // Slot 0: owner and paused, so the chain can hand the contract to any owner by storage write
+    address public owner;
+    bool public paused;
+
+    uint256 public totalSupply;
+    mapping(address => bool) public authorizedMinters;
+    mapping(uint256 => address) public ownerOf;
+    mapping(uint256 => string) public tokenURI;
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert OwnableUnauthorizedAccount(msg.sender);
+        _;
+    }
+
+    modifier onlyMinter() {
+        if (msg.sender != owner && !authorizedMinters[msg.sender]) revert OwnableUnauthorizedAccount(msg.sender);
+        _;
+    }
+
+    function setAuthorizedMinter(address minter, bool authorized) external onlyOwner {
+        authorizedMinters[minter] = authorized;
+    }
+
+    function setPaused(bool value) external onlyOwner {
+        paused = value;
+    }
+
+    function mintURI(address to, string calldata uri) external onlyMinter {
+        require(!paused, "Pausable: paused");
+        _mint(to, uri);
+    }
+
+    function batchMint(address[] calldata to, string[] calldata uri)
+        external
+        onlyMinter
+        returns (uint256 startTokenId, uint256 count)
+    {
+        require(!paused, "Pausable: paused");
+        require(to.length > 0, "Empty batch");
+        require(to.length == uri.length, "Arrays length mismatch");
+        require(to.length <= 50, "Batch too large");
+
+        startTokenId = totalSupply + 1;
+        for (uint256 i = 0; i < to.length; i++) {
+            _mint(to[i], uri[i]);
+        }
+        count = to.length;
+    }
+
+    function _mint(address to, string calldata uri) internal {
+        uint256 tokenId = ++totalSupply;
+        ownerOf[tokenId] = to;
+        tokenURI[tokenId] = uri;
+        emit Transfer(address(0), to, tokenId);
+    }
+}
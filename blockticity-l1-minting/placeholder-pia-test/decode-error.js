@@ -1,24 +1,139 @@
-// Common Solidity error selectors
-const errorSelectors = {
-  '0x118cdaa7': 'AddressAlreadyMinted() - common in NFT contracts with one-per-address limits',
-  '0x08c379a0': 'Error(string) - generic revert with message',
-  '0x4e487b71': 'Panic(uint256) - arithmetic errors, array bounds, etc',
-  '0xe2517d3f': 'InsufficientFunds()',
-  '0x990a0bda': 'Unauthorized() or AccessDenied()',
-  '0x82b42900': 'Unauthorized() - another common variant'
-};
-
-const errorData = '0x118cdaa70000000000000000000000000033abd22b24ef80942c5794ad8ea2b215dd5151';
-const selector = errorData.slice(0, 10);
-const address = '0x' + errorData.slice(34);
-
-console.log('🔍 Error Analysis:');
-console.log(`📋 Selector: ${selector}`);
-console.log(`🏠 Address: ${address}`);
-console.log(`❓ Likely meaning: ${errorSelectors[selector] || 'Unknown error'}`);
-
-// The address in the error matches Signer 1, suggesting this address has already minted
-console.log('\n💡 Analysis:');
-console.log('This appears to be an "AddressAlreadyMinted" error.');
-console.log('The contract likely has a one-mint-per-address restriction.');
-console.log('Only the owner wallet can mint to any address - other wallets can only mint to themselves once.');
\ No newline at end of file
+require('dotenv').config();
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { decodeRevert, formatRevert, replayRevert, addSignature } = require('./lib/revert-decoder');
+const { classifyError, errorAction } = require('./lib/errors');
+const { ProviderPool } = require('./lib/provider-pool');
+const { resolveRpcEndpoints } = require('./lib/rpc-endpoints');
+const { readJsonVerified } = require('./lib/atomic-json');
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Print a decoded revert with its taxonomy type and the action for it
+function printDecoded(data) {
+  const decoded = decodeRevert(data);
+  if (!decoded) {
+    console.log(chalk.yellow('⚠️  No revert data (expected 0x-prefixed hex, at least a 4-byte selector)'));
+    return;
+  }
+
+  const error = new Error('execution reverted');
+  error.code = 'CALL_EXCEPTION';
+  error.data = data;
+  const errorType = classifyError(error);
+
+  console.log('🔍 Error Analysis:');
+  console.log(`📋 Selector: ${decoded.selector}`);
+  if (!decoded.name) {
+    console.log(chalk.yellow('❓ Unknown selector - add its signature with --add "Name(type,...)"'));
+    return;
+  }
+
+  console.log(`🧾 Error: ${decoded.signature} (from ${decoded.source})`);
+  const args = Array.isArray(decoded.args) ? decoded.args.map((value, i) => [`arg${i}`, value]) : Object.entries(decoded.args);
+  for (const [name, value] of args) {
+    console.log(`   ${name}: ${JSON.stringify(value)}`);
+  }
+  if (decoded.description) {
+    console.log(`   ${decoded.description}`);
+  }
+  console.log(`🏷️  Type: ${errorType}`);
+  console.log(`💡 ${errorAction(errorType)}`);
+}
+
+// Replay a mined transaction and decode why it reverted
+async function decodeTransaction(hash, rpcSpec) {
+  const pool = new ProviderPool(resolveRpcEndpoints(rpcSpec, { role: 'read', network: 'mainnet' }), { timeout: 10000 });
+  try {
+    const { result: receipt } = await pool.read(provider => provider.getTransactionReceipt(hash));
+    if (!receipt) {
+      console.log(chalk.yellow(`⚠️  ${hash} has no receipt (pending or unknown)`));
+      return;
+    }
+    if (receipt.status === 1) {
+      console.log(chalk.green(`✅ ${hash} succeeded in block ${receipt.blockNumber} - nothing to decode`));
+      return;
+    }
+
+    const { result: data, rpcName } = await pool.read(async provider => {
+      const tx = await provider.getTransaction(hash);
+      return replayRevert(provider, tx, receipt.blockNumber);
+    });
+    console.log(chalk.red(`❌ ${hash} reverted in block ${receipt.blockNumber} (replayed via ${rpcName})`));
+    if (!data) {
+      console.log(chalk.yellow('⚠️  The replay did not revert - the state it depended on changed within the block'));
+      return;
+    }
+    console.log(`📦 Data: ${data}`);
+    printDecoded(data);
+  } finally {
+    pool.destroy();
+  }
+}
+
+// Count the decoded reverts of the failed tokens in a mint log
+async function summarizeLog(logPath) {
+  const { data: mintLog } = await readJsonVerified(logPath);
+  const failed = Object.entries(mintLog.tokens || {}).filter(([_, token]) => token.status === 'failed');
+  const byError = {};
+
+  for (const [tokenId, token] of failed) {
+    const key = token.revert ? (token.revert.signature || `unknown ${token.revert.selector}`) : `${token.errorType || 'UNCLASSIFIED'} (no revert data)`;
+    byError[key] = byError[key] || { count: 0, example: tokenId, decoded: token.revert };
+    byError[key].count++;
+  }
+
+  console.log(`📊 ${failed.length} failed tokens in ${logPath}`);
+  for (const [key, entry] of Object.entries(byError).sort((a, b) => b[1].count - a[1].count)) {
+    const detail = entry.decoded ? ` e.g. ${entry.example}: ${formatRevert(entry.decoded)}` : ` e.g. ${entry.example}`;
+    console.log(`  ${String(entry.count).padStart(6)}  ${key}${chalk.gray(detail)}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help')) {
+    console.log('Usage: node decode-error.js <revert data>');
+    console.log('       node decode-error.js --tx <hash> [--rpc <set>]');
+    console.log('       node decode-error.js --log <mint log>');
+    console.log('       node decode-error.js --add "<Name(type,...)>"');
+    console.log('  <revert data>  0x-prefixed revert data, e.g. from an error\'s data field');
+    console.log('  --tx <hash>    Replay a reverted transaction at its block and decode the revert');
+    console.log('  --rpc <set>    RPC endpoints for --tx (default: RPC_SET or round-robin)');
+    console.log('  --log <file>   Group the failed tokens of a mint log by decoded error');
+    console.log('  --add <sig>    Add an error signature to config/error-selectors.json');
+    return;
+  }
+
+  const signature = getArg(args, 'add');
+  if (signature) {
+    const { selector, signature: normalized } = await addSignature(signature);
+    console.log(chalk.green(`✅ ${selector} → ${normalized}`));
+    return;
+  }
+
+  const hash = getArg(args, 'tx');
+  if (hash) {
+    await decodeTransaction(hash, getArg(args, 'rpc') || process.env.RPC_SET || 'round-robin');
+    return;
+  }
+
+  const logPath = getArg(args, 'log');
+  if (logPath) {
+    if (!(await fs.pathExists(logPath))) throw new Error(`Mint log not found: ${logPath}`);
+    await summarizeLog(logPath);
+    return;
+  }
+
+  printDecoded(args[0]);
+}
+
+main().catch(error => {
+  console.error(chalk.red('💥 Fatal error:'), error.message);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+const path = require('path');
+const chalk = require('chalk');
+const { MintJournal, computeSummary } = require('./lib/mint-journal');
+
+// Rebuild a mint_log.json from its snapshot + journal, e.g. while a run is still going
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Token range from --start/--end, else the "400001-500000" batch label, else the logged IDs
+function resolveRange(args, state) {
+  const start = parseInt(getArg(args, 'start'));
+  const end = parseInt(getArg(args, 'end'));
+  if (start && end) return { start, end };
+
+  const match = String(state.meta.batch || '').match(/(\d+)-(\d+)/);
+  if (match) return { start: parseInt(match[1]), end: parseInt(match[2]) };
+
+  const tokenIds = Object.keys(state.tokens).map(id => parseInt(id)).filter(id => !isNaN(id));
+  if (tokenIds.length === 0) return { start: 1, end: 0 };
+  return { start: Math.min(...tokenIds), end: Math.max(...tokenIds) };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const logPath = args.find((arg, index) => !arg.startsWith('--') && !(args[index - 1] || '').match(/^--(out|start|end)$/));
+
+  if (!logPath || args.includes('--help')) {
+    console.log(chalk.blue('Export a journaled mint log\n'));
+    console.log('Usage:');
+    console.log('  node export-mint-log.js <mint_log.json> [--out path] [--start id --end id]');
+    console.log('\nOptions:');
+    console.log('  --out <path>         Write somewhere other than the mint log path itself');
+    console.log('  --start/--end <id>   Range for the summary (default: from the batch label)');
+    return;
+  }
+
+  const journal = new MintJournal(path.resolve(logPath));
+  const state = await journal.load();
+  const { start, end } = resolveRange(args, state);
+  const summary = computeSummary(state.tokens, start, end);
+  const outputPath = path.resolve(getArg(args, 'out') || logPath);
+
+  await journal.exportMintLog(state, summary, outputPath);
+
+  console.log(chalk.green(`✅ Exported ${Object.keys(state.tokens).length.toLocaleString()} tokens (${start}-${end})`));
+  console.log(chalk.cyan(`📊 ${summary.successful} minted, ${summary.failed} failed, ${summary.pending} pending`));
+  console.log(chalk.cyan(`💾 Saved to: ${outputPath}`));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red(`💥 Fatal error: ${error.message}`));
+    process.exit(1);
+  });
+}
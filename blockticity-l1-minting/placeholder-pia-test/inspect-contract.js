@@ -1,9 +1,10 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
+const { getEndpoint } = require('./lib/rpc-endpoints');
 
 const CONFIG = {
   CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
-  RPC_URL: process.env.RPC_URL || 'https://subnets.avax.network/btic/mainnet/rpc'
+  RPC_URL: process.env.RPC_URL || getEndpoint('public').url
 };
 
 async function inspectContract() {
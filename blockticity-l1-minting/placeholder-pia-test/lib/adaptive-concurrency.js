@@ -0,0 +1,147 @@
+const chalk = require('chalk');
+
+/**
+ * Concurrency limiter that tunes itself (additive increase, multiplicative decrease).
+ *
+ * Every mint attempt reports its outcome: the error type on failure, the confirmation
+ * latency (broadcast to receipt) on success. Once a window of outcomes is in, the limit
+ * is halved if too many of them were congestion errors (NONCE_ERROR, NETWORK_ERROR,
+ * RPC_ERROR, RATE_LIMIT) or if confirmations got slower than the target, and raised by
+ * one otherwise. A window that already has more congestion errors than the rate allows
+ * is acted on without waiting for it to fill. Outcomes of attempts already running when the limit
+ * changed are not counted, so one burst of errors halves the limit once, not repeatedly.
+ * The limit never leaves [min, max].
+ */
+
+const CONGESTION_ERRORS = ['NONCE_ERROR', 'NETWORK_ERROR', 'RPC_ERROR', 'RATE_LIMIT'];
+
+const DEFAULT_OPTIONS = {
+  window: 20,            // Outcomes per decision
+  maxErrorRate: 0.1,     // Congestion errors per outcome before backing off
+  latencyTarget: 20000,  // Median confirmation latency (ms) before backing off
+  increaseStep: 1,
+  decreaseFactor: 0.5
+};
+
+// Median of a non-empty list of numbers
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+class AdaptiveConcurrency {
+  // options: { initial, min, max, window, maxErrorRate, latencyTarget, increaseStep, decreaseFactor, label }
+  constructor(options) {
+    const overrides = Object.entries(options).filter(([_, value]) => value !== undefined);
+    const settings = { ...DEFAULT_OPTIONS, ...Object.fromEntries(overrides) };
+
+    this.min = settings.min;
+    this.max = settings.max;
+    this.window = settings.window;
+    this.maxErrorRate = settings.maxErrorRate;
+    this.latencyTarget = settings.latencyTarget;
+    this.increaseStep = settings.increaseStep;
+    this.decreaseFactor = settings.decreaseFactor;
+    this.label = settings.label || 'Concurrency';
+
+    this.limit = Math.min(this.max, Math.max(this.min, settings.initial));
+    this.active = 0;
+    this.queue = [];
+    this.outcomes = [];
+    this.stale = 0;            // Outcomes still due from before the last change
+    this.history = [];         // { at, from, to, reason }
+    this.lastDecreaseAt = 0;
+  }
+
+  // Run `fn` once a slot is free; same contract as a p-limit limiter
+  run(fn) {
+    return this.runReleasable(() => fn());
+  }
+
+  // Like run(), but `fn(release)` may give its slot back before it settles - a mint
+  // releases once its transaction is broadcast and only the confirmation is left
+  runReleasable(fn) {
+    return new Promise((resolve, reject) => {
+      this.queue.push(() => {
+        this.active++;
+        let released = false;
+        const release = () => {
+          if (released) return;
+          released = true;
+          this.active--;
+          this.drain();
+        };
+
+        Promise.resolve()
+          .then(() => fn(release))
+          .then(resolve, reject)
+          .finally(release);
+      });
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.active < this.limit && this.queue.length > 0) {
+      this.queue.shift()();
+    }
+  }
+
+  // Report one attempt: { errorType } on failure, { latencyMs } on success
+  record(outcome) {
+    if (this.stale > 0) {
+      this.stale--;
+      return;
+    }
+    this.outcomes.push(outcome);
+
+    const congestion = this.outcomes.filter(o => CONGESTION_ERRORS.includes(o.errorType)).length;
+    const full = this.outcomes.length >= this.window;
+    if (full || congestion > this.window * this.maxErrorRate) {
+      this.evaluate();
+    }
+  }
+
+  evaluate() {
+    const outcomes = this.outcomes;
+    this.outcomes = [];
+
+    const congestion = outcomes.filter(o => CONGESTION_ERRORS.includes(o.errorType));
+    const errorRate = congestion.length / outcomes.length;
+    const latencies = outcomes.filter(o => o.latencyMs !== undefined).map(o => o.latencyMs);
+    const latency = latencies.length > 0 ? median(latencies) : null;
+
+    if (errorRate > this.maxErrorRate) {
+      const counts = {};
+      congestion.forEach(o => { counts[o.errorType] = (counts[o.errorType] || 0) + 1; });
+      const detail = Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ');
+      this.decrease(`${detail} in ${outcomes.length} attempts (${(errorRate * 100).toFixed(0)}%)`);
+    } else if (latency !== null && latency > this.latencyTarget) {
+      this.decrease(`median confirmation ${(latency / 1000).toFixed(1)}s > ${(this.latencyTarget / 1000).toFixed(1)}s target`);
+    } else if (latency !== null) {
+      this.setLimit(this.limit + this.increaseStep,
+        `${outcomes.length} attempts, ${congestion.length} congestion errors, median confirmation ${(latency / 1000).toFixed(1)}s`);
+    }
+  }
+
+  decrease(reason) {
+    this.lastDecreaseAt = Date.now();
+    this.setLimit(Math.floor(this.limit * this.decreaseFactor), reason);
+  }
+
+  setLimit(value, reason) {
+    const next = Math.min(this.max, Math.max(this.min, value));
+    if (next === this.limit) return;
+
+    const arrow = next > this.limit ? chalk.green('▲') : chalk.red('▼');
+    console.log(chalk.magenta(`  🎛️  ${this.label} ${this.limit} → ${next} ${arrow} ${reason}`));
+    this.history.push({ at: new Date().toISOString(), from: this.limit, to: next, reason });
+
+    this.limit = next;
+    this.stale = this.active;
+    this.drain();
+  }
+}
+
+module.exports = { AdaptiveConcurrency, CONGESTION_ERRORS };
@@ -0,0 +1,158 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+
+/**
+ * Crash-safe JSON files.
+ *
+ * writeJsonAtomic() writes to <file>.tmp, fsyncs it, rotates the previous copies to
+ * <file>.bak.1 .. <file>.bak.N and renames the temp file into place. A sha256 of the
+ * exact bytes goes to <file>.sha256 (backups keep theirs as <file>.bak.N.sha256).
+ *
+ * readJsonVerified() checks the file against its checksum and falls back to the newest
+ * backup that verifies, so a process killed mid-write never leaves us with an empty log.
+ */
+
+const DEFAULT_BACKUPS = 3;
+
+// Writes to the same file are serialized so two saves never share a temp file
+const writeQueues = new Map();
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function backupPath(filePath, index) {
+  return index === 0 ? filePath : `${filePath}.bak.${index}`;
+}
+
+async function writeFileSynced(filePath, content) {
+  const handle = await fs.promises.open(filePath, 'w');
+  try {
+    await handle.writeFile(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+// Make the renames themselves durable; not every platform lets us open a directory
+async function syncDirectory(dirPath) {
+  let handle;
+  try {
+    handle = await fs.promises.open(dirPath, 'r');
+    await handle.sync();
+  } catch (error) {
+    // Best effort only
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+async function moveIfExists(from, to) {
+  if (await fs.pathExists(from)) {
+    await fs.rename(from, to);
+  }
+}
+
+async function rotateBackups(filePath, backups) {
+  await fs.remove(backupPath(filePath, backups));
+  await fs.remove(`${backupPath(filePath, backups)}.sha256`);
+
+  for (let index = backups - 1; index >= 0; index--) {
+    await moveIfExists(backupPath(filePath, index), backupPath(filePath, index + 1));
+    await moveIfExists(`${backupPath(filePath, index)}.sha256`, `${backupPath(filePath, index + 1)}.sha256`);
+  }
+}
+
+async function writeAtomic(filePath, content, backups) {
+  const tempPath = `${filePath}.tmp`;
+  const checksumTempPath = `${filePath}.sha256.tmp`;
+
+  await fs.ensureDir(path.dirname(filePath));
+  await writeFileSynced(tempPath, content);
+  await writeFileSynced(checksumTempPath, sha256(content) + '\n');
+
+  if (backups > 0) {
+    await rotateBackups(filePath, backups);
+  }
+
+  await fs.rename(tempPath, filePath);
+  await fs.rename(checksumTempPath, `${filePath}.sha256`);
+  await syncDirectory(path.dirname(filePath));
+}
+
+// Atomically replace `filePath` with `data`, keeping `backups` previous versions
+function writeJsonAtomic(filePath, data, options = {}) {
+  const backups = options.backups !== undefined ? options.backups : DEFAULT_BACKUPS;
+  const content = JSON.stringify(data, null, options.spaces) + '\n';
+
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+  const current = previous.catch(() => {}).then(() => writeAtomic(filePath, content, backups));
+  writeQueues.set(filePath, current);
+
+  return current.finally(() => {
+    if (writeQueues.get(filePath) === current) writeQueues.delete(filePath);
+  });
+}
+
+// Parse one candidate; throws if it is truncated or does not match its checksum
+async function readCandidate(candidatePath) {
+  const content = await fs.readFile(candidatePath, 'utf8');
+  const checksumPath = `${candidatePath}.sha256`;
+
+  // Files written before checksums existed only have to parse
+  if (await fs.pathExists(checksumPath)) {
+    const expected = (await fs.readFile(checksumPath, 'utf8')).trim();
+    if (sha256(content) !== expected) {
+      throw new Error('checksum mismatch');
+    }
+  }
+
+  return JSON.parse(content);
+}
+
+/**
+ * Load `filePath`, falling back through its backups.
+ * Returns { data, restoredFrom } - restoredFrom is null when the file itself was good,
+ * otherwise the backup number used. data is null when neither file nor backups exist.
+ */
+async function readJsonVerified(filePath, options = {}) {
+  const backups = options.backups !== undefined ? options.backups : DEFAULT_BACKUPS;
+  const failures = [];
+
+  for (let index = 0; index <= backups; index++) {
+    const candidatePath = backupPath(filePath, index);
+    if (!await fs.pathExists(candidatePath)) continue;
+
+    try {
+      const data = await readCandidate(candidatePath);
+
+      if (failures.length > 0) {
+        console.log(chalk.yellow(`⚠️  ${path.basename(filePath)} could not be read (${failures.join('; ')})`));
+        console.log(chalk.yellow(`🔄 Restored from ${path.basename(candidatePath)}`));
+      }
+
+      return { data, restoredFrom: index === 0 ? null : index };
+    } catch (error) {
+      failures.push(`${path.basename(candidatePath)}: ${error.message}`);
+
+      // Keep the damaged copy around for inspection instead of rotating it into the backups
+      if (index === 0) {
+        const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+        await fs.move(candidatePath, corruptPath);
+        await fs.remove(`${candidatePath}.sha256`);
+        failures[failures.length - 1] += ` → moved to ${path.basename(corruptPath)}`;
+      }
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`No readable copy of ${filePath}: ${failures.join('; ')}`);
+  }
+
+  return { data: null, restoredFrom: null };
+}
+
+module.exports = { writeJsonAtomic, readJsonVerified };
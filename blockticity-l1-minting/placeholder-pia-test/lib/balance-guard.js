@@ -0,0 +1,192 @@
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+
+/**
+ * Per-signer balance tracking for a minting run.
+ *
+ * refresh() reads every signer's balance from the chain; the engine calls it at the start
+ * and between batches, which also picks up top-ups. In between, the run keeps the numbers
+ * current itself: a transaction in flight holds its worst-case fee (what its last fee bump
+ * or its cancel could cost) against its signer, and a mined one is charged what it actually
+ * paid. (A fee mined just before a refresh but settled after it is counted twice until the
+ * next refresh - on the safe side.)
+ *
+ * One more mint is projected to cost the observed gasUsed per mint (the average of the
+ * last `window` mined mints, `gasPerMint` until there are any) times the current
+ * maxFeePerGas. A signer that could not pay for `reserveMints` more mints is taken out of
+ * rotation before it runs dry - the reserve leaves room for fee bumps and cancels of what
+ * it still has in flight. A refresh that finds it topped up puts it back. capacity() is
+ * how many mints all signers together can still pay for; checkRange() warns when that
+ * is less than what is left to mint.
+ */
+
+const DEFAULT_OPTIONS = {
+  gasPerMint: 128410,    // gasUsed of a mintURI on Blockticity L1 until this run has its own
+  reserveMints: 5,
+  window: 200
+};
+
+class BalanceGuard {
+  constructor(provider, addresses, options = {}) {
+    const overrides = Object.entries(options).filter(([_, value]) => value !== undefined);
+    const settings = { ...DEFAULT_OPTIONS, ...Object.fromEntries(overrides) };
+
+    this.provider = provider;
+    this.defaultGasPerMint = BigInt(settings.gasPerMint);
+    this.reserveMints = BigInt(settings.reserveMints);
+    this.window = settings.window;
+
+    // balance is null until read; without a balance or a fee there is no projection
+    this.signers = addresses.map(address => ({ address, balance: null, reserved: 0n, retired: false, reason: null, untilRefresh: false }));
+    this.gasSamples = [];
+    this.feePerGas = null;
+  }
+
+  // Re-read every balance (one batch of eth_getBalance); returns the balances read
+  async refresh() {
+    const balances = await Promise.all(this.signers.map(signer => this.provider.getBalance(signer.address)));
+    balances.forEach((balance, index) => {
+      this.signers[index].balance = balance;
+      this.signers[index].untilRefresh = false;
+      this.update(index);
+    });
+    return balances;
+  }
+
+  // Price projections at this maxFeePerGas
+  setFeePerGas(maxFeePerGas) {
+    this.feePerGas = maxFeePerGas;
+    this.signers.forEach((_, index) => this.update(index));
+  }
+
+  // Average gasUsed of the mints mined so far (or the configured default)
+  gasPerMint() {
+    if (this.gasSamples.length === 0) return this.defaultGasPerMint;
+    return this.gasSamples.reduce((sum, gas) => sum + gas, 0n) / BigInt(this.gasSamples.length);
+  }
+
+  // Projected cost of one more mint, or null while the fee is unknown
+  costPerMint() {
+    return this.feePerGas !== null ? this.gasPerMint() * this.feePerGas : null;
+  }
+
+  // Balance not held by transactions in flight
+  available(index) {
+    const signer = this.signers[index];
+    return signer.balance !== null ? signer.balance - signer.reserved : null;
+  }
+
+  // How many more mints this signer can pay for (null without a projection)
+  mintsLeft(index) {
+    const available = this.available(index);
+    const cost = this.costPerMint();
+    if (available === null || cost === null || cost === 0n) return null;
+    return available > 0n ? available / cost : 0n;
+  }
+
+  // Whether the signer may take another mint
+  usable(index) {
+    return !this.signers[index].retired;
+  }
+
+  // Hold a transaction's worst-case fee against its signer; returns the amount held
+  reserve(index, amount) {
+    this.signers[index].reserved += amount;
+    return amount;
+  }
+
+  // Swap a reservation for what the mined transaction paid. Only mints (not cancels) count
+  // towards the observed gasUsed per mint.
+  settle(index, amount, receipt, isMint = true) {
+    const signer = this.signers[index];
+    signer.reserved -= amount;
+    if (signer.balance !== null) {
+      signer.balance -= receipt.gasUsed * receipt.gasPrice;
+    }
+    if (isMint && receipt.status === 1) {
+      this.gasSamples.push(receipt.gasUsed);
+      if (this.gasSamples.length > this.window) this.gasSamples.shift();
+    }
+    this.update(index);
+  }
+
+  // The transaction was never mined - free its reservation
+  release(index, amount) {
+    this.signers[index].reserved -= amount;
+    this.update(index);
+  }
+
+  // The node rejected a transaction for insufficient funds: out until a refresh says otherwise
+  markEmpty(index) {
+    this.retire(index, 'node reported insufficient funds');
+    this.signers[index].untilRefresh = true;
+  }
+
+  retire(index, reason) {
+    const signer = this.signers[index];
+    if (signer.retired) return;
+    signer.retired = true;
+    signer.reason = reason;
+    console.log(chalk.yellow(`  🪫 Signer ${index} out of rotation: ${reason}`));
+  }
+
+  // Retire or reinstate a signer against the reserve
+  update(index) {
+    const signer = this.signers[index];
+    const mintsLeft = this.mintsLeft(index);
+    if (mintsLeft === null) return;
+
+    if (mintsLeft < this.reserveMints) {
+      this.retire(index, `${ethers.formatEther(this.available(index))} BTIC left covers ~${mintsLeft} mint(s), below the reserve of ${this.reserveMints}`);
+    } else if (signer.retired && !signer.untilRefresh) {
+      // A top-up, or in-flight fees that turned out lower than held
+      signer.retired = false;
+      signer.reason = null;
+      console.log(chalk.green(`  🔋 Signer ${index} back in rotation: ${ethers.formatEther(signer.balance)} BTIC covers ~${mintsLeft} mint(s)`));
+    }
+  }
+
+  // Mints the signers still in rotation can pay for, keeping each one's reserve
+  capacity() {
+    let total = 0n;
+    for (let index = 0; index < this.signers.length; index++) {
+      const mintsLeft = this.mintsLeft(index);
+      if (mintsLeft === null) return null;
+      if (!this.signers[index].retired && mintsLeft > this.reserveMints) {
+        total += mintsLeft - this.reserveMints;
+      }
+    }
+    return total;
+  }
+
+  // Warn when `remaining` mints cost more than the signers hold; returns false if so
+  checkRange(remaining) {
+    const capacity = this.capacity();
+    if (capacity === null || capacity >= BigInt(remaining)) return true;
+
+    const shortfall = (BigInt(remaining) - capacity) * this.costPerMint();
+    console.log(chalk.yellow(
+      `⚠️  Funds cover ~${capacity.toLocaleString()} of ${remaining.toLocaleString()} remaining mint(s) ` +
+      `(${this.gasPerMint()} gas at ${Number(ethers.formatUnits(this.feePerGas, 'gwei')).toFixed(2)} gwei) - ` +
+      `top up ~${Number(ethers.formatEther(shortfall)).toFixed(4)} BTIC across the signers`
+    ));
+    return false;
+  }
+
+  // True once no signer is left in rotation
+  exhausted() {
+    return this.signers.every(signer => signer.retired);
+  }
+
+  printStatus() {
+    console.log(chalk.cyan(`🔋 Signer balances (~${this.gasPerMint()} gas per mint over ${this.gasSamples.length} mint(s)):`));
+    this.signers.forEach((signer, index) => {
+      const mintsLeft = this.mintsLeft(index);
+      const balance = signer.balance !== null ? `${ethers.formatEther(signer.balance)} BTIC` : 'unknown';
+      const projection = mintsLeft !== null ? `, ~${mintsLeft.toLocaleString()} mint(s) left` : '';
+      console.log(chalk.cyan(`  Signer ${index}: ${balance}${projection}${signer.retired ? ` - out of rotation (${signer.reason})` : ''}`));
+    });
+  }
+}
+
+module.exports = { BalanceGuard };
@@ -0,0 +1,127 @@
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+const { DEFAULT_RETRY_AFTER, parseRateLimitHeaders, parseRateLimitError } = require('./rate-limiter');
+
+/**
+ * JsonRpcProvider that sends concurrent calls as JSON-RPC batches and falls back to single
+ * requests on endpoints that won't take them.
+ *
+ * ethers already queues every call made within batchStallTime ms and sends up to
+ * batchMaxCount of them in one POST; this class only changes what happens when the
+ * endpoint answers such a batch badly. An HTTP 4xx, a single error object instead of an
+ * array, or an array with none of our ids means batches are not supported: the calls are
+ * re-sent one by one and the provider stays unbatched from then on. Ids missing from an
+ * otherwise good answer (a node capping its batch size) are re-sent on their own.
+ *
+ * Re-sending is safe for every call we batch - reads, and eth_sendRawTransaction of an
+ * already signed transaction, which at worst comes back "already known".
+ *
+ * With a `throttle` (lib/rate-limiter.js) every request first takes a token per call it
+ * carries, and the endpoint's rate-limit headers and "limit exceeded" errors pause the
+ * throttle. A 429 is retried here once the pause is over, or - with `failover`, for a pool
+ * that has other endpoints to go to - fails at once with `retryAfter` (ms) on the error.
+ *
+ * `timeout` (ms) is set on every request. JsonRpcProvider itself has no such option, so
+ * without it a stalled endpoint holds a call for FetchRequest's default of 300s.
+ */
+class BatchingJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(connection, network, options = {}) {
+    super(connection, network, options);
+    this.label = options.label || 'RPC';
+    this.batching = (options.batchMaxCount || 100) > 1;
+    this.batchStats = { batches: 0, batchedCalls: 0, singles: 0, fallbacks: 0 };
+    this.throttle = options.throttle || null;
+    this.failover = Boolean(options.failover);
+    this.timeout = options.timeout || null;
+  }
+
+  // Every request gets our timeout and reports the endpoint's rate-limit headers to the throttle
+  _getConnection() {
+    const request = super._getConnection();
+    if (this.timeout) request.timeout = this.timeout;
+    if (!this.throttle) return request;
+
+    request.retryFunc = async (_, response) => {
+      this.throttle.pause(parseRateLimitHeaders(response.headers) ?? DEFAULT_RETRY_AFTER, 'HTTP 429');
+      if (this.failover) return false;
+      await this.throttle.take();
+      return true;
+    };
+    request.processFunc = async (_, response) => {
+      const wait = response.statusCode !== 429 ? parseRateLimitHeaders(response.headers) : null;
+      if (wait) this.throttle.pause(wait, 'request quota used up');
+      return response;
+    };
+    return request;
+  }
+
+  async _send(payload) {
+    if (!this.throttle) return this.sendPayload(payload);
+
+    await this.throttle.take(Array.isArray(payload) ? payload.length : 1);
+    let result;
+    try {
+      result = await this.sendPayload(payload);
+    } catch (error) {
+      if (error.response && error.response.statusCode === 429) {
+        error.retryAfter = this.throttle.pausedFor();
+      }
+      throw error;
+    }
+
+    const backoff = Math.max(0, ...result.map(response => parseRateLimitError(response.error) || 0));
+    if (backoff > 0) this.throttle.pause(backoff, 'JSON-RPC limit exceeded');
+    return result;
+  }
+
+  async sendPayload(payload) {
+    if (!Array.isArray(payload)) {
+      this.batchStats.singles++;
+      return super._send(payload);
+    }
+    if (!this.batching) {
+      return this.sendEach(payload);
+    }
+
+    let result;
+    try {
+      result = await super._send(payload);
+    } catch (error) {
+      // Timeouts, rate limits and 5xx are not the batch's fault; let the caller retry as usual
+      const status = error.response ? error.response.statusCode : null;
+      if (status === null || status === 429 || status >= 500) throw error;
+      return this.disableBatching(payload, `HTTP ${error.response.statusCode}`);
+    }
+
+    const ids = new Set(payload.map(request => request.id));
+    const answered = result.filter(response => ids.has(response.id));
+    if (answered.length === 0) {
+      const reason = result[0] && result[0].error ? result[0].error.message : 'no matching responses';
+      return this.disableBatching(payload, reason);
+    }
+
+    this.batchStats.batches++;
+    this.batchStats.batchedCalls += answered.length;
+
+    const answeredIds = new Set(answered.map(response => response.id));
+    const missing = payload.filter(request => !answeredIds.has(request.id));
+    if (missing.length === 0) return answered;
+
+    return [...answered, ...(await this.sendEach(missing))];
+  }
+
+  async disableBatching(payload, reason) {
+    this.batching = false;
+    this.batchStats.fallbacks++;
+    console.log(chalk.yellow(`  ⚠️  ${this.label}: JSON-RPC batch rejected (${String(reason).slice(0, 60)}), sending requests one by one`));
+    return this.sendEach(payload);
+  }
+
+  async sendEach(payload) {
+    this.batchStats.singles += payload.length;
+    const results = await Promise.all(payload.map(request => super._send(request)));
+    return results.flat();
+  }
+}
+
+module.exports = { BatchingJsonRpcProvider };
@@ -0,0 +1,213 @@
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+
+/**
+ * One shared watcher for every transaction in flight, instead of one tx.wait() polling
+ * loop per mint.
+ *
+ * New blocks come from a newHeads subscription when the endpoint has a WebSocket URL, and
+ * from a single block-number poller otherwise (or once the socket fails). Each new block
+ * is fetched once; the tracked hashes it contains get their receipt fetched and their
+ * waiters resolved. When more than `maxCatchUp` blocks were missed, every tracked hash is
+ * checked directly instead. A wait checks its hashes directly when it starts, for blocks
+ * processed before it was registered, and once more at its deadline, so a block that
+ * slipped past is never taken for a stuck transaction.
+ *
+ * wait(hashes, timeoutMs) has the same contract as polling for any of `hashes`: it
+ * resolves with the first receipt found, or null once timeoutMs has passed.
+ */
+
+const DEFAULT_OPTIONS = {
+  wsUrl: null,
+  pollInterval: 2000,
+  connectTimeout: 10000,
+  maxCatchUp: 20,
+  label: 'Confirmations'
+};
+
+class ConfirmationTracker {
+  // provider: used for blocks and receipts (a pool proxy works); options: see DEFAULT_OPTIONS
+  constructor(provider, options = {}) {
+    const overrides = Object.entries(options).filter(([_, value]) => value !== undefined);
+    this.options = { ...DEFAULT_OPTIONS, ...Object.fromEntries(overrides) };
+
+    this.provider = provider;
+    this.mode = null;            // 'websocket' | 'polling'
+    this.ws = null;
+    this.timer = null;
+    this.lastBlock = null;       // Last block whose transactions were checked
+    this.processing = Promise.resolve();
+    this.waiters = new Map();    // hash -> Set of waiters
+    this.counts = { blocks: 0, confirmed: 0, directChecks: 0 };
+  }
+
+  async start() {
+    this.lastBlock = await this.provider.getBlockNumber();
+
+    if (this.options.wsUrl && await this.subscribe()) {
+      return;
+    }
+    this.startPolling();
+  }
+
+  // newHeads over WebSocket; false if the socket can't be opened
+  async subscribe() {
+    const ws = new ethers.WebSocketProvider(this.options.wsUrl);
+    const socket = ws.websocket;
+    socket.onerror = () => {};   // A failed connect shows up as the timeout below
+
+    try {
+      await Promise.race([
+        ws.getBlockNumber(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('connect timeout')), this.options.connectTimeout))
+      ]);
+      await ws.on('block', blockNumber => this.onBlock(blockNumber));
+    } catch (error) {
+      console.log(chalk.yellow(`  ⚠️  ${this.options.label}: WebSocket unavailable (${error.message.slice(0, 60)}), polling blocks instead`));
+      ws.destroy().catch(() => {});
+      return false;
+    }
+
+    // ethers doesn't surface socket failures; fall back to polling on any
+    const fail = () => {
+      if (this.ws !== ws) return;
+      console.log(chalk.yellow(`  ⚠️  ${this.options.label}: WebSocket closed, polling blocks instead`));
+      this.ws = null;
+      ws.destroy().catch(() => {});
+      this.startPolling();
+    };
+    socket.onerror = fail;
+    socket.onclose = fail;
+
+    this.ws = ws;
+    this.mode = 'websocket';
+    console.log(chalk.green(`  📬 ${this.options.label}: following newHeads over WebSocket`));
+    return true;
+  }
+
+  startPolling() {
+    this.mode = 'polling';
+    if (this.timer) return;
+
+    // Only poll while something is being waited on
+    this.timer = setInterval(async () => {
+      if (this.waiters.size === 0) return;
+      try {
+        this.onBlock(await this.provider.getBlockNumber());
+      } catch (error) {
+        // Transient RPC error - next tick tries again
+      }
+    }, this.options.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.destroy().catch(() => {});
+    }
+  }
+
+  // Blocks are handled one at a time and in order
+  onBlock(blockNumber) {
+    this.processing = this.processing
+      .then(() => this.processUpTo(blockNumber))
+      .catch(error => console.log(chalk.yellow(`  ⚠️  ${this.options.label}: block ${blockNumber} not processed: ${error.message.slice(0, 60)}`)));
+    return this.processing;
+  }
+
+  async processUpTo(blockNumber) {
+    if (this.lastBlock !== null && blockNumber <= this.lastBlock) return;
+
+    if (this.waiters.size === 0) {
+      this.lastBlock = blockNumber;
+      return;
+    }
+
+    const from = this.lastBlock === null ? blockNumber : this.lastBlock + 1;
+    if (blockNumber - from + 1 > this.options.maxCatchUp) {
+      await this.checkDirectly([...this.waiters.keys()]);
+      this.lastBlock = blockNumber;
+      return;
+    }
+
+    for (let number = from; number <= blockNumber; number++) {
+      const block = await this.provider.getBlock(number);
+      if (!block) return;      // Not served yet; retried with the next head
+
+      this.counts.blocks++;
+      const mined = block.transactions.filter(hash => this.waiters.has(hash));
+      await Promise.all(mined.map(hash => this.fetchReceipt(hash)));
+      this.lastBlock = number;
+    }
+  }
+
+  async fetchReceipt(hash) {
+    const receipt = await this.provider.getTransactionReceipt(hash);
+    if (receipt) this.resolve(hash, receipt);
+    return receipt;
+  }
+
+  // Made together so the lookups share one JSON-RPC batch
+  async checkDirectly(hashes) {
+    this.counts.directChecks += hashes.length;
+    await Promise.all(hashes.map(hash => this.fetchReceipt(hash).catch(() => {
+      // Transient RPC error - the next block or the deadline tries again
+    })));
+  }
+
+  resolve(hash, receipt) {
+    const waiters = this.waiters.get(hash);
+    if (!waiters) return;
+
+    this.counts.confirmed++;
+    [...waiters].forEach(waiter => waiter.done(receipt));
+  }
+
+  // First receipt of any of `hashes`, or null after timeoutMs
+  wait(hashes, timeoutMs) {
+    return new Promise(resolve => {
+      const waiter = {
+        hashes,
+        done: receipt => {
+          clearTimeout(waiter.timer);
+          hashes.forEach(hash => {
+            const waiters = this.waiters.get(hash);
+            if (!waiters) return;
+            waiters.delete(waiter);
+            if (waiters.size === 0) this.waiters.delete(hash);
+          });
+          resolve(receipt);
+        }
+      };
+
+      hashes.forEach(hash => {
+        if (!this.waiters.has(hash)) this.waiters.set(hash, new Set());
+        this.waiters.get(hash).add(waiter);
+      });
+
+      waiter.timer = setTimeout(async () => {
+        await this.checkDirectly(hashes);
+        waiter.done(null);
+      }, timeoutMs);
+
+      // Blocks processed between the broadcast and now had no waiter to resolve, so a
+      // transaction mined in between would otherwise only be found at the deadline
+      this.checkDirectly(hashes);
+    });
+  }
+
+  stats() {
+    return {
+      mode: this.mode,
+      tracked: this.waiters.size,
+      lastBlock: this.lastBlock,
+      ...this.counts
+    };
+  }
+}
+
+module.exports = { ConfirmationTracker };
@@ -0,0 +1,321 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { writeJsonAtomic, readJsonVerified } = require('./atomic-json');
+const { classifyError } = require('./errors');
+
+/**
+ * Dead-letter store: one place for every token that failed for good, whichever script
+ * failed it, instead of per-script failed_*.txt / failed_tokens.json files.
+ *
+ * output/dead_letter.json holds { updatedAt, tokens } keyed by logical token ID (no zero
+ * padding; the padded form is kept as paddedId). An entry records the last error type,
+ * message and decoded revert, the attempts summed over every run, the signer and the log
+ * ("source") the failure came from. Its status is
+ *   dead      - failed, waiting to be requeued
+ *   requeued  - handed to requeue.js, whose log (requeueLog) now owns the token
+ *   resolved  - minted since (resolvedIn, resolvedTxHash)
+ * Resolved entries are kept so the log that failed the token can see it was minted
+ * elsewhere and doesn't mint it a second time.
+ *
+ * Several scripts may write the store at once. save() holds <store>.lock (created with
+ * O_EXCL) while it re-reads the file and applies only this process's changes on top of it,
+ * so two saves never interleave. A lock older than LOCK_STALE_MS was left by a process that
+ * died mid-save and is taken over.
+ */
+
+const ROOT = path.join(__dirname, '..');
+const DEAD_LETTER_PATH = path.join(ROOT, 'output', 'dead_letter.json');
+
+const OPEN_STATUSES = ['dead', 'requeued'];
+
+const LOCK_RETRY_MS = 50;
+const LOCK_STALE_MS = 30000;
+const LOCK_TIMEOUT_MS = 60000;
+
+// Run `fn` holding `lockPath`, waiting for (or taking over a stale) lock held by another process
+async function withLock(lockPath, fn) {
+  const giveUpAt = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.remove(lockPath);
+        continue;
+      }
+      if (Date.now() > giveUpAt) {
+        throw new Error(`Dead-letter store is locked by another process (${lockPath})`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.remove(lockPath);
+  }
+}
+
+// Logical token ID as the store keys it: "019600" -> "19600"
+function normalizeTokenId(tokenId) {
+  const number = parseInt(tokenId, 10);
+  if (Number.isNaN(number)) throw new Error(`Invalid token ID "${tokenId}"`);
+  return String(number);
+}
+
+// Path as stored in entries: relative to the package directory when it is inside it
+function sourceName(filePath) {
+  if (!path.isAbsolute(filePath)) return filePath;
+  const relative = path.relative(ROOT, filePath);
+  return relative.startsWith('..') ? filePath : relative;
+}
+
+class DeadLetterStore {
+  constructor(filePath = DEAD_LETTER_PATH) {
+    this.filePath = filePath;
+    this.tokens = {};
+    this.changes = new Map();      // tokenId -> entry written by this process, not yet saved
+    this.counts = { recorded: 0, resolved: 0, requeued: 0 };
+    this.writeQueue = Promise.resolve();
+  }
+
+  static async open(filePath = DEAD_LETTER_PATH) {
+    const store = new DeadLetterStore(filePath);
+    await store.load();
+    return store;
+  }
+
+  async load() {
+    const { data } = await readJsonVerified(this.filePath);
+    this.tokens = { ...((data && data.tokens) || {}) };
+    for (const [tokenId, entry] of this.changes) {
+      this.tokens[tokenId] = entry;
+    }
+    return this;
+  }
+
+  get(tokenId) {
+    return this.tokens[normalizeTokenId(tokenId)] || null;
+  }
+
+  set(tokenId, entry) {
+    this.tokens[tokenId] = entry;
+    this.changes.set(tokenId, entry);
+  }
+
+  // A token that failed for good. `token` is its mint log record (status 'failed')
+  record(tokenId, token, source) {
+    const id = normalizeTokenId(tokenId);
+    const existing = this.tokens[id];
+    const failedAt = token.failedAt || new Date().toISOString();
+    const attempts = token.finalAttempt || token.attempts || (token.retryCount !== undefined ? token.retryCount + 1 : 1);
+
+    this.set(id, {
+      tokenId: id,
+      ...(String(tokenId) !== id && { paddedId: String(tokenId) }),
+      status: 'dead',
+      errorType: token.errorType || (token.error ? classifyError(new Error(token.error)) : null),
+      error: token.error || null,
+      ...(token.revert && { revert: token.revert }),
+      attempts: ((existing && existing.attempts) || 0) + attempts,
+      requeues: (existing && existing.requeues) || 0,
+      signerIndex: token.signerIndex !== undefined ? token.signerIndex : token.lastSignerIndex,
+      signerAddress: token.signerAddress,
+      ...(token.txHash && { txHash: token.txHash }),
+      source: sourceName(source),
+      firstFailedAt: (existing && existing.firstFailedAt) || failedAt,
+      failedAt
+    });
+    this.counts.recorded++;
+  }
+
+  // A token that has been minted; only matters if it was dead-lettered before
+  resolve(tokenId, token, source) {
+    const entry = this.get(tokenId);
+    if (!entry || entry.status === 'resolved') return false;
+
+    this.set(entry.tokenId, {
+      ...entry,
+      status: 'resolved',
+      resolvedIn: sourceName(source),
+      resolvedTxHash: token.txHash,
+      resolvedAt: token.completedAt || new Date().toISOString()
+    });
+    this.counts.resolved++;
+    return true;
+  }
+
+  // Hand entries to a requeue run writing `logPath`
+  markRequeued(tokenIds, logPath) {
+    const now = new Date().toISOString();
+    for (const tokenId of tokenIds) {
+      const entry = this.get(tokenId);
+      if (!entry) continue;
+      this.set(entry.tokenId, {
+        ...entry,
+        status: 'requeued',
+        requeues: (entry.requeues || 0) + 1,
+        requeueLog: sourceName(logPath),
+        requeuedAt: now
+      });
+      this.counts.requeued++;
+    }
+  }
+
+  // Bring the store up to date with a whole mint log: failed tokens in, minted ones resolved
+  syncFromLog(tokens, source) {
+    for (const [tokenId, token] of Object.entries(tokens)) {
+      if (token.status === 'failed') {
+        const entry = this.get(tokenId);
+        // Already recorded from this log - don't count its attempts twice
+        if (entry && entry.status === 'dead' && entry.source === sourceName(source) &&
+            (!token.failedAt || entry.failedAt === token.failedAt)) continue;
+        this.record(tokenId, token, source);
+      } else if (token.status === 'completed') {
+        this.resolve(tokenId, token, source);
+      }
+    }
+  }
+
+  /**
+   * Entries matching every given filter, in token order:
+   *   types    - error types; 'UNCLASSIFIED' matches entries without one
+   *   from, to - token ID range (inclusive)
+   *   since, until - failedAt bounds (Date or anything Date parses)
+   *   statuses - default: dead and requeued
+   *   source   - part of the source path
+   *   limit    - at most this many
+   */
+  select(filters = {}) {
+    const statuses = filters.statuses || OPEN_STATUSES;
+    const since = filters.since ? new Date(filters.since).getTime() : null;
+    const until = filters.until ? new Date(filters.until).getTime() : null;
+
+    const selected = Object.values(this.tokens).filter(entry => {
+      const tokenId = parseInt(entry.tokenId, 10);
+      const failedAt = new Date(entry.failedAt).getTime();
+
+      if (!statuses.includes(entry.status)) return false;
+      if (filters.types && !filters.types.includes(entry.errorType || 'UNCLASSIFIED')) return false;
+      if (filters.from !== undefined && tokenId < filters.from) return false;
+      if (filters.to !== undefined && tokenId > filters.to) return false;
+      if (since !== null && !(failedAt >= since)) return false;
+      if (until !== null && !(failedAt <= until)) return false;
+      if (filters.source && !(entry.source || '').includes(filters.source)) return false;
+      return true;
+    });
+
+    selected.sort((a, b) => parseInt(a.tokenId, 10) - parseInt(b.tokenId, 10));
+    return filters.limit ? selected.slice(0, filters.limit) : selected;
+  }
+
+  /**
+   * Import a legacy failure file: a list of IDs one per line (failed_batch2_tokens.txt,
+   * failed_token_ids.txt), a JSON array of token records (failed_tokens.json) or a mint log.
+   * Tokens already in the store are left alone. Returns how many were added.
+   */
+  async importLegacy(filePath) {
+    const source = sourceName(filePath);
+    const { mtime } = await fs.stat(filePath);
+    let records;
+
+    if (filePath.endsWith('.json')) {
+      const json = await fs.readJson(filePath);
+      records = Array.isArray(json)
+        ? json
+        : Object.entries(json.tokens || {}).filter(([_, token]) => token.status === 'failed')
+          .map(([tokenId, token]) => ({ ...token, tokenId }));
+    } else {
+      const text = await fs.readFile(filePath, 'utf8');
+      records = text.split('\n').map(line => line.trim()).filter(Boolean).map(tokenId => ({ tokenId }));
+    }
+
+    let added = 0;
+    for (const record of records) {
+      const id = normalizeTokenId(record.tokenId);
+      if (this.tokens[id]) continue;
+
+      this.record(record.tokenId, {
+        ...record,
+        failedAt: record.failedAt || record.addedAt || mtime.toISOString()
+      }, source);
+      this.set(id, { ...this.tokens[id], importedAt: new Date().toISOString() });
+      added++;
+    }
+
+    this.counts.recorded -= added;
+    return added;
+  }
+
+  /**
+   * Token IDs (as the file wrote them) a legacy retry script should still mint: dead entries
+   * that came from its failure file, imported on first use, or that failed in its own log.
+   */
+  async retryQueue(legacyFile, logPath) {
+    await this.load();
+    const added = await this.importLegacy(legacyFile);
+    if (added > 0) await this.save();
+
+    const entries = [
+      ...this.select({ statuses: ['dead'], source: sourceName(legacyFile) }),
+      ...this.select({ statuses: ['dead'], source: sourceName(logPath) })
+    ];
+    const ids = [...new Set(entries.map(entry => entry.tokenId))].sort((a, b) => a - b);
+    return ids.map(tokenId => this.tokens[tokenId].paddedId || tokenId);
+  }
+
+  // Counts per status and, for open entries, per error type
+  stats() {
+    const stats = { dead: 0, requeued: 0, resolved: 0, byType: {} };
+    for (const entry of Object.values(this.tokens)) {
+      stats[entry.status] = (stats[entry.status] || 0) + 1;
+      if (OPEN_STATUSES.includes(entry.status)) {
+        const type = entry.errorType || 'UNCLASSIFIED';
+        stats.byType[type] = (stats.byType[type] || 0) + 1;
+      }
+    }
+    return stats;
+  }
+
+  // Write this process's changes on top of whatever is on disk now. A failed save only
+  // fails its own caller; its changes stay queued for the next one.
+  save() {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      if (this.changes.size === 0) return;
+
+      // Changes made while this write is under way go out with the next save
+      const saving = this.changes;
+      this.changes = new Map();
+
+      try {
+        await fs.ensureDir(path.dirname(this.filePath));
+        const tokens = await withLock(`${this.filePath}.lock`, async () => {
+          const { data } = await readJsonVerified(this.filePath);
+          const merged = { ...((data && data.tokens) || {}), ...Object.fromEntries(saving) };
+          await writeJsonAtomic(this.filePath, { updatedAt: new Date().toISOString(), tokens: merged }, { spaces: 2 });
+          return merged;
+        });
+        this.tokens = { ...tokens, ...Object.fromEntries(this.changes) };
+      } catch (error) {
+        this.changes = new Map([...saving, ...this.changes]);
+        throw error;
+      }
+    });
+    return this.writeQueue;
+  }
+
+  // One line on what this process changed
+  printSummary() {
+    const { recorded, resolved, requeued } = this.counts;
+    if (recorded + resolved + requeued === 0) return;
+    console.log(chalk.magenta(`🪦 Dead letters: ${recorded} recorded, ${resolved} resolved, ${requeued} requeued (${sourceName(this.filePath)})`));
+  }
+}
+
+module.exports = { DeadLetterStore, DEAD_LETTER_PATH, normalizeTokenId, sourceName };
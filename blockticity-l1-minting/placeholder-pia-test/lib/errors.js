@@ -0,0 +1,187 @@
+const { isRateLimitError } = require('./rate-limiter');
+
+/**
+ * Error taxonomy shared by the minting and retry scripts.
+ *
+ * classifyError() reads ethers v6's structured fields before any text: the ethers code
+ * (NONCE_EXPIRED, INSUFFICIENT_FUNDS, CALL_EXCEPTION, TIMEOUT, ...), the node's JSON-RPC
+ * error (error.info.error, or error.error for errors ethers could not coalesce), the HTTP
+ * status, revert data (error.data) and error.shortMessage. Message text is only the
+ * fallback, for nodes whose errors ethers doesn't recognise. Our own errors (the fee
+ * strategy's budget and cap, the balance guard running out of signers) carry their own code.
+ *
+ * Every type says whether retrying the same mint can succeed and what to do about it
+ * (ERROR_TYPES). Scripts retry only retryable types and log the action of the rest.
+ */
+
+const ERROR_TYPES = {
+  ALREADY_KNOWN: {
+    retryable: false,
+    action: 'Count as sent: the node already has this transaction; wait for its receipt'
+  },
+  NONCE_ERROR: {
+    retryable: true,
+    action: 'Resync nonces from the chain and retry with a fresh nonce'
+  },
+  REPLACEMENT_UNDERPRICED: {
+    retryable: true,
+    action: 'Another transaction holds the nonce; drop it and retry with a fresh nonce'
+  },
+  RATE_LIMIT: {
+    retryable: true,
+    action: 'Retry on another endpoint, or after the endpoint\'s Retry-After'
+  },
+  NETWORK_ERROR: {
+    retryable: true,
+    action: 'Retry with backoff; resync nonces, the transaction may have gone out'
+  },
+  RPC_ERROR: {
+    retryable: true,
+    action: 'Retry with backoff, preferably on another endpoint'
+  },
+  GAS_ERROR: {
+    retryable: true,
+    action: 'Re-estimate the gas limit and retry'
+  },
+  INSUFFICIENT_FUNDS: {
+    retryable: true,
+    action: 'Retry with another signer; top this signer up before its next run'
+  },
+  FEE_CAP_EXCEEDED: {
+    retryable: true,
+    action: 'Retry once base fees drop, or raise MAX_TX_FEE_BTIC'
+  },
+  BUDGET_EXCEEDED: {
+    retryable: false,
+    action: 'Leave the token queued; raise --budget or mint it in the next run'
+  },
+  FUNDS_EXHAUSTED: {
+    retryable: false,
+    action: 'Leave the token queued; top up the signers (see the balance summary) and rerun'
+  },
+  UNAUTHORIZED: {
+    retryable: false,
+    action: 'Authorize the signer as a minter (authorize-signers.js) or mint from the owner'
+  },
+  PAUSED: {
+    retryable: false,
+    action: 'Unpause the contract, then requeue the token'
+  },
+  REVERTED: {
+    retryable: false,
+    action: 'See the decoded revert (decode-error.js); retrying the same call reverts again'
+  },
+  UNKNOWN_ERROR: {
+    retryable: true,
+    action: 'Retry with backoff; look at the full error if it keeps happening'
+  }
+};
+
+// Revert selectors the mint contract is known to use
+const REVERT_TYPES = {
+  '0x118cdaa7': 'UNAUTHORIZED',     // OwnableUnauthorizedAccount(address)
+  '0x82b42900': 'UNAUTHORIZED',     // Unauthorized()
+  '0xd93c0665': 'PAUSED'            // EnforcedPause()
+};
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE'];
+
+// The error and the errors it wraps (node error, cause), outermost first
+function errorChain(error) {
+  const chain = [];
+  const queue = [error];
+  while (queue.length > 0 && chain.length < 8) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || chain.includes(current)) continue;
+    chain.push(current);
+    queue.push(current.info && current.info.error, current.error, current.cause);
+  }
+  return chain;
+}
+
+// Structured fields of an error: { code, rpcCode, httpStatus, revertData, reason, message },
+// plus the lower-cased text of the whole chain for the fallbacks
+function inspectError(error) {
+  const chain = errorChain(error);
+  const field = pick => chain.map(pick).find(value => value !== undefined && value !== null);
+
+  const status = field(entry => entry.response && entry.response.statusCode) ??
+    field(entry => entry.info && entry.info.responseStatus && parseInt(entry.info.responseStatus));
+  const data = field(entry => typeof entry.data === 'string' && entry.data.startsWith('0x') ? entry.data : undefined) ??
+    field(entry => entry.data && typeof entry.data.data === 'string' ? entry.data.data : undefined) ??
+    field(entry => entry.data && typeof entry.data.result === 'string' ? entry.data.result : undefined);
+
+  return {
+    code: typeof error.code === 'string' ? error.code : undefined,
+    rpcCode: field(entry => typeof entry.code === 'number' ? entry.code : undefined),
+    httpStatus: status || undefined,
+    revertData: data && data.length >= 10 ? data : undefined,
+    reason: field(entry => entry.reason || undefined),
+    message: error.shortMessage || error.message || String(error),
+    text: chain.map(entry => [entry.message, entry.shortMessage, entry.code].filter(Boolean).join(' ')).join(' ').toLowerCase()
+  };
+}
+
+// Taxonomy type of a failed mint (a key of ERROR_TYPES)
+function classifyError(error) {
+  const { code, rpcCode, httpStatus, revertData, reason, text } = inspectError(error);
+
+  if (code === 'FEE_BUDGET_EXCEEDED' || text.includes('fee budget exhausted')) return 'BUDGET_EXCEEDED';
+  if (code === 'FEE_CAP_EXCEEDED' || text.includes('fee cap exceeded')) return 'FEE_CAP_EXCEEDED';
+  if (code === 'FUNDS_EXHAUSTED') return 'FUNDS_EXHAUSTED';
+
+  if (/already known|known transaction|transaction already exists|already imported/.test(text)) return 'ALREADY_KNOWN';
+  if (code === 'NONCE_EXPIRED' || text.includes("the tx doesn't have the correct nonce") ||
+      (text.includes('nonce') && (text.includes('too low') || text.includes('already been used')))) {
+    return 'NONCE_ERROR';
+  }
+  if (code === 'REPLACEMENT_UNDERPRICED' || text.includes('replacement transaction underpriced')) return 'REPLACEMENT_UNDERPRICED';
+  if (code === 'INSUFFICIENT_FUNDS' || text.includes('insufficient funds')) return 'INSUFFICIENT_FUNDS';
+
+  if (code === 'CALL_EXCEPTION' || revertData) {
+    if (revertData && REVERT_TYPES[revertData.slice(0, 10)]) return REVERT_TYPES[revertData.slice(0, 10)];
+    const why = `${reason || ''} ${text}`.toLowerCase();
+    if (why.includes('paused')) return 'PAUSED';
+    if (why.includes('not the owner') || why.includes('unauthorized') || why.includes('not authorized')) return 'UNAUTHORIZED';
+    return 'REVERTED';
+  }
+
+  if (httpStatus === 429 || rpcCode === -32005 || rpcCode === 429 || isRateLimitError(error)) return 'RATE_LIMIT';
+
+  if (code === 'TIMEOUT' || code === 'NETWORK_ERROR' || NETWORK_CODES.some(networkCode => text.includes(networkCode.toLowerCase())) ||
+      text.includes('timeout') || text.includes('socket hang up') || text.includes('network')) {
+    return 'NETWORK_ERROR';
+  }
+  if (text.includes('out of gas') || text.includes('intrinsic gas too low') || text.includes('gas required exceeds')) return 'GAS_ERROR';
+  if (code === 'SERVER_ERROR' || (httpStatus >= 500) || rpcCode === -32000 || rpcCode === -32603 || text.includes('-32000')) {
+    return 'RPC_ERROR';
+  }
+
+  return 'UNKNOWN_ERROR';
+}
+
+// Type, retryable flag, action and structured fields of an error, for logs
+function describeError(error) {
+  const type = classifyError(error);
+  const { code, rpcCode, httpStatus, revertData, message } = inspectError(error);
+  return { type, ...ERROR_TYPES[type], code, rpcCode, httpStatus, revertData, message };
+}
+
+// Whether a mint that failed with `type` may be retried as it is
+function isRetryable(type) {
+  return (ERROR_TYPES[type] || ERROR_TYPES.UNKNOWN_ERROR).retryable;
+}
+
+// Recommended action for `type`
+function errorAction(type) {
+  return (ERROR_TYPES[type] || ERROR_TYPES.UNKNOWN_ERROR).action;
+}
+
+module.exports = {
+  ERROR_TYPES,
+  classifyError,
+  describeError,
+  inspectError,
+  isRetryable,
+  errorAction
+};
@@ -0,0 +1,444 @@
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { localRegistry } = require('./rpc-endpoints');
+
+/**
+ * Local JSON-RPC chain stand-in that injects faults, for exercising the retry and error
+ * classification paths of the minting scripts without touching mainnet.
+ *
+ * An in-process EVM (ganache) holds the chain. contracts/MintStandIn.sol is placed at the
+ * real contract address, owned by the first signer, with every other signer authorized, so
+ * scripts run unchanged. Each endpoint is served under its own path (/public, /developer);
+ * registry() gives the RPC_REGISTRY file that points the scripts at them.
+ *
+ * Faults (see DEFAULT_FAULTS) are set for all endpoints or for one, by probability or for
+ * the next `count` calls (inject), and can be changed while running through the fault_set,
+ * fault_inject, fault_reorg and fault_stats RPC methods. Probabilities draw from a seeded
+ * generator, so a run with the same seed and the same traffic fails the same way.
+ *
+ * A reorg reverts the last `depth` blocks, mines a longer fork and re-sends the reverted
+ * transactions, so they end up in different blocks (or are dropped, with reinclude off).
+ */
+
+const STAND_IN = require('../abi/MintStandIn.json');
+const DEFAULT_CONTRACT_ADDRESS = '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926';
+
+const DEFAULT_FAULTS = {
+  latency: 0,            // ms added to every response
+  jitter: 0,             // up to this many more ms, at random
+  dropRate: 0,           // Response dropped (socket closed) after the calls went through
+  rateLimitRate: 0,      // HTTP 429 with Retry-After, nothing executed
+  retryAfter: 1,         // Retry-After seconds on 429s
+  rpcErrorRate: 0,       // Any call: -32000 internal error, nothing executed
+  alreadyKnownRate: 0,   // eth_sendRawTransaction: accepted, but answered "already known"
+  nonceTooLowRate: 0,    // eth_sendRawTransaction: rejected with "nonce too low"
+  neverMineRate: 0,      // eth_sendRawTransaction: hash returned, transaction discarded
+  reorgEvery: 0,         // Blocks between automatic reorgs (0 = only fault_reorg)
+  reorgDepth: 2,
+  reinclude: true        // Re-send transactions a reorg reverted
+};
+
+// Faults that can be injected for the next N calls, and the calls they apply to
+const INJECTABLE = {
+  drop: null,
+  rateLimit: null,
+  rpcError: null,
+  alreadyKnown: 'eth_sendRawTransaction',
+  nonceTooLow: 'eth_sendRawTransaction',
+  neverMine: 'eth_sendRawTransaction'
+};
+
+const DEFAULT_OPTIONS = {
+  host: '127.0.0.1',
+  port: 8545,
+  chainId: 1337,
+  blockTime: 1,                    // Seconds between blocks; 0 mines each transaction at once
+  balance: '100',                  // BTIC per signer
+  contractAddress: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || DEFAULT_CONTRACT_ADDRESS,
+  endpoints: ['public', 'developer'],
+  seed: 1,
+  snapshots: 64                    // Blocks that can be reorged away
+};
+
+// Small seeded PRNG (mulberry32)
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Turn an EVM error into a JSON-RPC error object
+function toRpcError(error) {
+  return {
+    code: typeof error.code === 'number' ? error.code : -32000,
+    message: error.message,
+    ...(error.data !== undefined ? { data: error.data } : {})
+  };
+}
+
+class FaultInjectingChain {
+  // signerKeys: private keys to fund (the first owns the contract); options: see DEFAULT_OPTIONS
+  constructor(signerKeys, options = {}) {
+    const overrides = Object.entries(options).filter(([_, value]) => value !== undefined);
+    this.options = { ...DEFAULT_OPTIONS, ...Object.fromEntries(overrides) };
+
+    if (signerKeys.length === 0) {
+      throw new Error('Fault-injecting chain needs at least one signer key');
+    }
+
+    this.signerKeys = signerKeys;
+    this.faults = { ...DEFAULT_FAULTS, ...(options.faults || {}) };
+    this.endpointFaults = {};      // endpoint -> fault overrides
+    this.injected = [];            // { fault, count, endpoint }
+    this.random = seededRandom(this.options.seed);
+
+    this.evm = null;
+    this.server = null;
+    this.timer = null;
+    this.snapshots = [];           // [{ block, id }], oldest first
+    this.rawTransactions = new Map(); // hash -> signed transaction, for re-sending after a reorg
+    this.forwarded = new Map();    // "sender:nonce" -> hash of the transaction ganache holds for it
+    this.lastReorgBlock = 0;
+    this.counts = { requests: 0, calls: 0, latency: 0, drop: 0, rateLimit: 0, rpcError: 0, alreadyKnown: 0, nonceTooLow: 0, neverMine: 0, reorgs: 0, reincluded: 0 };
+  }
+
+  request(method, params = []) {
+    return this.evm.request({ method, params });
+  }
+
+  async start() {
+    const ganache = require('ganache');
+    const balance = ethers.toQuantity(ethers.parseEther(String(this.options.balance)));
+
+    this.evm = ganache.provider({
+      chain: { chainId: this.options.chainId },
+      wallet: { accounts: this.signerKeys.map(secretKey => ({ secretKey, balance })) },
+      miner: { blockTime: this.options.blockTime },
+      logging: { quiet: true }
+    });
+
+    await this.deployStandIn();
+    await this.takeSnapshot();
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        if (res.headersSent || res.destroyed) return;
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+    // Port 0 picks a free port
+    this.options.port = this.server.address().port;
+
+    // Keep a snapshot per block for reorgs, and run the automatic ones
+    this.timer = setInterval(() => {
+      this.onTick().catch(error => console.log(chalk.yellow(`  ⚠️  Chain tick failed: ${error.message.slice(0, 80)}`)));
+    }, 250);
+    this.timer.unref();
+  }
+
+  async stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    if (this.evm) {
+      await this.evm.disconnect();
+      this.evm = null;
+    }
+  }
+
+  // Deploy the stand-in, move its code to the contract address and hand it to the first signer
+  async deployStandIn() {
+    const provider = new ethers.BrowserProvider(this.evm);
+    const owner = new ethers.Wallet(this.signerKeys[0], provider);
+    const factory = new ethers.ContractFactory(STAND_IN.abi, STAND_IN.bytecode, owner);
+    const deployed = await factory.deploy();
+    await deployed.waitForDeployment();
+
+    const address = ethers.getAddress(this.options.contractAddress);
+    await this.request('evm_setAccountCode', [address, await provider.getCode(await deployed.getAddress())]);
+    // Slot 0 holds owner (and paused = false)
+    await this.request('evm_setAccountStorageAt', [address, ethers.zeroPadValue('0x00', 32), ethers.zeroPadValue(owner.address, 32)]);
+
+    const contract = new ethers.Contract(address, STAND_IN.abi, owner);
+    for (const key of this.signerKeys.slice(1)) {
+      const tx = await contract.setAuthorizedMinter(new ethers.Wallet(key).address, true);
+      await tx.wait();
+    }
+  }
+
+  // Faults in effect for an endpoint
+  faultsFor(endpoint) {
+    return { ...this.faults, ...(this.endpointFaults[endpoint] || {}) };
+  }
+
+  // Change faults for every endpoint, or for one
+  setFaults(faults, endpoint = null) {
+    const unknown = Object.keys(faults).filter(name => !(name in DEFAULT_FAULTS));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown fault(s): ${unknown.join(', ')} (known: ${Object.keys(DEFAULT_FAULTS).join(', ')})`);
+    }
+
+    if (endpoint) {
+      this.endpointFaults[endpoint] = { ...(this.endpointFaults[endpoint] || {}), ...faults };
+    } else {
+      this.faults = { ...this.faults, ...faults };
+    }
+  }
+
+  // Make the next `count` matching calls fail with `fault` (see INJECTABLE)
+  inject(fault, count = 1, endpoint = null) {
+    if (!(fault in INJECTABLE)) {
+      throw new Error(`Unknown fault "${fault}" (injectable: ${Object.keys(INJECTABLE).join(', ')})`);
+    }
+    this.injected.push({ fault, count, endpoint });
+  }
+
+  // Whether `fault` hits this call: an injected one first, then its probability
+  hits(fault, endpoint, method = null) {
+    const queued = this.injected.find(entry =>
+      entry.fault === fault && (!entry.endpoint || entry.endpoint === endpoint) &&
+      (!INJECTABLE[fault] || INJECTABLE[fault] === method));
+
+    if (queued) {
+      queued.count--;
+      if (queued.count <= 0) this.injected.splice(this.injected.indexOf(queued), 1);
+      this.counts[fault]++;
+      return true;
+    }
+
+    const rate = this.faultsFor(endpoint)[`${fault}Rate`] || 0;
+    if (rate > 0 && this.random() < rate) {
+      this.counts[fault]++;
+      return true;
+    }
+    return false;
+  }
+
+  async handle(req, res) {
+    const endpoint = decodeURIComponent(req.url.split('?')[0].replace(/^\/+|\/+$/g, '')) || this.options.endpoints[0];
+
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid JSON');
+      return;
+    }
+
+    if (!this.options.endpoints.includes(endpoint)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end(`Unknown endpoint "${endpoint}" (serving ${this.options.endpoints.join(', ')})`);
+      return;
+    }
+
+    const faults = this.faultsFor(endpoint);
+    const requests = Array.isArray(payload) ? payload : [payload];
+    this.counts.requests++;
+    this.counts.calls += requests.length;
+
+    const delay = faults.latency + Math.floor(this.random() * faults.jitter);
+    if (delay > 0) {
+      this.counts.latency++;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (this.hits('rateLimit', endpoint)) {
+      res.writeHead(429, { 'Content-Type': 'text/plain', 'Retry-After': String(faults.retryAfter) });
+      res.end('Too Many Requests');
+      return;
+    }
+
+    const answers = [];
+    for (const request of requests) {
+      answers.push({ jsonrpc: '2.0', id: request.id, ...(await this.answer(endpoint, request)) });
+    }
+
+    // The calls went through; only the answer is lost
+    if (this.hits('drop', endpoint)) {
+      req.socket.destroy();
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(Array.isArray(payload) ? answers : answers[0]));
+  }
+
+  // { result } or { error } for one call
+  async answer(endpoint, request) {
+    const params = request.params || [];
+
+    try {
+      switch (request.method) {
+        case 'fault_set':
+          this.setFaults(params[0] || {}, params[1] || null);
+          return { result: this.faultsFor(params[1] || null) };
+        case 'fault_inject':
+          this.inject(params[0], params[1] || 1, params[2] || null);
+          return { result: true };
+        case 'fault_reorg':
+          return { result: await this.reorg(params[0] || this.faults.reorgDepth) };
+        case 'fault_stats':
+          return { result: this.stats() };
+      }
+
+      if (this.hits('rpcError', endpoint)) {
+        return { error: { code: -32000, message: 'internal error: injected fault' } };
+      }
+
+      if (request.method === 'eth_sendRawTransaction') {
+        return await this.sendRawTransaction(endpoint, params[0]);
+      }
+
+      return { result: await this.request(request.method, params) };
+    } catch (error) {
+      return { error: toRpcError(error) };
+    }
+  }
+
+  async sendRawTransaction(endpoint, raw) {
+    const tx = ethers.Transaction.from(raw);
+
+    if (this.hits('nonceTooLow', endpoint, 'eth_sendRawTransaction')) {
+      return { error: { code: -32000, message: `nonce too low: address ${tx.from}, tx: ${tx.nonce} state: ${tx.nonce + 1}` } };
+    }
+    if (this.hits('neverMine', endpoint, 'eth_sendRawTransaction')) {
+      return { result: tx.hash };
+    }
+
+    const hash = await this.forwardTransaction(tx, raw);
+    if (typeof hash !== 'string') return hash;
+    this.rawTransactions.set(hash, raw);
+
+    if (this.hits('alreadyKnown', endpoint, 'eth_sendRawTransaction')) {
+      return { error: { code: -32000, message: 'already known' } };
+    }
+    return { result: hash };
+  }
+
+  // Hand a transaction to ganache; the hash, or { error } when the chain already has one for
+  // its nonce. ganache neither checks the nonce of a transaction it has mined nor picks one
+  // of two it holds for the same nonce, so the first one sent turns the others away, the way
+  // a node that won't take the bump would.
+  async forwardTransaction(tx, raw) {
+    const key = `${tx.from.toLowerCase()}:${tx.nonce}`;
+    const forwarded = this.forwarded.get(key);
+    if (forwarded) {
+      const next = Number(await this.request('eth_getTransactionCount', [tx.from, 'latest']));
+      const message = tx.nonce < next ? `nonce too low: address ${tx.from}, tx: ${tx.nonce} state: ${next}`
+        : forwarded === tx.hash ? 'already known' : 'replacement transaction underpriced';
+      return { error: { code: -32000, message } };
+    }
+
+    this.forwarded.set(key, tx.hash);
+    try {
+      return await this.request('eth_sendRawTransaction', [raw]);
+    } catch (error) {
+      this.forwarded.delete(key);
+      throw error;
+    }
+  }
+
+  async onTick() {
+    const head = Number(await this.request('eth_blockNumber'));
+    const newest = this.snapshots[this.snapshots.length - 1];
+    if (!newest || head > newest.block) await this.takeSnapshot(head);
+
+    const { reorgEvery, reorgDepth } = this.faults;
+    if (reorgEvery > 0 && head - this.lastReorgBlock >= reorgEvery && head > reorgDepth) {
+      await this.reorg(reorgDepth);
+    }
+  }
+
+  async takeSnapshot(head = null) {
+    const block = head !== null ? head : Number(await this.request('eth_blockNumber'));
+    this.snapshots.push({ block, id: await this.request('evm_snapshot') });
+    if (this.snapshots.length > this.options.snapshots) this.snapshots.shift();
+  }
+
+  // Revert the last `depth` blocks and mine a longer fork; returns the reverted hashes
+  async reorg(depth) {
+    const head = Number(await this.request('eth_blockNumber'));
+    const target = [...this.snapshots].reverse().find(snapshot => snapshot.block <= head - depth);
+    if (!target) {
+      throw new Error(`Can't reorg ${depth} block(s): no snapshot at or below block ${head - depth}`);
+    }
+
+    const reverted = [];
+    for (let number = target.block + 1; number <= head; number++) {
+      const block = await this.request('eth_getBlockByNumber', [ethers.toQuantity(number), false]);
+      if (block) reverted.push(...block.transactions);
+    }
+
+    if (!(await this.request('evm_revert', [target.id]))) {
+      throw new Error(`Snapshot of block ${target.block} could not be restored`);
+    }
+    this.snapshots = this.snapshots.filter(snapshot => snapshot.block < target.block);
+
+    // The fork is one block longer than the branch it replaces
+    await this.request('evm_mine');
+    for (const hash of reverted) {
+      const raw = this.rawTransactions.get(hash);
+      if (!raw) continue;
+      if (this.faults.reinclude) {
+        await this.request('eth_sendRawTransaction', [raw]).then(() => this.counts.reincluded++, () => {});
+      } else {
+        // Dropped, so its nonce is free to be sent again
+        const tx = ethers.Transaction.from(raw);
+        this.forwarded.delete(`${tx.from.toLowerCase()}:${tx.nonce}`);
+      }
+    }
+    for (let i = 0; i < head - target.block; i++) {
+      await this.request('evm_mine');
+    }
+    await this.takeSnapshot();
+
+    this.counts.reorgs++;
+    this.lastReorgBlock = Number(await this.request('eth_blockNumber'));
+    console.log(chalk.magenta(`  🔀 Reorg: blocks ${target.block + 1}-${head} replaced, ${reverted.length} transaction(s) ${this.faults.reinclude ? 're-sent' : 'dropped'}, new head ${this.lastReorgBlock}`));
+    return reverted;
+  }
+
+  url(endpoint = this.options.endpoints[0]) {
+    return `http://${this.options.host}:${this.options.port}/${endpoint}`;
+  }
+
+  // RPC registry pointing every endpoint name at this chain (use through RPC_REGISTRY)
+  registry() {
+    return localRegistry(
+      `http://${this.options.host}:${this.options.port}`,
+      Object.fromEntries(this.options.endpoints.map(name => [name, { network: 'mainnet', role: 'both', batchSize: 10 }]))
+    );
+  }
+
+  async writeRegistry(registryPath) {
+    await fs.ensureDir(path.dirname(registryPath));
+    await fs.writeJson(registryPath, this.registry(), { spaces: 2 });
+  }
+
+  stats() {
+    return { ...this.counts, injected: this.injected.map(entry => ({ ...entry })) };
+  }
+}
+
+module.exports = { FaultInjectingChain, DEFAULT_FAULTS, DEFAULT_CONTRACT_ADDRESS };
@@ -0,0 +1,191 @@
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+
+/**
+ * EIP-1559 fees from recent blocks instead of whatever ethers picks.
+ *
+ * eth_feeHistory over the last `historyBlocks` blocks gives the next block's base fee and
+ * the priority fee paid at `percentile`; maxFeePerGas is baseFeeMultiplier x base fee plus
+ * that tip. getFeeData() is the fallback when the node can't serve fee history.
+ *
+ * Two limits apply on top:
+ *   maxTxFeeBtic   - per transaction: gasLimit x maxFeePerGas may not exceed it, which also
+ *                    caps how far replacements may bump (ceilingFor)
+ *   runBudgetBtic  - per run: fees paid plus fees reserved by transactions in flight (at
+ *                    the most their replacements or cancel could cost); once it would be
+ *                    exceeded no further transaction is sent
+ */
+
+const DEFAULT_OPTIONS = {
+  percentile: 50,
+  historyBlocks: 20,
+  baseFeeMultiplier: 2,
+  maxFeePerGasGwei: 200,
+  maxTxFeeBtic: null,
+  runBudgetBtic: null,
+  refreshMs: 10000       // Fee data is shared by every transaction sent within this window
+};
+
+// Median of a non-empty list of bigints
+function medianBigInt(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function formatGwei(value) {
+  return `${Number(ethers.formatUnits(value, 'gwei')).toFixed(2)} gwei`;
+}
+
+class FeeStrategy {
+  constructor(provider, options = {}) {
+    const overrides = Object.entries(options).filter(([_, value]) => value !== undefined);
+    const settings = { ...DEFAULT_OPTIONS, ...Object.fromEntries(overrides) };
+
+    this.provider = provider;
+    this.percentile = settings.percentile;
+    this.historyBlocks = settings.historyBlocks;
+    this.baseFeeMultiplier = BigInt(settings.baseFeeMultiplier);
+    this.refreshMs = settings.refreshMs;
+    this.maxFeePerGas = ethers.parseUnits(String(settings.maxFeePerGasGwei), 'gwei');
+    this.maxTxFee = settings.maxTxFeeBtic ? ethers.parseEther(String(settings.maxTxFeeBtic)) : null;
+    this.budget = settings.runBudgetBtic ? ethers.parseEther(String(settings.runBudgetBtic)) : null;
+
+    this.current = null;     // { maxFeePerGas, maxPriorityFeePerGas, baseFee, source, at }
+    this.refreshing = null;
+    this.spent = 0n;
+    this.reserved = 0n;
+    this.gasUsed = 0n;
+    this.transactions = 0;
+    this.lastReservation = 0n;
+  }
+
+  // Next base fee and the tip at our percentile, from fee history
+  async readFeeHistory() {
+    const history = await this.provider.send('eth_feeHistory', [
+      ethers.toQuantity(this.historyBlocks), 'latest', [this.percentile]
+    ]);
+
+    const baseFees = history.baseFeePerGas || [];
+    if (baseFees.length === 0) {
+      throw new Error('eth_feeHistory returned no base fees');
+    }
+
+    // Empty blocks report a zero reward, so only blocks with transactions count
+    const rewards = (history.reward || [])
+      .filter((reward, index) => reward && reward.length > 0 && history.gasUsedRatio[index] > 0)
+      .map(reward => BigInt(reward[0]));
+
+    return {
+      baseFee: BigInt(baseFees[baseFees.length - 1]),
+      tip: rewards.length > 0 ? medianBigInt(rewards) : null
+    };
+  }
+
+  async refresh() {
+    const feeData = await this.provider.getFeeData();
+    let baseFee = null;
+    let tip = feeData.maxPriorityFeePerGas;
+    let source = 'getFeeData';
+
+    try {
+      const history = await this.readFeeHistory();
+      baseFee = history.baseFee;
+      if (history.tip !== null) tip = history.tip;
+      source = `feeHistory p${this.percentile}`;
+    } catch (error) {
+      console.log(chalk.yellow(`  ⚠️  Fee history unavailable (${error.message.slice(0, 60)}), using getFeeData`));
+    }
+
+    const maxFeePerGas = baseFee !== null ? baseFee * this.baseFeeMultiplier + tip : feeData.maxFeePerGas;
+
+    this.current = { maxFeePerGas, maxPriorityFeePerGas: tip, baseFee, source, at: Date.now() };
+    return this.current;
+  }
+
+  // Current fees, refreshed at most every refreshMs and shared between concurrent callers
+  async getFees() {
+    if (this.current && Date.now() - this.current.at < this.refreshMs) {
+      return this.current;
+    }
+    if (!this.refreshing) {
+      this.refreshing = this.refresh().finally(() => { this.refreshing = null; });
+    }
+    return this.refreshing;
+  }
+
+  // Highest maxFeePerGas a transaction with this gas limit may ever carry
+  ceilingFor(gasLimit) {
+    if (this.maxTxFee === null) return this.maxFeePerGas;
+    const perTx = this.maxTxFee / gasLimit;
+    return perTx < this.maxFeePerGas ? perTx : this.maxFeePerGas;
+  }
+
+  // Fees for one transaction, held under the per-gas ceiling and the per-transaction cap
+  async feesFor(gasLimit) {
+    const fees = await this.getFees();
+    const ceiling = this.ceilingFor(gasLimit);
+
+    let maxFeePerGas = fees.maxFeePerGas;
+    if (maxFeePerGas > ceiling) {
+      // Still includable while the ceiling covers the base fee plus the tip
+      const floor = (fees.baseFee || 0n) + fees.maxPriorityFeePerGas;
+      if (ceiling < floor) {
+        const error = new Error(`Fee cap exceeded: base fee + tip ${formatGwei(floor)} is above the ${formatGwei(ceiling)} ceiling for ${gasLimit} gas`);
+        error.code = 'FEE_CAP_EXCEEDED';
+        throw error;
+      }
+      maxFeePerGas = ceiling;
+    }
+
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas < maxFeePerGas ? fees.maxPriorityFeePerGas : maxFeePerGas,
+      ceiling
+    };
+  }
+
+  // Hold the worst-case fee of a transaction (in wei, fee bumps included) against the run
+  // budget; returns the amount held
+  reserve(amount) {
+    if (this.budget !== null && this.spent + this.reserved + amount > this.budget) {
+      const error = new Error(`Fee budget exhausted: ${ethers.formatEther(this.spent)} BTIC spent, ${ethers.formatEther(this.reserved)} in flight, budget ${ethers.formatEther(this.budget)} BTIC`);
+      error.code = 'FEE_BUDGET_EXCEEDED';
+      throw error;
+    }
+
+    this.reserved += amount;
+    this.lastReservation = amount;
+    return amount;
+  }
+
+  // Swap a reservation for what the mined transaction actually paid
+  settle(amount, receipt) {
+    this.reserved -= amount;
+    this.spent += receipt.gasUsed * receipt.gasPrice;
+    this.gasUsed += receipt.gasUsed;
+    this.transactions++;
+  }
+
+  // The transaction was never mined - free its reservation
+  release(amount) {
+    this.reserved -= amount;
+  }
+
+  // True once not even one more transaction like the last one would fit
+  budgetExhausted() {
+    if (this.budget === null) return false;
+    return this.spent + this.reserved + this.lastReservation > this.budget;
+  }
+
+  stats() {
+    return {
+      spent: ethers.formatEther(this.spent),
+      reserved: ethers.formatEther(this.reserved),
+      budget: this.budget !== null ? ethers.formatEther(this.budget) : null,
+      transactions: this.transactions,
+      averageGasPrice: this.gasUsed > 0n ? formatGwei(this.spent / this.gasUsed) : null
+    };
+  }
+}
+
+module.exports = { FeeStrategy, formatGwei };
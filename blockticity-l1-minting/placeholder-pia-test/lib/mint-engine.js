@@ -0,0 +1,864 @@
+const { ethers } = require('ethers');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { extractMintedTokenId } = require('./transfer-events');
+const { MintJournal, computeSummary } = require('./mint-journal');
+const { readJsonVerified } = require('./atomic-json');
+const { reconcileSubmittedTokens } = require('./submitted-tx');
+const { DeadLetterStore, sourceName } = require('./dead-letter');
+const { NonceManager } = require('./nonce-manager');
+const { sendWithReplacement, worstCaseFee } = require('./tx-replacement');
+const { AdaptiveConcurrency } = require('./adaptive-concurrency');
+const { FeeStrategy, formatGwei } = require('./fee-strategy');
+const { ProviderPool, isEndpointError, withDeadline } = require('./provider-pool');
+const { ConfirmationTracker } = require('./confirmation-tracker');
+const { classifyError, isRetryable, errorAction } = require('./errors');
+const { decodeErrorRevert, formatRevert } = require('./revert-decoder');
+const { simulate, preflightSigners, assertPreflight } = require('./preflight');
+const { BalanceGuard } = require('./balance-guard');
+
+const DEFAULT_CONTRACT_ADDRESS = process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926';
+const DEFAULT_METADATA_URI = 'ipfs://QmRT8DUSsFLZrrhgyhcSwh8988xx1kKCuR5SLpDS2hWkDN';
+
+const CONTRACT_ABI = [
+  'function mintURI(address to, string uri) public',
+  'function owner() public view returns (address)',
+  'function paused() public view returns (bool)'
+];
+
+/**
+ * Range minting engine shared by every 100k drop.
+ *
+ * options:
+ *   name          - batch label stored in the mint log ("400001-500000")
+ *   startTokenId  - first logical token ID (inclusive)
+ *   endTokenId    - last logical token ID (inclusive)
+ *   tokenIds      - optional explicit token list within that range (requeue.js)
+ *   logPath       - mint log JSON path
+ *   signerKeys    - private keys, rotated round-robin
+ *   rpcEndpoints  - [{ name, url, ws }], each transaction goes to the healthiest (lib/provider-pool.js)
+ *   profile       - resolved tuning profile (see lib/tuning-profiles.js)
+ *   importFrom    - optional older mint log to seed progress from
+ *   compactEvery  - journal entries between snapshots (default 10000)
+ *   deadLetterPath - dead-letter store (default output/dead_letter.json)
+ *
+ * Progress goes to an append-only journal next to logPath (see lib/mint-journal.js);
+ * logPath itself is re-exported on compaction, on Ctrl+C and at the end of a run.
+ * A token is journaled as "submitted" the moment its transaction is broadcast and is
+ * only minted again once that transaction is known to be dropped (lib/submitted-tx.js).
+ * Concurrency starts at MINT_RATE_LIMIT and adapts to error rates and confirmation
+ * latency (lib/adaptive-concurrency.js). A mint holds its concurrency slot only until its
+ * transaction is broadcast; one shared ConfirmationTracker waits for all of them.
+ * Nonces and receipts are only read from endpoints near the chain tip, and each batch
+ * waits while the endpoints' heads are HEAD_DIVERGENCE_PAUSE blocks apart.
+ * Tokens that fail for good go to the dead-letter store (lib/dead-letter.js). A failed
+ * token that requeue.js has taken over, or that was minted elsewhere since, is skipped.
+ * Before the first batch every signer simulates a sample mint, and the run refuses to
+ * start if one would revert (lib/preflight.js). With SIMULATE_EACH_TX every mint is
+ * simulated again right before it is broadcast.
+ * Signer balances are tracked against the projected cost of further mints: a signer is
+ * taken out of rotation before it runs dry, and each batch warns when the funds left
+ * cannot cover the rest of the range (lib/balance-guard.js).
+ *
+ * Scripts with their own signer policy subclass the engine: getNextSigner() may be async,
+ * and onSignerOutcome() hears how every attempt went (multi-signer-optimized.js).
+ */
+class MintEngine {
+  constructor(options) {
+    this.name = options.name;
+    this.startTokenId = options.startTokenId;
+    this.endTokenId = options.endTokenId;
+    this.tokenIds = options.tokenIds || null;
+    this.logPath = options.logPath;
+    this.signerKeys = options.signerKeys;
+    this.rpcEndpoints = options.rpcEndpoints;
+    this.profile = options.profile;
+    this.importFrom = options.importFrom || null;
+    this.contractAddress = options.contractAddress || DEFAULT_CONTRACT_ADDRESS;
+    this.metadataUri = options.metadataUri || DEFAULT_METADATA_URI;
+
+    this.concurrency = new AdaptiveConcurrency({
+      initial: this.profile.MINT_RATE_LIMIT,
+      min: this.profile.MIN_CONCURRENCY || this.profile.MINT_RATE_LIMIT,
+      max: this.profile.MAX_CONCURRENCY || this.profile.MINT_RATE_LIMIT,
+      window: this.profile.CONCURRENCY_WINDOW,
+      maxErrorRate: this.profile.MAX_CONGESTION_RATE,
+      latencyTarget: this.profile.LATENCY_TARGET
+    });
+    this.pool = null;
+    this.tracker = null;
+    this.providers = [];
+    this.signers = [];
+    this.nonceManagers = [];
+    this.currentSignerIndex = 0;
+    this.journal = new MintJournal(this.logPath, { compactEvery: options.compactEvery });
+    this.deadLetter = new DeadLetterStore(options.deadLetterPath);
+
+    const total = this.tokenIds ? this.tokenIds.length : this.endTokenId - this.startTokenId + 1;
+    this.mintLog = {
+      batch: this.name,
+      signers: this.signerKeys.length,
+      startedAt: new Date().toISOString(),
+      tokens: {},
+      summary: { total, successful: 0, failed: 0, pending: total }
+    };
+  }
+
+  // Initialize providers and signers
+  async initializeBlockchain() {
+    console.log(chalk.blue('\n🔗 Connecting to Blockticity L1 Mainnet...'));
+    console.log(chalk.cyan(`🔄 Setting up ${this.signerKeys.length} signer(s) with ${this.rpcEndpoints.length} RPC endpoint(s)`));
+
+    this.pool = new ProviderPool(this.rpcEndpoints, {
+      timeout: this.profile.RPC_TIMEOUT,
+      maxLag: this.profile.MAX_HEAD_LAG,
+      divergenceWarn: this.profile.HEAD_DIVERGENCE_WARN,
+      divergencePause: this.profile.HEAD_DIVERGENCE_PAUSE,
+      pauseTimeout: this.profile.HEAD_PAUSE_TIMEOUT
+    });
+    this.providers = this.pool.providers();
+    await this.pool.start();
+    this.pool.printStatus();
+
+    // Reads from long-lived components fail over through the pool
+    const poolProvider = this.pool.proxy();
+
+    // Every in-flight mint is confirmed by one shared watcher
+    const wsEndpoint = this.rpcEndpoints.find(endpoint => endpoint.ws);
+    this.tracker = new ConfirmationTracker(poolProvider, {
+      wsUrl: wsEndpoint ? wsEndpoint.ws : null,
+      pollInterval: this.profile.CONFIRMATION_POLL_INTERVAL
+    });
+    await this.tracker.start();
+
+    this.signers = this.signerKeys.map((privateKey, index) => {
+      const wallet = new ethers.Wallet(privateKey, this.providers[0]);
+      console.log(chalk.cyan(`  Signer ${index}: ${wallet.address.slice(0, 10)}...${wallet.address.slice(-6)}`));
+      return wallet;
+    });
+    this.nonceManagers = this.signers.map((signer, index) =>
+      new NonceManager(poolProvider, signer.address, { label: `Signer ${index}` })
+    );
+    this.fees = new FeeStrategy(poolProvider, {
+      percentile: this.profile.FEE_PERCENTILE,
+      historyBlocks: this.profile.FEE_HISTORY_BLOCKS,
+      baseFeeMultiplier: this.profile.BASE_FEE_MULTIPLIER,
+      maxFeePerGasGwei: this.profile.MAX_FEE_PER_GAS_GWEI,
+      maxTxFeeBtic: this.profile.MAX_TX_FEE_BTIC,
+      runBudgetBtic: this.profile.RUN_BUDGET_BTIC
+    });
+    this.balances = new BalanceGuard(poolProvider, this.signers.map(signer => signer.address), {
+      gasPerMint: this.profile.GAS_PER_MINT,
+      reserveMints: this.profile.BALANCE_RESERVE_MINTS
+    });
+
+    try {
+      const network = await poolProvider.getNetwork();
+      console.log(chalk.green(`✅ Connected to network: chainId ${network.chainId}`));
+
+      const balances = await this.balances.refresh();
+      balances.forEach((balance, i) => {
+        console.log(chalk.green(`💰 Signer ${i} balance: ${ethers.formatEther(balance)} BTIC`));
+      });
+
+      await this.syncNonces();
+
+      const fees = await this.fees.getFees();
+      console.log(chalk.green(`⛽ Fees (${fees.source}): max ${formatGwei(fees.maxFeePerGas)}, tip ${formatGwei(fees.maxPriorityFeePerGas)}${this.fees.budget !== null ? `, run budget ${this.fees.stats().budget} BTIC` : ''}`));
+      this.balances.setFeePerGas(fees.maxFeePerGas);
+
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Network info unavailable, continuing...`));
+    }
+
+    // Every mint needs a nonce; one more try, then refuse to start rather than fail them all
+    if (this.nonceManagers.some(manager => manager.next === null)) {
+      await this.syncNonces();
+      const unsynced = this.nonceManagers.map((manager, index) => manager.next === null ? index : null).filter(index => index !== null);
+      if (unsynced.length > 0) {
+        this.pool.stop();
+        this.tracker.stop();
+        throw new Error(`Could not read nonces for signer(s) ${unsynced.join(', ')} - check the RPC endpoints and rerun`);
+      }
+    }
+  }
+
+  // Round-robin signer selection, skipping signers the balance guard has taken out of
+  // rotation. Null when none is left.
+  getNextSigner() {
+    for (let tried = 0; tried < this.signers.length; tried++) {
+      const index = this.currentSignerIndex;
+      this.currentSignerIndex = (this.currentSignerIndex + 1) % this.signers.length;
+      if (this.balances.usable(index)) {
+        return { signer: this.signers[index], index };
+      }
+    }
+    return null;
+  }
+
+  // Re-read balances and the current fee, then warn if the funds left can't mint `remaining`
+  async checkBalances(remaining) {
+    try {
+      await this.balances.refresh();
+      const fees = await this.fees.getFees();
+      this.balances.setFeePerGas(fees.maxFeePerGas);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Balance check failed: ${error.message}`));
+    }
+    return this.balances.checkRange(remaining);
+  }
+
+  // Reconcile every signer's nonces with the chain (see lib/nonce-manager.js)
+  async syncNonces() {
+    console.log(chalk.cyan('🔄 Syncing signer nonces...'));
+
+    await Promise.all(this.nonceManagers.map(async (manager, index) => {
+      try {
+        await manager.sync();
+        const stats = manager.stats();
+        console.log(chalk.cyan(`  Signer ${index}: confirmed ${stats.confirmed}, next ${stats.next}, ${stats.broadcast} in flight, ${stats.gaps} gap(s)`));
+      } catch (error) {
+        console.log(chalk.yellow(`  ⚠️  Signer ${index} nonce sync failed: ${error.message}`));
+      }
+    }));
+  }
+
+  // Plug nonce gaps nothing is left to fill, so later transactions are not stuck behind them
+  async fillNonceGaps() {
+    await this.syncNonces();
+    for (let i = 0; i < this.signers.length; i++) {
+      await this.nonceManagers[i].fillGaps(this.signers[i].connect(this.pool.get([], 'write').provider));
+    }
+  }
+
+  // Simulate a mint of `sampleTokenId` from every signer; throws if one would revert
+  async preflight(sampleTokenId) {
+    const metadataUri = await this.buildMetadataUri(sampleTokenId);
+    const contract = new ethers.Contract(this.contractAddress, CONTRACT_ABI, this.pool.proxy());
+    const results = await preflightSigners(contract, this.signers, address => ({ method: 'mintURI', args: [address, metadataUri] }));
+    return assertPreflight(results);
+  }
+
+  // Called after every attempt that had a signer: errorType is null on success. The engine
+  // itself doesn't use it; subclasses track signer health with it.
+  onSignerOutcome(index, errorType) {}
+
+  // Build metadata URI
+  async buildMetadataUri(tokenId) {
+    return this.metadataUri;
+  }
+
+  // Calculate backoff delay with jitter
+  calculateBackoffDelay(retryCount) {
+    const exponentialDelay = Math.min(this.profile.RETRY_DELAY * Math.pow(2, retryCount), this.profile.MAX_RETRY_DELAY);
+    const jitter = Math.random() * 1000;
+    return exponentialDelay + jitter;
+  }
+
+  // Send the mint and wait for it, replacing it with higher fees (then a cancel) while it
+  // sits unmined - see lib/tx-replacement.js. Fees and the run budget come from this.fees.
+  // onBroadcast(tx, kind, rpcName) runs with every signed transaction before it is sent, so
+  // its hash is on record even if the send's answer is lost. The calls before the broadcast
+  // each get RPC_TIMEOUT, so a stalled endpoint can't hold the nonce.
+  async sendTransactionWithTimeout(tokenId, metadataUri, signerData, nonce, onBroadcast) {
+    const { provider, rpcName, endpoint } = this.pool.get([], 'write');
+    const wallet = signerData.signer.connect(provider);
+    const contract = new ethers.Contract(this.contractAddress, CONTRACT_ABI, wallet);
+    const deadline = promise => withDeadline(promise, this.profile.RPC_TIMEOUT, rpcName);
+
+    let gasLimit;
+    try {
+      const gasEstimate = await deadline(contract.mintURI.estimateGas(wallet.address, metadataUri));
+      gasLimit = gasEstimate * 130n / 100n;
+    } catch (gasError) {
+      // The endpoint failing is its fault, not the estimate's - retry elsewhere
+      if (isEndpointError(gasError)) {
+        this.pool.report(endpoint, gasError);
+        throw gasError;
+      }
+      gasLimit = 300000n;
+    }
+
+    const request = await contract.mintURI.populateTransaction(wallet.address, metadataUri);
+    // Fee reads go through the pool, which reports on its own endpoints
+    const fees = await deadline(this.fees.feesFor(gasLimit));
+    const policy = {
+      REPLACE_AFTER: this.profile.REPLACE_AFTER,
+      MAX_REPLACEMENTS: this.profile.MAX_REPLACEMENTS,
+      FEE_BUMP_PERCENT: this.profile.FEE_BUMP_PERCENT,
+      MAX_FEE_PER_GAS: fees.ceiling,
+      CANCEL_WAIT: this.profile.TX_TIMEOUT
+    };
+    // Held at what the last fee bump or the cancel could cost, not the first send
+    const worstCase = worstCaseFee(gasLimit, fees.maxFeePerGas, policy);
+    const reservation = this.fees.reserve(worstCase);
+    const held = this.balances.reserve(signerData.index, worstCase);
+
+    try {
+      const receipt = await sendWithReplacement(wallet, {
+        ...request,
+        gasLimit,
+        nonce,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+      }, policy, {
+        tracker: this.tracker,
+        onBroadcast: async (tx, kind) => {
+          if (kind === 'original') {
+            console.log(chalk.yellow(`  🎨 ${tokenId}: ${tx.hash.slice(0, 10)}... (S${signerData.index}, N${nonce}, ${rpcName})`));
+          }
+          await onBroadcast(tx, kind, rpcName);
+        }
+      });
+      this.fees.settle(reservation, receipt);
+      this.balances.settle(signerData.index, held, receipt);
+      this.pool.report(endpoint);
+      return receipt;
+    } catch (error) {
+      this.pool.report(endpoint, error);
+
+      // A mined cancel or revert still paid its fee
+      if (error.cancelReceipt || error.receipt) {
+        this.fees.settle(reservation, error.cancelReceipt || error.receipt);
+        this.balances.settle(signerData.index, held, error.cancelReceipt || error.receipt, !error.cancelReceipt);
+      } else {
+        this.fees.release(reservation);
+        this.balances.release(signerData.index, held);
+      }
+      throw error;
+    }
+  }
+
+  // Mint single token with retries. `release` gives the concurrency slot back; it is called
+  // once the transaction is out, so waiting for the receipt doesn't hold a slot.
+  async mintSingleToken(tokenId, retryCount = 0, release = () => {}) {
+    const mintLog = this.mintLog;
+    let nonceManager = null;
+    let nonce = null;
+    let signerIndex = null;
+    let broadcast = false;
+    let broadcastAt = null;
+    let unsubmitted = null;
+
+    try {
+      if (!mintLog.tokens[tokenId]) {
+        mintLog.tokens[tokenId] = {
+          tokenId: tokenId,
+          status: 'pending',
+          attempts: 0,
+          startedAt: new Date().toISOString()
+        };
+      }
+
+      // A retry after a timeout: the earlier transaction may still land
+      if (mintLog.tokens[tokenId].status === 'submitted') {
+        await this.reconcileSubmitted([tokenId], 0);
+        if (mintLog.tokens[tokenId].status === 'completed') return true;
+        if (mintLog.tokens[tokenId].status === 'submitted') {
+          throw new Error(`Previous transaction ${mintLog.tokens[tokenId].txHash} is still pending`);
+        }
+      }
+
+      mintLog.tokens[tokenId].attempts = (mintLog.tokens[tokenId].attempts || 0) + 1;
+
+      const metadataUri = await this.buildMetadataUri(tokenId);
+      const signerData = await this.getNextSigner();
+      if (!signerData) {
+        const error = new Error('Every signer is out of rotation for low funds');
+        error.code = 'FUNDS_EXHAUSTED';
+        throw error;
+      }
+      signerIndex = signerData.index;
+
+      // Before a nonce is taken, so a revert found here fails the token without spending gas
+      if (this.profile.SIMULATE_EACH_TX) {
+        const contract = new ethers.Contract(this.contractAddress, CONTRACT_ABI, this.pool.proxy());
+        await simulate(contract, 'mintURI', [signerData.signer.address, metadataUri], signerData.signer.address);
+      }
+
+      nonceManager = this.nonceManagers[signerData.index];
+      nonce = nonceManager.issue();
+
+      const receipt = await this.sendTransactionWithTimeout(tokenId, metadataUri, signerData, nonce, async (tx, kind, rpcName) => {
+        broadcast = true;
+        broadcastAt = broadcastAt || Date.now();
+        nonceManager.markBroadcast(nonce, tx.hash);
+
+        // Replacements and the cancel share the nonce; keep every hash so a restart checks them all
+        if (kind !== 'original') {
+          mintLog.tokens[tokenId] = {
+            ...mintLog.tokens[tokenId],
+            replacements: [...(mintLog.tokens[tokenId].replacements || []), {
+              hash: tx.hash,
+              kind: kind,
+              maxFeePerGas: tx.maxFeePerGas.toString(),
+              maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+              at: new Date().toISOString()
+            }]
+          };
+          await this.journal.recordToken(tokenId, mintLog.tokens[tokenId]);
+          return;
+        }
+
+        unsubmitted = mintLog.tokens[tokenId];
+        mintLog.tokens[tokenId] = {
+          ...mintLog.tokens[tokenId],
+          status: 'submitted',
+          metadataUri: metadataUri,
+          txHash: tx.hash,
+          signerIndex: signerData.index,
+          signerAddress: signerData.signer.address,
+          nonce: nonce,
+          rpc: rpcName,
+          submittedAt: new Date().toISOString()
+        };
+        await this.journal.recordToken(tokenId, mintLog.tokens[tokenId]);
+        release();
+      });
+      nonceManager.markConfirmed(nonce);
+      this.concurrency.record({ latencyMs: Date.now() - broadcastAt });
+      const onChainTokenId = extractMintedTokenId(receipt, this.contractAddress);
+
+      if (onChainTokenId === null) {
+        console.log(chalk.yellow(`  ⚠️  ${tokenId}: no Transfer event in receipt ${receipt.hash.slice(0, 10)}...`));
+      }
+
+      mintLog.tokens[tokenId] = {
+        ...mintLog.tokens[tokenId],
+        status: 'completed',
+        onChainTokenId: onChainTokenId,
+        metadataUri: metadataUri,
+        txHash: receipt.hash,
+        ...(receipt.hash !== mintLog.tokens[tokenId].txHash && { originalTxHash: mintLog.tokens[tokenId].txHash }),
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: receipt.gasPrice.toString(),
+        signerIndex: signerData.index,
+        signerAddress: signerData.signer.address,
+        nonce: nonce,
+        completedAt: new Date().toISOString()
+      };
+      await this.journal.recordToken(tokenId, mintLog.tokens[tokenId]);
+      this.deadLetter.resolve(tokenId, mintLog.tokens[tokenId], this.logPath);
+
+      console.log(chalk.green(`  ✅ ${tokenId}: Block ${receipt.blockNumber} → #${onChainTokenId} (S${signerData.index})`));
+      this.onSignerOutcome(signerData.index, null);
+      return true;
+
+    } catch (error) {
+      release();
+      const errorType = classifyError(error);
+      const revert = decodeErrorRevert(error);
+      console.error(chalk.red(`  ❌ ${tokenId}: ${errorType} - ${error.message.slice(0, 80)}`));
+      if (revert) {
+        console.error(chalk.red(`  🔎 ${tokenId}: ${formatRevert(revert)}`));
+      }
+      this.concurrency.record({ errorType });
+
+      // The node refused the mint outright, so the "submitted" record was premature
+      if (error.unsent && unsubmitted) {
+        broadcast = false;
+        nonceManager.markRejected(nonce);
+        mintLog.tokens[tokenId] = { ...unsubmitted, attempts: mintLog.tokens[tokenId].attempts };
+        await this.journal.recordToken(tokenId, mintLog.tokens[tokenId]);
+      }
+
+      // A reverted transaction was mined, so its nonce is used up
+      if (nonceManager && nonce !== null && error.receipt) {
+        nonceManager.markConfirmed(nonce);
+      }
+
+      // Give the nonce back unless a transaction actually went out with it
+      if (nonceManager && nonce !== null && !broadcast) {
+        if (errorType === 'NONCE_ERROR' || errorType === 'REPLACEMENT_UNDERPRICED') {
+          nonceManager.discard(nonce);
+        } else if (errorType === 'ALREADY_KNOWN') {
+          nonceManager.markBroadcast(nonce, null);
+        } else {
+          nonceManager.release(nonce);
+        }
+      }
+
+      if (signerIndex !== null) {
+        this.onSignerOutcome(signerIndex, errorType === 'ALREADY_KNOWN' ? null : errorType);
+      }
+
+      // Handle "already known" as success
+      if (errorType === 'ALREADY_KNOWN') {
+        mintLog.tokens[tokenId] = {
+          ...mintLog.tokens[tokenId],
+          status: 'completed',
+          metadataUri: await this.buildMetadataUri(tokenId),
+          txHash: 'already_known',
+          completedAt: new Date().toISOString(),
+          note: 'Transaction already known'
+        };
+        await this.journal.recordToken(tokenId, mintLog.tokens[tokenId]);
+        this.deadLetter.resolve(tokenId, mintLog.tokens[tokenId], this.logPath);
+
+        console.log(chalk.blue(`  📝 ${tokenId}: Marked as completed (already known)`));
+        return true;
+      }
+
+      // Reconcile nonces on nonce errors and timeouts (the transaction may have gone out)
+      if (errorType === 'NONCE_ERROR' || errorType === 'NETWORK_ERROR') {
+        console.log(chalk.yellow(`  🔄 ${errorType} detected, syncing nonces...`));
+        await this.syncNonces();
+      }
+
+      // The node says this signer can't pay: take it out of rotation and mint with another
+      if (errorType === 'INSUFFICIENT_FUNDS' && signerIndex !== null) {
+        this.balances.markEmpty(signerIndex);
+        if (!this.balances.exhausted()) {
+          return this.concurrency.runReleasable(next => this.mintSingleToken(tokenId, retryCount, next));
+        }
+        return false;
+      }
+
+      // Out of budget or funds: nothing was sent, the token stays queued for the next run
+      if (errorType === 'BUDGET_EXCEEDED' || errorType === 'FUNDS_EXHAUSTED') {
+        return false;
+      }
+
+      if (retryCount < this.profile.RETRY_ATTEMPTS && isRetryable(errorType)) {
+        // A rate-limited retry goes to another endpoint, or waits out the pause in the throttle
+        const delay = errorType === 'RATE_LIMIT' ? Math.random() * 1000 : this.calculateBackoffDelay(retryCount);
+        console.log(chalk.yellow(`  🔄 ${tokenId}: Retry ${retryCount + 1}/${this.profile.RETRY_ATTEMPTS} in ${(delay/1000).toFixed(1)}s`));
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return this.concurrency.runReleasable(next => this.mintSingleToken(tokenId, retryCount + 1, next));
+      }
+
+      // Never mark a broadcast transaction failed unless it reverted - the next run checks it again
+      if (mintLog.tokens[tokenId].status === 'submitted' && !error.receipt) {
+        console.log(chalk.yellow(`  ⏳ ${tokenId}: Leaving ${mintLog.tokens[tokenId].txHash.slice(0, 10)}... submitted`));
+        return false;
+      }
+
+      console.log(chalk.gray(`  💡 ${tokenId}: ${errorAction(errorType)}`));
+      mintLog.tokens[tokenId] = {
+        ...mintLog.tokens[tokenId],
+        status: 'failed',
+        error: error.message,
+        errorType: errorType,
+        ...(revert && { revert: revert }),
+        ...(error.simulated && { simulated: true }),
+        ...(error.receipt && {
+          txHash: error.receipt.hash,
+          blockNumber: error.receipt.blockNumber,
+          gasUsed: error.receipt.gasUsed.toString()
+        }),
+        failedAt: new Date().toISOString(),
+        finalAttempt: retryCount + 1
+      };
+      await this.journal.recordToken(tokenId, mintLog.tokens[tokenId]);
+      this.deadLetter.record(tokenId, mintLog.tokens[tokenId], this.logPath);
+
+      return false;
+    }
+  }
+
+  // Process one batch concurrently
+  async processBatch(batch, batchNum, totalBatches) {
+    const startTime = Date.now();
+
+    console.log(chalk.blue(`\n📦 Batch ${batchNum}/${totalBatches}: ${batch.length} tokens`));
+    console.log(chalk.blue(`🎯 Range: ${batch[0]} to ${batch[batch.length - 1]}`));
+
+    const results = await Promise.all(batch.map(tokenId =>
+      this.concurrency.runReleasable(release => this.mintSingleToken(tokenId, 0, release))
+    ));
+
+    const successful = results.filter(Boolean).length;
+    const failed = results.length - successful;
+    const duration = (Date.now() - startTime) / 1000;
+    const rate = batch.length / duration;
+    this.refreshSummary();
+
+    console.log(chalk.cyan(`📊 Batch ${batchNum} complete: ${successful} success, ${failed} failed in ${duration.toFixed(1)}s (${rate.toFixed(1)} tokens/sec, concurrency ${this.concurrency.limit})`));
+    console.log(chalk.cyan(`📈 Total progress: ${this.mintLog.summary.successful} minted, ${this.mintLog.summary.failed} failed, ${this.mintLog.summary.pending} pending`));
+
+    await this.journal.flush();
+    await this.deadLetter.save();
+    if (this.journal.needsCompaction()) {
+      await this.checkpoint();
+    }
+  }
+
+  // Replay the journal, or seed progress from an older log
+  async loadExistingProgress() {
+    const state = await this.journal.load();
+
+    if (Object.keys(state.tokens).length > 0 || Object.keys(state.meta).length > 0) {
+      this.mintLog = { ...this.mintLog, ...state.meta, tokens: state.tokens };
+      this.refreshSummary();
+      console.log(chalk.green(`✅ Loaded existing progress`));
+      console.log(chalk.cyan(`📊 Status: ${this.mintLog.summary.successful} minted, ${this.mintLog.summary.failed} failed, ${this.mintLog.summary.pending} pending`));
+      return true;
+    }
+
+    const { data: importedLog } = this.importFrom ? await readJsonVerified(this.importFrom) : {};
+    if (importedLog) {
+      console.log(chalk.blue(`📥 Found progress in ${path.basename(this.importFrom)}, importing...`));
+
+      this.mintLog = {
+        ...this.mintLog,
+        tokens: importedLog.tokens || {},
+        importedFrom: this.importFrom,
+        importedAt: new Date().toISOString()
+      };
+      this.refreshSummary();
+      await this.checkpoint();
+
+      console.log(chalk.green(`✅ Imported progress`));
+      console.log(chalk.cyan(`📊 Status: ${this.mintLog.summary.successful} minted, ${this.mintLog.summary.failed} failed, ${this.mintLog.summary.pending} pending`));
+      return true;
+    }
+
+    await fs.ensureDir(path.dirname(this.logPath));
+    await this.journal.recordMeta({ batch: this.mintLog.batch, signers: this.mintLog.signers, startedAt: this.mintLog.startedAt });
+    return false;
+  }
+
+  // Token IDs this run covers: the explicit list, or the whole range
+  scope() {
+    if (this.tokenIds) return this.tokenIds;
+    return Array.from({ length: this.endTokenId - this.startTokenId + 1 }, (_, i) => this.startTokenId + i);
+  }
+
+  // Tokens in range that are not yet completed, leaving out failed tokens another log owns now
+  findPendingTokens() {
+    const pendingTokens = [];
+    for (const tokenId of this.scope()) {
+      const token = this.mintLog.tokens[tokenId];
+      if (token && token.status === 'failed' && this.ownedElsewhere(tokenId)) continue;
+      if (!token || token.status === 'pending' || token.status === 'failed') {
+        pendingTokens.push(tokenId);
+      }
+    }
+    return pendingTokens;
+  }
+
+  // Whether a dead-lettered token was handed to a requeue run writing another log
+  ownedElsewhere(tokenId) {
+    const entry = this.deadLetter.get(tokenId);
+    return Boolean(entry && entry.status === 'requeued' && entry.requeueLog !== sourceName(this.logPath));
+  }
+
+  // Failed tokens that have been minted by another script since: completed here too
+  async applyDeadLetterResolutions() {
+    let resolved = 0;
+    for (const tokenId of this.scope()) {
+      const token = this.mintLog.tokens[tokenId];
+      const entry = token && token.status === 'failed' ? this.deadLetter.get(tokenId) : null;
+      if (!entry || entry.status !== 'resolved') continue;
+
+      this.mintLog.tokens[tokenId] = {
+        ...token,
+        status: 'completed',
+        txHash: entry.resolvedTxHash,
+        completedAt: entry.resolvedAt,
+        resolvedIn: entry.resolvedIn
+      };
+      await this.journal.recordToken(tokenId, this.mintLog.tokens[tokenId]);
+      resolved++;
+    }
+
+    if (resolved > 0) {
+      this.refreshSummary();
+      console.log(chalk.green(`✅ ${resolved} failed token(s) were minted by a requeue since, marked completed`));
+    }
+  }
+
+  // Tokens in range whose transaction was broadcast but never confirmed
+  findSubmittedTokens() {
+    const submittedTokens = [];
+    for (const tokenId of this.scope()) {
+      const token = this.mintLog.tokens[tokenId];
+      if (token && token.status === 'submitted') {
+        submittedTokens.push(tokenId);
+      }
+    }
+    return submittedTokens;
+  }
+
+  // Resolve submitted tokens against the chain, journaling whatever changed
+  async reconcileSubmitted(tokenIds, waitMs) {
+    return reconcileSubmittedTokens(this.mintLog.tokens, tokenIds, this.providers, {
+      contractAddress: this.contractAddress,
+      waitMs,
+      onUpdate: async (tokenId, token) => {
+        await this.journal.recordToken(tokenId, token);
+        if (token.status === 'failed') this.deadLetter.record(tokenId, token, this.logPath);
+        if (token.status === 'completed') this.deadLetter.resolve(tokenId, token, this.logPath);
+      }
+    });
+  }
+
+  refreshSummary() {
+    this.mintLog.summary = computeSummary(this.mintLog.tokens, this.startTokenId, this.endTokenId, this.tokenIds);
+  }
+
+  // Split the in-memory log into journal state: top-level fields vs tokens
+  getJournalState() {
+    const { tokens, summary, ...meta } = this.mintLog;
+    return { meta, tokens };
+  }
+
+  // Compact the journal into a snapshot and re-export logPath for the status tools
+  async checkpoint() {
+    const state = this.getJournalState();
+    await this.journal.compact(state);
+    await this.journal.exportMintLog(state, this.mintLog.summary);
+  }
+
+  printProgress() {
+    console.log(chalk.green(`   ✅ Successful: ${this.mintLog.summary.successful.toLocaleString()}`));
+    console.log(chalk.red(`   ❌ Failed: ${this.mintLog.summary.failed}`));
+    console.log(chalk.yellow(`   ⏳ Pending: ${this.mintLog.summary.pending.toLocaleString()}`));
+  }
+
+  // Save progress on Ctrl+C
+  registerShutdownHandler() {
+    process.on('SIGINT', async () => {
+      console.log(chalk.yellow('\n⏸️  Received interrupt signal...'));
+      console.log(chalk.cyan('📊 Current progress:'));
+      this.printProgress();
+
+      this.mintLog.pausedAt = new Date().toISOString();
+      this.refreshSummary();
+      await this.checkpoint();
+      await this.deadLetter.save();
+      console.log(chalk.cyan(`💾 Progress saved to: ${this.logPath}`));
+
+      process.exit(0);
+    });
+  }
+
+  async run() {
+    const profile = this.profile;
+
+    console.log(chalk.cyan(`🚀 Blockticity Batch ${this.name} Minting`));
+    console.log(chalk.cyan('='.repeat(60)));
+    console.log(chalk.yellow(`🎯 Token Range: ${this.startTokenId.toLocaleString()} - ${this.endTokenId.toLocaleString()}${this.tokenIds ? ` (${this.tokenIds.length.toLocaleString()} selected)` : ''}`));
+    console.log(chalk.yellow(`⚡ Settings: ${this.concurrency.limit} concurrent (${this.concurrency.min}-${this.concurrency.max}), ${profile.BATCH_SIZE} per batch, ${this.signerKeys.length} signer(s)`));
+    console.log(chalk.yellow(`💾 Mint log: ${this.logPath}`));
+
+    this.registerShutdownHandler();
+
+    await this.loadExistingProgress();
+    await this.deadLetter.load();
+    await this.applyDeadLetterResolutions();
+
+    // Settle transactions broadcast by an earlier run before anything is re-queued
+    const submittedTokens = this.findSubmittedTokens();
+    if (submittedTokens.length > 0) {
+      console.log(chalk.blue(`\n🔎 Checking ${submittedTokens.length} submitted transaction(s) from the last run...`));
+      await this.initializeBlockchain();
+      const counts = await this.reconcileSubmitted(submittedTokens, profile.TX_TIMEOUT);
+      this.refreshSummary();
+      console.log(chalk.cyan(`📊 ${counts.mined} mined, ${counts.reverted} reverted, ${counts.cancelled} cancelled, ${counts.dropped} dropped, ${counts.pending + counts.unknown + counts.audit} still unresolved${counts.audit > 0 ? ` (${counts.audit} need an audit-mints.js run)` : ''}`));
+    }
+
+    const pendingTokens = this.findPendingTokens();
+    console.log(chalk.cyan(`\n🎯 Tokens to process: ${pendingTokens.length.toLocaleString()}`));
+
+    const requeued = this.scope().filter(tokenId => this.mintLog.tokens[tokenId] && this.mintLog.tokens[tokenId].status === 'failed' && this.ownedElsewhere(tokenId)).length;
+    if (requeued > 0) {
+      console.log(chalk.yellow(`⚠️  ${requeued} failed token(s) were handed to requeue.js and are skipped here`));
+    }
+
+    const unresolved = this.findSubmittedTokens().length;
+    if (unresolved > 0) {
+      console.log(chalk.yellow(`⚠️  ${unresolved} token(s) still have an unconfirmed transaction and are skipped this run`));
+    }
+
+    if (pendingTokens.length === 0) {
+      await this.deadLetter.save();
+      console.log(chalk.green(unresolved > 0 ? '✅ Nothing left to mint' : '✅ All tokens completed!'));
+      if (this.pool) this.pool.stop();
+      if (this.tracker) this.tracker.stop();
+      return this.mintLog;
+    }
+
+    if (this.signers.length === 0) {
+      await this.initializeBlockchain();
+    }
+    try {
+      await this.preflight(pendingTokens[0]);
+    } catch (error) {
+      this.pool.stop();
+      this.tracker.stop();
+      throw error;
+    }
+
+    const startTime = Date.now();
+    const totalBatches = Math.ceil(pendingTokens.length / profile.BATCH_SIZE);
+    this.balances.checkRange(pendingTokens.length);
+
+    for (let i = 0; i < pendingTokens.length; i += profile.BATCH_SIZE) {
+      if (this.fees.budgetExhausted()) {
+        const fees = this.fees.stats();
+        console.log(chalk.red(`\n💸 Run budget of ${fees.budget} BTIC reached (${fees.spent} spent) - stopping with ${pendingTokens.length - i} token(s) left`));
+        break;
+      }
+      if (this.balances.exhausted()) {
+        console.log(chalk.red(`\n🪫 Every signer is out of rotation for low funds - stopping with ${pendingTokens.length - i} token(s) left; top up and rerun`));
+        break;
+      }
+
+      const batch = pendingTokens.slice(i, i + profile.BATCH_SIZE);
+      const batchNum = Math.floor(i / profile.BATCH_SIZE) + 1;
+
+      // Warn about, or wait out, endpoints whose heads have drifted apart
+      await this.pool.awaitHeads();
+
+      const batchStart = Date.now();
+      await this.processBatch(batch, batchNum, totalBatches);
+
+      if (i + profile.BATCH_SIZE < pendingTokens.length) {
+        // Only pause when the batch had to back off
+        if (this.concurrency.lastDecreaseAt >= batchStart) {
+          console.log(chalk.yellow(`⏸️  Stability pause ${profile.BATCH_DELAY/1000}s...`));
+          await new Promise(resolve => setTimeout(resolve, profile.BATCH_DELAY));
+        }
+
+        if (profile.NONCE_SYNC_INTERVAL && batchNum % profile.NONCE_SYNC_INTERVAL === 0) {
+          await this.syncNonces();
+        }
+
+        // Picks up top-ups and fee changes; warns again while the range is short of funds
+        await this.checkBalances(pendingTokens.length - i - profile.BATCH_SIZE);
+      }
+    }
+
+    await this.fillNonceGaps();
+    this.pool.stop();
+    this.tracker.stop();
+
+    const duration = (Date.now() - startTime) / 1000 / 60;
+
+    console.log(chalk.cyan('\n' + '='.repeat(60)));
+    console.log(chalk.green(`✅ Batch ${this.name} Complete!`));
+    console.log(chalk.cyan(`⏱️  Duration: ${duration.toFixed(2)} minutes`));
+    console.log(chalk.cyan(`🎛️  Concurrency: ended at ${this.concurrency.limit} after ${this.concurrency.history.length} adjustment(s)`));
+    const fees = this.fees.stats();
+    console.log(chalk.cyan(`⛽ Fees: ${fees.spent} BTIC over ${fees.transactions} transaction(s)${fees.averageGasPrice ? `, average ${fees.averageGasPrice}` : ''}${fees.budget !== null ? ` (budget ${fees.budget})` : ''}`));
+    const confirmations = this.tracker.stats();
+    console.log(chalk.cyan(`📬 Confirmations: ${confirmations.confirmed} via ${confirmations.mode}, ${confirmations.blocks} block(s) read, ${confirmations.directChecks} direct receipt check(s)`));
+    console.log(chalk.cyan('📡 RPC endpoints:'));
+    this.pool.printStatus();
+    this.balances.printStatus();
+    console.log(chalk.cyan('📊 Final Stats:'));
+    this.printProgress();
+    await this.deadLetter.save();
+    this.deadLetter.printSummary();
+
+    this.mintLog.completedAt = new Date().toISOString();
+    await this.checkpoint();
+
+    return this.mintLog;
+  }
+}
+
+module.exports = { MintEngine, classifyError, CONTRACT_ABI };
@@ -0,0 +1,189 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { writeJsonAtomic, readJsonVerified } = require('./atomic-json');
+
+/**
+ * Append-only storage for mint progress.
+ *
+ * For a mint log at output/batch_x_mint_log.json it keeps:
+ *   output/batch_x_mint_log.snapshot.json  - compacted { meta, tokens }
+ *   output/batch_x_mint_log.journal.jsonl  - one line per change since the snapshot
+ *   output/batch_x_mint_log.journal.prev.jsonl - the segment folded into the last snapshot
+ *
+ * Journal lines are { ts, tokenId, token } (full token record, last one wins) or
+ * { ts, meta } (top-level fields such as completedAt). The mint log itself is only
+ * written by exportMintLog(), in the shape analyze_mint_log.js and friends expect.
+ *
+ * Snapshots and exports go through lib/atomic-json.js. If the snapshot has to be restored
+ * from its first backup, replaying the previous segment first brings it back up to date.
+ */
+class MintJournal {
+  constructor(logPath, options = {}) {
+    const base = logPath.replace(/\.json$/, '');
+
+    this.logPath = logPath;
+    this.snapshotPath = `${base}.snapshot.json`;
+    this.journalPath = `${base}.journal.jsonl`;
+    this.previousJournalPath = `${base}.journal.prev.jsonl`;
+    this.compactEvery = options.compactEvery || 10000;
+
+    this.eventsSinceCompaction = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // True once the engine has taken this log over (snapshot or journal on disk)
+  async isJournaled() {
+    return await fs.pathExists(this.snapshotPath) ||
+      await fs.pathExists(`${this.snapshotPath}.bak.1`) ||
+      await fs.pathExists(this.journalPath);
+  }
+
+  // Rebuild { meta, tokens } from the snapshot plus the journal
+  async load() {
+    let state = { meta: {}, tokens: {} };
+    const snapshot = await readJsonVerified(this.snapshotPath);
+
+    if (snapshot.data) {
+      state = snapshot.data;
+
+      if (snapshot.restoredFrom === 1 && await fs.pathExists(this.previousJournalPath)) {
+        this.replay(state, await fs.readFile(this.previousJournalPath, 'utf8'), this.previousJournalPath);
+      } else if (snapshot.restoredFrom) {
+        console.log(chalk.red(`❌ Snapshot restored from an older backup - changes from up to ${snapshot.restoredFrom} compactions ago may be missing`));
+      }
+    } else {
+      // First run against a log written by the old writeJson scripts
+      const legacy = await readJsonVerified(this.logPath);
+      if (legacy.data) {
+        const { tokens = {}, summary, ...meta } = legacy.data;
+        state = { meta, tokens };
+        console.log(chalk.blue(`📥 Migrating ${path.basename(this.logPath)} into the journal...`));
+        await this.writeSnapshot(state);
+      }
+    }
+
+    if (await fs.pathExists(this.journalPath)) {
+      let content = await fs.readFile(this.journalPath, 'utf8');
+
+      // A missing trailing newline means the process died mid-append; drop the torn line
+      // so the next append does not get glued onto it
+      if (content && !content.endsWith('\n')) {
+        content = content.slice(0, content.lastIndexOf('\n') + 1);
+        await fs.writeFile(this.journalPath, content);
+        console.log(chalk.yellow(`⚠️  Dropped incomplete last journal line`));
+      }
+
+      const replayed = this.replay(state, content, this.journalPath);
+      this.eventsSinceCompaction = replayed;
+      console.log(chalk.cyan(`📜 Replayed ${replayed.toLocaleString()} journal entries`));
+    }
+
+    return state;
+  }
+
+  // Apply journal lines to state; returns how many were applied
+  replay(state, content, sourcePath) {
+    let replayed = 0;
+
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Corrupt journal line ${index + 1} in ${sourcePath}: ${error.message}`);
+      }
+
+      if (event.meta) {
+        Object.assign(state.meta, event.meta);
+      } else {
+        state.tokens[event.tokenId] = event.token;
+      }
+      replayed++;
+    });
+
+    return replayed;
+  }
+
+  // Queue a line; appends are serialized so a token's updates land in order
+  append(event) {
+    const line = JSON.stringify({ ts: new Date().toISOString(), ...event }) + '\n';
+    this.eventsSinceCompaction++;
+    this.writeQueue = this.writeQueue.then(() => fs.appendFile(this.journalPath, line));
+    return this.writeQueue;
+  }
+
+  recordToken(tokenId, token) {
+    return this.append({ tokenId: String(tokenId), token });
+  }
+
+  recordMeta(meta) {
+    return this.append({ meta });
+  }
+
+  // Wait until every queued line is on disk
+  async flush() {
+    await this.writeQueue;
+  }
+
+  needsCompaction() {
+    return this.eventsSinceCompaction >= this.compactEvery;
+  }
+
+  async writeSnapshot(state) {
+    await writeJsonAtomic(this.snapshotPath, state);
+  }
+
+  // Fold the journal into a fresh snapshot and start an empty journal
+  async compact(state) {
+    await this.flush();
+    await this.writeSnapshot(state);
+    if (await fs.pathExists(this.journalPath)) {
+      await fs.move(this.journalPath, this.previousJournalPath, { overwrite: true });
+    }
+    await fs.writeFile(this.journalPath, '');
+    this.eventsSinceCompaction = 0;
+  }
+
+  // Write the classic mint_log.json shape
+  async exportMintLog(state, summary, outputPath = this.logPath) {
+    await writeJsonAtomic(outputPath, { ...state.meta, tokens: state.tokens, summary }, { spaces: 2 });
+  }
+}
+
+// Recount summary from token statuses within [startTokenId, endTokenId], or over `tokenIds`
+function computeSummary(tokens, startTokenId, endTokenId, tokenIds = null) {
+  const ids = tokenIds || Array.from({ length: endTokenId - startTokenId + 1 }, (_, i) => startTokenId + i);
+  const total = ids.length;
+  let successful = 0;
+  let failed = 0;
+
+  for (const tokenId of ids) {
+    const token = tokens[tokenId];
+    if (!token) continue;
+    if (token.status === 'completed') successful++;
+    else if (token.status === 'failed') failed++;
+  }
+
+  return { total, successful, failed, pending: total - successful - failed };
+}
+
+// Read any mint log as { ...meta, tokens }: journaled logs via their journal, others as plain JSON
+async function readMintLog(logPath) {
+  const journal = new MintJournal(logPath);
+
+  if (await journal.isJournaled()) {
+    const state = await journal.load();
+    return { ...state.meta, tokens: state.tokens };
+  }
+
+  const { data } = await readJsonVerified(logPath);
+  if (!data) {
+    throw new Error(`Mint log not found: ${logPath}`);
+  }
+  return data;
+}
+
+module.exports = { MintJournal, computeSummary, readMintLog };
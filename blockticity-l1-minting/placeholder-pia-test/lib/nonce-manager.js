@@ -0,0 +1,162 @@
+const chalk = require('chalk');
+
+/**
+ * Per-signer nonce allocator.
+ *
+ * Every nonce we hand out is tracked as issued (handed to a sender), broadcast (signed and
+ * sent, or about to be) or confirmed (below the 'latest' count). A nonce that was issued
+ * but never broadcast is released and handed out again first; so is a gap left by a dropped
+ * transaction, so the next queued mint fills it. Released nonces above everything still in
+ * use are not gaps: `next` moves back down over them instead. With nothing left to mint,
+ * fillGaps() plugs the remaining holes with zero-value self-transfers.
+ *
+ * sync() reconciles with the chain instead of resetting: 'latest' tells us what is
+ * confirmed, 'pending' tells us where the node's contiguous run of transactions stops.
+ */
+
+// A broadcast nonce the node still doesn't count after this long is treated as dropped
+const DEFAULT_GAP_GRACE_MS = 30000;
+
+class NonceManager {
+  constructor(provider, address, options = {}) {
+    this.provider = provider;
+    this.address = address;
+    this.label = options.label || address.slice(0, 10);
+    this.gapGraceMs = options.gapGraceMs !== undefined ? options.gapGraceMs : DEFAULT_GAP_GRACE_MS;
+
+    this.confirmed = 0;      // Every nonce below this is mined
+    this.next = null;        // Next never-used nonce
+    this.inFlight = new Map(); // nonce -> { state: 'issued' | 'broadcast', txHash, at }
+    this.free = [];          // Released or dropped nonces, handed out before `next`
+  }
+
+  // Reconcile with the node's 'latest' and 'pending' counts; returns newly found gaps
+  async sync() {
+    const [latest, pending] = await Promise.all([
+      this.provider.getTransactionCount(this.address, 'latest'),
+      this.provider.getTransactionCount(this.address, 'pending')
+    ]);
+
+    this.confirmed = latest;
+    for (const nonce of this.inFlight.keys()) {
+      if (nonce < latest) this.inFlight.delete(nonce);
+    }
+    this.free = this.free.filter(nonce => nonce >= pending);
+
+    // First sync, or another process sent transactions from this address
+    if (this.next === null || pending > this.next) {
+      if (this.next !== null) {
+        console.log(chalk.yellow(`  ⚠️  ${this.label}: pending nonce ${pending} is ahead of ours (${this.next}), skipping forward`));
+      }
+      this.next = pending;
+      return [];
+    }
+
+    // The node's run of transactions stops at `pending`; if that nonce is not about to be
+    // sent by us, the transaction that had it was dropped and everything after it is stuck
+    const gaps = [];
+    if (pending < this.next && !this.free.includes(pending)) {
+      const entry = this.inFlight.get(pending);
+      const dropped = entry && entry.state === 'broadcast' && Date.now() - entry.at >= this.gapGraceMs;
+
+      if (!entry || dropped) {
+        this.inFlight.delete(pending);
+        this.free.push(pending);
+        this.free.sort((a, b) => a - b);
+        gaps.push(pending);
+        console.log(chalk.yellow(`  🕳️  ${this.label}: gap at nonce ${pending}${entry ? ` (dropped ${entry.txHash ? entry.txHash.slice(0, 10) + '...' : 'tx'})` : ''}`));
+      }
+    }
+
+    return gaps;
+  }
+
+  // Next nonce to send with - gaps first
+  issue() {
+    if (this.next === null) {
+      throw new Error(`Nonce manager for ${this.label} used before sync()`);
+    }
+
+    const nonce = this.free.length > 0 ? this.free.shift() : this.next++;
+    this.inFlight.set(nonce, { state: 'issued', txHash: null, at: Date.now() });
+    return nonce;
+  }
+
+  markBroadcast(nonce, txHash) {
+    this.inFlight.set(nonce, { state: 'broadcast', txHash, at: Date.now() });
+  }
+
+  // The node refused a transaction marked broadcast before it was sent - the nonce is
+  // only issued again, so it can be released or discarded
+  markRejected(nonce) {
+    const entry = this.inFlight.get(nonce);
+    if (entry && entry.state === 'broadcast') {
+      this.inFlight.set(nonce, { state: 'issued', txHash: null, at: entry.at });
+    }
+  }
+
+  markConfirmed(nonce) {
+    this.inFlight.delete(nonce);
+    if (nonce >= this.confirmed) this.confirmed = nonce + 1;
+  }
+
+  // The transaction never reached the node - hand the nonce out again
+  release(nonce) {
+    const entry = this.inFlight.get(nonce);
+    if (entry && entry.state === 'broadcast') return;
+
+    this.inFlight.delete(nonce);
+    if (nonce >= this.confirmed && !this.free.includes(nonce)) {
+      this.free.push(nonce);
+      this.free.sort((a, b) => a - b);
+    }
+    this.trimFree();
+  }
+
+  // Free nonces at the top hold nothing up - give them back to `next` so they aren't filled
+  trimFree() {
+    while (this.next !== null && this.next > this.confirmed && this.free.includes(this.next - 1)) {
+      this.next--;
+      this.free = this.free.filter(free => free !== this.next);
+    }
+  }
+
+  // The nonce turned out to be used already ("nonce too low") - never hand it out again
+  discard(nonce) {
+    this.inFlight.delete(nonce);
+    this.free = this.free.filter(free => free !== nonce);
+  }
+
+  // Plug every remaining gap with a zero-value self-transfer; returns the tx hashes
+  async fillGaps(wallet) {
+    const hashes = [];
+
+    this.trimFree();
+    while (this.free.length > 0) {
+      const nonce = this.free.shift();
+      try {
+        const tx = await wallet.sendTransaction({ to: this.address, value: 0n, nonce });
+        this.markBroadcast(nonce, tx.hash);
+        hashes.push(tx.hash);
+        console.log(chalk.cyan(`  🩹 ${this.label}: filled nonce ${nonce} with self-transfer ${tx.hash.slice(0, 10)}...`));
+      } catch (error) {
+        console.log(chalk.yellow(`  ⚠️  ${this.label}: could not fill nonce ${nonce}: ${error.message.slice(0, 80)}`));
+      }
+    }
+
+    return hashes;
+  }
+
+  stats() {
+    const broadcast = [...this.inFlight.values()].filter(entry => entry.state === 'broadcast').length;
+    return {
+      confirmed: this.confirmed,
+      next: this.next,
+      issued: this.inFlight.size - broadcast,
+      broadcast,
+      gaps: this.free.length
+    };
+  }
+}
+
+module.exports = { NonceManager };
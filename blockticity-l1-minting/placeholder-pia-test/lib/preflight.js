@@ -0,0 +1,103 @@
+const chalk = require('chalk');
+const { classifyError, errorAction, inspectError } = require('./errors');
+const { decodeErrorRevert, formatRevert } = require('./revert-decoder');
+
+/**
+ * Pre-flight simulation of mints with eth_call, so a signer that would revert is found
+ * before it spends gas.
+ *
+ * preflightSigners() runs one sample call per signer (mintURI, or batchMintCall()'s
+ * batchMint / batchMintSameURI for the batch minters) from that signer's address, against
+ * the current state. A signer whose call reverts - typically 0x118cdaa7,
+ * OwnableUnauthorizedAccount, for a signer that is neither the owner nor an authorized
+ * minter - fails the check; assertPreflight() then refuses to start the run and prints
+ * the decoded reason for each. A call that fails for any other reason (timeout, RPC
+ * error) proves nothing either way and only warns.
+ *
+ * simulate() is the per-transaction form: the minting scripts call it before every
+ * broadcast when their profile sets SIMULATE_EACH_TX. It throws the revert error itself,
+ * so the caller classifies it like any other (non-retryable) revert.
+ */
+
+// Whether a failed call was the contract reverting, as opposed to the call not getting through
+function isRevert(error) {
+  const { code, revertData } = inspectError(error);
+  return code === 'CALL_EXCEPTION' || Boolean(revertData);
+}
+
+// eth_call `method(...args)` as `from`; throws what the call throws, marked as simulated
+async function simulate(contract, method, args, from) {
+  try {
+    return await contract[method].staticCall(...args, { from });
+  } catch (error) {
+    error.simulated = true;
+    throw error;
+  }
+}
+
+/**
+ * Simulate the sample mint for every signer. `buildCall(address)` returns the
+ * { method, args } that signer would send. Resolves to one result per signer:
+ *   { index, address, ok, inconclusive, errorType, revert, message }
+ */
+async function preflightSigners(contract, signers, buildCall) {
+  return Promise.all(signers.map(async (signer, index) => {
+    const address = signer.address;
+    const { method, args } = buildCall(address);
+    try {
+      await simulate(contract, method, args, address);
+      return { index, address, method, ok: true, inconclusive: false };
+    } catch (error) {
+      return {
+        index,
+        address,
+        method,
+        ok: false,
+        inconclusive: !isRevert(error),
+        errorType: classifyError(error),
+        revert: decodeErrorRevert(error),
+        message: error.shortMessage || error.message
+      };
+    }
+  }));
+}
+
+// The batch mint call for `batch` ([{ address, uri }]): batchMintSameURI when every URI is the same
+function batchMintCall(batch) {
+  const addresses = batch.map(item => item.address);
+  const uris = batch.map(item => item.uri);
+  return uris.every(uri => uri === uris[0])
+    ? { method: 'batchMintSameURI', args: [addresses, uris[0]] }
+    : { method: 'batchMint', args: [addresses, uris] };
+}
+
+// Print the results; throws if any signer would revert (error.code PREFLIGHT_REVERT).
+// Signers are numbered from `numberFrom` to match the calling script's own logs.
+function assertPreflight(results, { label = 'Signer', numberFrom = 0 } = {}) {
+  const name = result => `${label.toLowerCase()} ${result.index + numberFrom}`;
+
+  console.log(chalk.cyan('🧪 Pre-flight simulation:'));
+  for (const result of results) {
+    const who = `${label} ${result.index + numberFrom} (${result.address.slice(0, 10)}...${result.address.slice(-6)})`;
+    if (result.ok) {
+      console.log(chalk.green(`  ✅ ${who}: ${result.method} would succeed`));
+    } else if (result.inconclusive) {
+      console.log(chalk.yellow(`  ⚠️  ${who}: could not simulate (${result.errorType}: ${result.message.slice(0, 80)})`));
+    } else {
+      console.log(chalk.red(`  ❌ ${who}: ${result.method} would revert - ${result.errorType}`));
+      console.log(chalk.red(`     🔎 ${result.revert ? formatRevert(result.revert) : `no revert data - the contract may not have ${result.method}`}`));
+      console.log(chalk.gray(`     💡 ${errorAction(result.errorType)}`));
+    }
+  }
+
+  const reverting = results.filter(result => !result.ok && !result.inconclusive);
+  if (reverting.length > 0) {
+    const error = new Error(`Pre-flight failed: ${reverting.map(name).join(', ')} would revert (${[...new Set(reverting.map(result => result.errorType))].join(', ')})`);
+    error.code = 'PREFLIGHT_REVERT';
+    error.results = results;
+    throw error;
+  }
+  return results;
+}
+
+module.exports = { simulate, preflightSigners, assertPreflight, batchMintCall, isRevert };
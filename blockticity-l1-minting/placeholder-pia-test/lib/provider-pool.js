@@ -0,0 +1,441 @@
+const chalk = require('chalk');
+const { RPCReliabilityMonitor } = require('../rpc_reliability_monitor');
+const { createProvider, servesRole } = require('./rpc-endpoints');
+const { isRateLimitError } = require('./rate-limiter');
+const { classifyError } = require('./errors');
+
+/**
+ * Health-scored pool of RPC endpoints with a circuit breaker per endpoint.
+ *
+ * Health comes from two sources:
+ *   - probes: RPCReliabilityMonitor.runSingleTest() against every endpoint each
+ *     probeInterval ms (latency, success, block height)
+ *   - traffic: callers report() how their own requests went
+ *
+ * Each endpoint is scored on latency (moving average), error rate over the last `window`
+ * outcomes and how many blocks it lags the highest endpoint. get() returns the best
+ * endpoint whose breaker is closed. A breaker opens after `failureThreshold` failures in a
+ * row or an error rate above `maxErrorRate`; after `openDuration` ms one request is let
+ * through (half-open) and its outcome closes or re-opens it.
+ *
+ * Endpoints come from lib/rpc-endpoints.js; get() and call() take the role a request
+ * needs ('read' or 'write') and only pick endpoints registered for it.
+ *
+ * Every endpoint's head block is also read each headInterval ms. Nonce, receipt and block
+ * queries (`atHead`, and the HEAD_METHODS of proxy()) only go to endpoints at most `maxLag`
+ * blocks behind the highest one: a lagging node answers 'latest' and 'pending' counts from
+ * the past, which is where "nonce too low" storms come from. awaitHeads() lets a minting
+ * loop warn when the endpoints diverge and pause while they are far apart.
+ *
+ * Each endpoint's provider is held to its rateLimit by a token bucket (lib/rate-limiter.js).
+ * get() passes over endpoints whose bucket is empty or paused by a 429 while another has
+ * room, and a rate-limited call() moves on to the next endpoint at once instead of retrying
+ * the same one. Rate limits don't count against an endpoint's health or breaker.
+ */
+
+const DEFAULT_OPTIONS = {
+  timeout: 30000,
+  probeInterval: 15000,
+  window: 20,
+  failureThreshold: 3,
+  maxErrorRate: 0.5,
+  openDuration: 30000,
+  latencyWeight: 100,      // ms of average latency per score point
+  lagWeight: 5,            // score points per block behind
+  batchWindow: 10,         // ms during which calls stay on one endpoint (ethers' batchStallTime)
+  headInterval: 3000,      // ms between head block reads
+  maxLag: 2,               // blocks behind the tip before an endpoint is left out of head queries
+  divergenceWarn: 5,       // head spread (blocks) that awaitHeads() warns about; null = never
+  divergencePause: 30,     // head spread that awaitHeads() waits out; null = never
+  pauseTimeout: 120000     // longest awaitHeads() waits before carrying on without the laggards
+};
+
+// Provider methods whose answer depends on how far the endpoint has synced
+const HEAD_METHODS = ['getTransactionCount', 'getTransactionReceipt', 'getTransaction', 'getBlockNumber', 'getBlock'];
+
+// Error types (lib/errors.js) that say something about the endpoint rather than the transaction
+const ENDPOINT_ERRORS = ['NETWORK_ERROR', 'RPC_ERROR', 'RATE_LIMIT'];
+
+function isEndpointError(error) {
+  const type = classifyError(error);
+  if (type !== 'UNKNOWN_ERROR') return ENDPOINT_ERRORS.includes(type);
+
+  const message = (error.message || '').toLowerCase();
+  return ['502', '503', '504', 'missing response', 'bad response'].some(pattern => message.includes(pattern));
+}
+
+// `promise`, or a TIMEOUT error after `ms` - ethers' own timeout doesn't cover a provider
+// that is still trying to detect its network
+function withDeadline(promise, ms, name) {
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`RPC ${name}: no answer after ${ms}ms (timeout)`);
+      error.code = 'TIMEOUT';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+class ProviderPool {
+  // endpoints: [{ name, url, headers?, role?, rateLimit? }] as resolved by lib/rpc-endpoints.js
+  constructor(endpoints, options = {}) {
+    const overrides = Object.entries(options).filter(([_, value]) => value !== undefined);
+    this.options = { ...DEFAULT_OPTIONS, ...Object.fromEntries(overrides) };
+
+    if (endpoints.length === 0) {
+      throw new Error('Provider pool needs at least one RPC endpoint');
+    }
+
+    this.endpoints = endpoints.map(endpoint => {
+      const provider = createProvider(endpoint, {
+        staticNetwork: true,
+        timeout: this.options.timeout,
+        failover: endpoints.length > 1
+      });
+
+      return {
+        name: endpoint.name,
+        url: endpoint.url,
+        role: endpoint.role || 'both',
+        rateLimit: endpoint.rateLimit || null,
+        provider,
+        throttle: provider.throttle,
+        monitor: new RPCReliabilityMonitor({ provider, name: endpoint.name, quiet: true, maxTests: this.options.window }),
+        latency: null,           // Moving average of probe response times (ms)
+        outcomes: [],            // Last `window` outcomes, true = success
+        consecutiveFailures: 0,
+        blockNumber: null,
+        lag: 0,
+        lagging: false,          // More than maxLag blocks behind; left out of head queries
+        circuit: 'closed',       // closed | open | half-open
+        openedAt: null,
+        trial: false             // A half-open request is in flight
+      };
+    });
+
+    this.timer = null;
+    this.headTimer = null;
+    this.gaveUpWaiting = false;  // A divergence pause timed out; only warn until heads converge
+    this.rotation = 0;
+    this.rotatedAt = 0;
+  }
+
+  providers() {
+    return this.endpoints.map(endpoint => endpoint.provider);
+  }
+
+  find(nameOrProvider) {
+    return this.endpoints.find(endpoint => endpoint.name === nameOrProvider || endpoint.provider === nameOrProvider);
+  }
+
+  errorRate(endpoint) {
+    if (endpoint.outcomes.length === 0) return 0;
+    return endpoint.outcomes.filter(ok => !ok).length / endpoint.outcomes.length;
+  }
+
+  // Higher is healthier; 100 is a fast, error-free endpoint at the chain tip
+  score(endpoint) {
+    const latencyPenalty = endpoint.latency !== null ? Math.min(40, endpoint.latency / this.options.latencyWeight) : 0;
+    const lagPenalty = Math.min(40, endpoint.lag * this.options.lagWeight);
+    return 100 * (1 - this.errorRate(endpoint)) - latencyPenalty - lagPenalty;
+  }
+
+  // Whether an endpoint may take a request now; moves open breakers to half-open
+  isAvailable(endpoint) {
+    if (endpoint.circuit === 'open' && Date.now() - endpoint.openedAt >= this.options.openDuration) {
+      endpoint.circuit = 'half-open';
+      endpoint.trial = false;
+      console.log(chalk.yellow(`  🔌 RPC ${endpoint.name}: circuit half-open, trying one request`));
+    }
+    if (endpoint.circuit === 'half-open') return !endpoint.trial;
+    return endpoint.circuit === 'closed';
+  }
+
+  // Best endpoint for `role` not in `exclude`: { provider, rpcName, endpoint }. If every
+  // breaker is open, the one that opened first is used rather than failing outright.
+  // options.atHead leaves out lagging endpoints (unless every endpoint is lagging).
+  get(exclude = [], role = null, options = {}) {
+    let serving = this.endpoints.filter(endpoint => servesRole(endpoint, role));
+    if (serving.length === 0) {
+      throw new Error(`No RPC endpoint in the pool is registered for ${role}`);
+    }
+    if (options.atHead && serving.some(endpoint => !endpoint.lagging)) {
+      serving = serving.filter(endpoint => !endpoint.lagging);
+    }
+
+    const candidates = serving.filter(endpoint => !exclude.includes(endpoint));
+    const pool = candidates.length > 0 ? candidates : serving;
+    const available = pool.filter(endpoint => this.isAvailable(endpoint));
+
+    let chosen;
+    if (available.length === 0) {
+      chosen = [...pool].sort((a, b) => a.openedAt - b.openedAt)[0];
+    } else if (!available.some(endpoint => endpoint.throttle.wait() === 0)) {
+      // Every endpoint is at its rate limit: the one with room soonest
+      chosen = [...available].sort((a, b) => a.throttle.wait() - b.throttle.wait())[0];
+      if (chosen.circuit === 'half-open') chosen.trial = true;
+    } else {
+      // Equal scores rotate, so a fresh pool still spreads load; calls made together stay
+      // on one endpoint so they can share a JSON-RPC batch
+      const ready = available.filter(endpoint => endpoint.throttle.wait() === 0);
+      const best = Math.max(...ready.map(endpoint => this.score(endpoint)));
+      const top = ready.filter(endpoint => best - this.score(endpoint) < 1);
+      if (Date.now() - this.rotatedAt >= this.options.batchWindow) {
+        this.rotation++;
+        this.rotatedAt = Date.now();
+      }
+      chosen = top[this.rotation % top.length];
+      if (chosen.circuit === 'half-open') chosen.trial = true;
+    }
+
+    return { provider: chosen.provider, rpcName: chosen.name, endpoint: chosen };
+  }
+
+  // Record how a request went (endpoint, name or provider); errors that aren't the
+  // endpoint's fault count as successes, and rate limits (left to the throttle) not at all
+  report(nameOrProvider, error = null, latencyMs = null) {
+    const endpoint = this.endpoints.includes(nameOrProvider) ? nameOrProvider : this.find(nameOrProvider);
+    if (!endpoint) return;
+
+    if (error && isRateLimitError(error)) {
+      if (endpoint.circuit === 'half-open') endpoint.trial = false;
+      return;
+    }
+
+    if (error && !isEndpointError(error)) {
+      error = null;
+    }
+
+    endpoint.outcomes.push(!error);
+    if (endpoint.outcomes.length > this.options.window) endpoint.outcomes.shift();
+    if (latencyMs !== null && !error) {
+      endpoint.latency = endpoint.latency === null ? latencyMs : endpoint.latency * 0.8 + latencyMs * 0.2;
+    }
+
+    if (!error) {
+      endpoint.consecutiveFailures = 0;
+      if (endpoint.circuit === 'half-open') {
+        endpoint.circuit = 'closed';
+        endpoint.outcomes = [true];
+        console.log(chalk.green(`  🔌 RPC ${endpoint.name}: circuit closed`));
+      }
+      return;
+    }
+
+    endpoint.consecutiveFailures++;
+    const tooManyErrors = endpoint.outcomes.length >= this.options.window / 2 && this.errorRate(endpoint) > this.options.maxErrorRate;
+
+    if (endpoint.circuit === 'half-open' ||
+        (endpoint.circuit === 'closed' && (endpoint.consecutiveFailures >= this.options.failureThreshold || tooManyErrors))) {
+      endpoint.circuit = 'open';
+      endpoint.openedAt = Date.now();
+      console.log(chalk.red(`  🔌 RPC ${endpoint.name}: circuit open for ${this.options.openDuration / 1000}s (${endpoint.consecutiveFailures} failures in a row, ${(this.errorRate(endpoint) * 100).toFixed(0)}% errors) - ${error.message.slice(0, 60)}`));
+    }
+  }
+
+  // Run `fn(provider)` on the best endpoint, failing over to the next on endpoint errors,
+  // rate limits and calls that take longer than `timeout`; options as for get()
+  async call(fn, role = 'read', options = {}) {
+    const tried = [];
+    let lastError;
+
+    for (let attempt = 0; attempt < this.endpoints.length; attempt++) {
+      const { provider, endpoint } = this.get(tried, role, options);
+      tried.push(endpoint);
+      const start = Date.now();
+
+      try {
+        const result = await withDeadline(fn(provider), this.options.timeout, endpoint.name);
+        this.report(endpoint, null, Date.now() - start);
+        return result;
+      } catch (error) {
+        this.report(endpoint, error);
+        if (!isEndpointError(error)) throw error;
+        lastError = error;
+      }
+    }
+
+    // Rate limited everywhere: once more on the endpoint free soonest, after its pause
+    if (isRateLimitError(lastError)) {
+      const { provider, endpoint } = this.get([], role, options);
+      const start = Date.now();
+      const result = await fn(provider);
+      this.report(endpoint, null, Date.now() - start);
+      return result;
+    }
+
+    throw lastError;
+  }
+
+  // call() for read-only tools that report where an answer came from:
+  // { result, rpcName, blockNumber } with the answering endpoint's head block
+  async read(fn, options = {}) {
+    return this.call(async provider => {
+      const [blockNumber, result] = await Promise.all([provider.getBlockNumber(), fn(provider)]);
+      return { result, rpcName: this.find(provider).name, blockNumber };
+    }, 'read', options);
+  }
+
+  // Provider-shaped object whose calls go through call(), for components that hold on to
+  // one provider (nonce managers, the fee strategy, the confirmation tracker)
+  proxy() {
+    return new Proxy({}, {
+      get: (_, method) => (...args) =>
+        this.call(provider => provider[method](...args), 'read', { atHead: HEAD_METHODS.includes(method) })
+    });
+  }
+
+  // One RPCReliabilityMonitor test per endpoint; updates latency, errors and block lag
+  async probe() {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      const result = await endpoint.monitor.runSingleTest();
+
+      if (result.success) {
+        endpoint.blockNumber = result.blockNumber;
+        this.report(endpoint, null, result.responseTime);
+      } else {
+        const error = new Error(`${result.errorType}: ${result.errorMessage}`);
+        error.code = result.errorType === 'TIMEOUT' ? 'TIMEOUT' : 'NETWORK_ERROR';
+        this.report(endpoint, error);
+      }
+    }));
+
+    this.updateLag();
+  }
+
+  // Read every endpoint's head block; an endpoint that doesn't answer keeps its last one
+  async refreshHeads() {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      try {
+        const blockNumber = await endpoint.provider.getBlockNumber();
+        endpoint.blockNumber = Math.max(endpoint.blockNumber ?? 0, blockNumber);
+      } catch (error) {
+        // Counted by the probes; a stale head just makes the endpoint lag
+      }
+    }));
+
+    this.updateLag();
+  }
+
+  // Blocks behind the highest endpoint; logs endpoints starting or stopping to lag
+  updateLag() {
+    const tip = this.heads().tip;
+
+    this.endpoints.forEach(endpoint => {
+      endpoint.lag = tip !== null && endpoint.blockNumber !== null ? tip - endpoint.blockNumber : 0;
+
+      const lagging = endpoint.lag > this.options.maxLag;
+      if (lagging && !endpoint.lagging) {
+        console.log(chalk.yellow(`  🐢 RPC ${endpoint.name}: ${endpoint.lag} blocks behind (block ${endpoint.blockNumber}, tip ${tip}), left out of nonce and receipt queries`));
+      } else if (!lagging && endpoint.lagging) {
+        console.log(chalk.green(`  🐢 RPC ${endpoint.name}: caught up (block ${endpoint.blockNumber})`));
+      }
+      endpoint.lagging = lagging;
+    });
+  }
+
+  // Highest head, and the spread between endpoints whose breaker isn't open
+  heads() {
+    const heights = this.endpoints.filter(endpoint => endpoint.blockNumber !== null).map(endpoint => endpoint.blockNumber);
+    const live = this.endpoints
+      .filter(endpoint => endpoint.blockNumber !== null && endpoint.circuit !== 'open')
+      .map(endpoint => endpoint.blockNumber);
+
+    return {
+      tip: heights.length > 0 ? Math.max(...heights) : null,
+      spread: live.length > 1 ? Math.max(...live) - Math.min(...live) : 0,
+      lagging: this.endpoints.filter(endpoint => endpoint.lagging).map(endpoint => endpoint.name)
+    };
+  }
+
+  // Between batches: warn when heads are divergenceWarn blocks apart, and at divergencePause
+  // wait for them to converge (up to pauseTimeout ms; lagging endpoints stay excluded after,
+  // and a stuck endpoint is not waited for again until the heads have converged once)
+  async awaitHeads() {
+    const { divergenceWarn, divergencePause, pauseTimeout, headInterval } = this.options;
+    await this.refreshHeads();
+    let heads = this.heads();
+
+    if (divergencePause === null || heads.spread < divergencePause) {
+      this.gaveUpWaiting = false;
+    }
+
+    if (divergencePause !== null && heads.spread >= divergencePause && !this.gaveUpWaiting) {
+      console.log(chalk.red(`⏸️  RPC endpoints are ${heads.spread} blocks apart (lagging: ${heads.lagging.join(', ') || 'none'}) - pausing until they converge`));
+      const deadline = Date.now() + pauseTimeout;
+
+      while (heads.spread >= divergencePause && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, headInterval));
+        await this.refreshHeads();
+        heads = this.heads();
+      }
+
+      if (heads.spread >= divergencePause) {
+        this.gaveUpWaiting = true;
+        console.log(chalk.yellow(`⚠️  Still ${heads.spread} blocks apart after ${pauseTimeout / 1000}s - continuing without ${heads.lagging.join(', ')} for nonce and receipt queries`));
+      } else {
+        console.log(chalk.green(`▶️  RPC endpoints within ${heads.spread} block(s) of each other, resuming`));
+      }
+    } else if (divergenceWarn !== null && heads.spread >= divergenceWarn) {
+      console.log(chalk.yellow(`⚠️  RPC endpoints are ${heads.spread} blocks apart (lagging: ${heads.lagging.join(', ') || 'none'})`));
+    }
+
+    return heads;
+  }
+
+  // Probe now and then every probeInterval ms, and read heads every headInterval ms, until stop()
+  async start() {
+    await this.probe();
+    this.timer = setInterval(() => {
+      this.probe().catch(error => console.log(chalk.yellow(`  ⚠️  RPC probe failed: ${error.message.slice(0, 60)}`)));
+    }, this.options.probeInterval);
+    this.timer.unref();
+
+    this.headTimer = setInterval(() => {
+      this.refreshHeads().catch(() => {});
+    }, this.options.headInterval);
+    this.headTimer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    if (this.headTimer) clearInterval(this.headTimer);
+    this.timer = null;
+    this.headTimer = null;
+  }
+
+  // stop(), and shut the providers down so a short-lived tool can exit
+  destroy() {
+    this.stop();
+    this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+  }
+
+  // Per-endpoint health for logging
+  status() {
+    return this.endpoints.map(endpoint => ({
+      name: endpoint.name,
+      circuit: endpoint.circuit,
+      score: Math.round(this.score(endpoint)),
+      latency: endpoint.latency !== null ? Math.round(endpoint.latency) : null,
+      errorRate: this.errorRate(endpoint),
+      blockNumber: endpoint.blockNumber,
+      lag: endpoint.lag,
+      lagging: endpoint.lagging,
+      batching: endpoint.provider.batching,
+      batches: endpoint.provider.batchStats.batches,
+      rateLimited: endpoint.throttle.stats.rateLimited,
+      throttled: endpoint.throttle.stats.throttled
+    }));
+  }
+
+  printStatus() {
+    this.status().forEach(endpoint => {
+      const color = endpoint.circuit === 'closed' ? chalk.green : endpoint.circuit === 'open' ? chalk.red : chalk.yellow;
+      console.log(color(`  📡 ${endpoint.name}: score ${endpoint.score}, ${endpoint.latency !== null ? `${endpoint.latency}ms` : 'no latency yet'}, ${(endpoint.errorRate * 100).toFixed(0)}% errors, block ${endpoint.blockNumber ?? '?'} (lag ${endpoint.lag}${endpoint.lagging ? ', excluded from head queries' : ''}), circuit ${endpoint.circuit}, ${endpoint.batching ? `${endpoint.batches} batch(es)` : 'unbatched'}${endpoint.rateLimited > 0 ? `, ${endpoint.rateLimited} rate limit(s)` : ''}${endpoint.throttled > 0 ? `, ${endpoint.throttled} throttled` : ''}`));
+    });
+  }
+}
+
+module.exports = { ProviderPool, isEndpointError, withDeadline };
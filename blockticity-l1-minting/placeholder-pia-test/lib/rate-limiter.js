@@ -0,0 +1,178 @@
+const chalk = require('chalk');
+
+/**
+ * Token-bucket request throttle per RPC endpoint, paused by the endpoint's own rate-limit
+ * answers.
+ *
+ * A bucket holds up to `burst` tokens and refills at `rate` per second (the registry's
+ * rateLimit and burst); each HTTP request takes one token per JSON-RPC call it carries.
+ * An endpoint without a rateLimit is never throttled ahead of time, but is still paused
+ * when it answers:
+ *   - HTTP 429 with Retry-After (seconds or an HTTP date)
+ *   - RateLimit-Remaining: 0 or X-RateLimit-Remaining: 0, until RateLimit-Reset /
+ *     X-RateLimit-Reset (seconds from now, or a Unix time in seconds or ms)
+ *   - a JSON-RPC "limit exceeded" error (-32005) with data.backoff_seconds or
+ *     data.try_again_in
+ * A 429 without any of these pauses for DEFAULT_RETRY_AFTER ms.
+ *
+ * Every provider for the same endpoint name shares one bucket (throttleFor()), so several
+ * pools or scripts in one process don't add up to more than the endpoint allows.
+ */
+
+const DEFAULT_RETRY_AFTER = 1000;   // ms to back off after a 429 that doesn't say how long
+const MAX_PAUSE = 5 * 60 * 1000;    // Longest pause taken from a header, against clock skew
+
+// Phrases only: a bare 429 or -32005 in a message may just as well be part of a nonce or hash
+const RATE_LIMIT_PATTERNS = ['too many requests', 'rate limit', 'rate exceeded', 'exceeded maximum retry limit'];
+
+// Whether an error is the endpoint refusing us for going too fast: our own throttle's pause,
+// an HTTP 429 or a JSON-RPC -32005 anywhere in the errors it wraps, or a message saying so
+function isRateLimitError(error) {
+  const queue = [error];
+  for (let checked = 0; queue.length > 0 && checked < 8; checked++) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object') continue;
+    if (current.retryAfter !== undefined) return true;
+    if (current.response && current.response.statusCode === 429) return true;
+    if (current.info && parseInt(current.info.responseStatus) === 429) return true;
+    if (current.code === -32005 || current.code === 429) return true;
+    queue.push(current.info && current.info.error, current.error, current.cause);
+  }
+
+  const message = (error.message || '').toLowerCase();
+  return RATE_LIMIT_PATTERNS.some(pattern => message.includes(pattern));
+}
+
+// Milliseconds from a reset header value: seconds from now, or a Unix time in seconds or ms
+function resetToMs(value, now) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) return null;
+  if (number > 1e12) return number - now;
+  if (number > 1e9) return number * 1000 - now;
+  return number * 1000;
+}
+
+// How long the response headers (lower-case names) ask us to wait, in ms; null if they don't
+function parseRateLimitHeaders(headers, now = Date.now()) {
+  let wait = null;
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined && retryAfter !== '') {
+    wait = /^\d+(\.\d+)?$/.test(retryAfter.trim()) ? parseFloat(retryAfter) * 1000 : Date.parse(retryAfter) - now;
+  }
+
+  for (const prefix of ['ratelimit', 'x-ratelimit']) {
+    const remaining = headers[`${prefix}-remaining`];
+    const reset = headers[`${prefix}-reset`];
+    if (remaining !== undefined && Number(remaining) <= 0 && reset !== undefined) {
+      const resetWait = resetToMs(reset, now);
+      if (resetWait !== null && (wait === null || resetWait > wait)) wait = resetWait;
+    }
+  }
+
+  if (wait === null || !Number.isFinite(wait)) return null;
+  return Math.min(MAX_PAUSE, Math.max(0, Math.ceil(wait)));
+}
+
+// Backoff a JSON-RPC "limit exceeded" error object asks for, in ms; null if it isn't one
+function parseRateLimitError(rpcError) {
+  if (!rpcError || (rpcError.code !== -32005 && rpcError.code !== 429)) return null;
+
+  const data = rpcError.data || {};
+  if (data.backoff_seconds !== undefined) return Math.min(MAX_PAUSE, Number(data.backoff_seconds) * 1000);
+  if (data.try_again_in !== undefined) {
+    // "1.5s" or "250ms"
+    const match = String(data.try_again_in).match(/^([\d.]+)\s*(ms|s)?$/);
+    if (match) return Math.min(MAX_PAUSE, parseFloat(match[1]) * (match[2] === 'ms' ? 1 : 1000));
+  }
+  return DEFAULT_RETRY_AFTER;
+}
+
+class TokenBucket {
+  // rate: requests per second (null = unlimited); options: { burst, label }
+  constructor(rate, options = {}) {
+    this.rate = rate || null;
+    this.burst = options.burst || (this.rate ? Math.max(1, Math.ceil(this.rate)) : 1);
+    this.label = options.label || 'RPC';
+    this.tokens = this.burst;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+    this.stats = { requests: 0, throttled: 0, throttledMs: 0, rateLimited: 0 };
+  }
+
+  refill(now) {
+    if (!this.rate || now <= this.updatedAt) return;
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+  }
+
+  // ms until `cost` tokens can be taken (0 = now)
+  wait(cost = 1, now = Date.now()) {
+    const paused = Math.max(0, this.pausedUntil - now);
+    if (!this.rate) return paused;
+
+    this.refill(now);
+    const deficit = Math.min(cost, this.burst) - this.tokens;
+    return Math.max(paused, deficit > 0 ? Math.ceil(deficit / this.rate * 1000) : 0);
+  }
+
+  // Wait for `cost` tokens and take them
+  async take(cost = 1) {
+    cost = Math.min(cost, this.burst);
+    const start = Date.now();
+    let waited = false;
+
+    for (let ms = this.wait(cost); ms > 0; ms = this.wait(cost)) {
+      waited = true;
+      await new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    if (this.rate) this.tokens -= cost;
+    this.stats.requests++;
+    if (waited) {
+      this.stats.throttled++;
+      this.stats.throttledMs += Date.now() - start;
+    }
+  }
+
+  // Stop handing out tokens for `ms` (the endpoint said to back off)
+  pause(ms, reason = 'rate limited') {
+    this.stats.rateLimited++;
+    const until = Date.now() + ms;
+    if (until <= this.pausedUntil) return;
+
+    const alreadyPaused = this.pausedUntil > Date.now();
+    this.pausedUntil = until;
+    if (this.rate) {
+      this.tokens = 0;
+      this.updatedAt = until;
+    }
+    if (!alreadyPaused) {
+      console.log(chalk.yellow(`  🚦 ${this.label}: ${reason}, holding requests for ${(ms / 1000).toFixed(1)}s`));
+    }
+  }
+
+  // ms left on a pause from the endpoint (0 = not paused)
+  pausedFor(now = Date.now()) {
+    return Math.max(0, this.pausedUntil - now);
+  }
+}
+
+const buckets = new Map();
+
+// Shared bucket for a resolved endpoint ({ name, rateLimit, burst })
+function throttleFor(endpoint) {
+  if (!buckets.has(endpoint.name)) {
+    buckets.set(endpoint.name, new TokenBucket(endpoint.rateLimit, { burst: endpoint.burst, label: endpoint.name }));
+  }
+  return buckets.get(endpoint.name);
+}
+
+module.exports = {
+  DEFAULT_RETRY_AFTER,
+  TokenBucket,
+  throttleFor,
+  isRateLimitError,
+  parseRateLimitHeaders,
+  parseRateLimitError
+};
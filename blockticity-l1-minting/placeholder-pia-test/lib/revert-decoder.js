@@ -0,0 +1,200 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ethers } = require('ethers');
+const { inspectError } = require('./errors');
+
+/**
+ * Revert data decoder.
+ *
+ * The first four bytes of revert data select the error; the rest are its ABI-encoded
+ * arguments. Selectors are looked up, in order, in Solidity's built-in Error(string) and
+ * Panic(uint256), the error fragments of every ABI in abi/ (named arguments), and the
+ * offline selector database config/error-selectors.json (signatures only, so the arguments
+ * are positional). A selector can have several signatures there; the first one whose
+ * argument types decode the data wins.
+ *
+ * Revert data comes from the error a call or estimate threw (decodeErrorRevert) or, for a
+ * transaction that was mined with status 0, from replaying it with eth_call at its block
+ * (replayRevert) - receipts carry no revert data.
+ */
+
+const ABI_DIR = path.join(__dirname, '..', 'abi');
+const SELECTOR_DB = path.join(__dirname, '..', 'config', 'error-selectors.json');
+
+const BUILTIN_ERRORS = ['error Error(string reason)', 'error Panic(uint256 code)'];
+
+// Panic(uint256) codes, from the Solidity docs
+const PANIC_CODES = {
+  0x00: 'generic compiler panic',
+  0x01: 'assert() failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'bad storage byte array encoding',
+  0x31: 'pop() on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized internal function'
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+let defaultSelectors = null;
+
+// Error fragments of an ABI file (a plain ABI array or a compiler artifact with .abi)
+function abiErrors(file) {
+  const json = fs.readJsonSync(file);
+  const abi = Array.isArray(json) ? json : json.abi;
+  if (!Array.isArray(abi)) return [];
+
+  const fragments = [];
+  new ethers.Interface(abi).forEachError(fragment => fragments.push(fragment));
+  return fragments;
+}
+
+// selector -> [{ fragment, source }], built from the built-ins, the ABIs and the database
+function loadSelectors(options = {}) {
+  const abiDir = options.abiDir || ABI_DIR;
+  const dbPath = options.dbPath || SELECTOR_DB;
+  const selectors = new Map();
+  const add = (fragment, source) => {
+    const entries = selectors.get(fragment.selector) || [];
+    if (entries.some(entry => entry.fragment.format() === fragment.format())) return;
+    entries.push({ fragment, source });
+    selectors.set(fragment.selector, entries);
+  };
+
+  BUILTIN_ERRORS.forEach(signature => add(ethers.ErrorFragment.from(signature), 'solidity'));
+
+  if (fs.existsSync(abiDir)) {
+    for (const file of fs.readdirSync(abiDir).filter(name => name.endsWith('.json')).sort()) {
+      try {
+        abiErrors(path.join(abiDir, file)).forEach(fragment => add(fragment, `abi/${file}`));
+      } catch (error) {
+        // Not an ABI - skip it
+      }
+    }
+  }
+
+  if (fs.existsSync(dbPath)) {
+    let db = {};
+    try {
+      db = fs.readJsonSync(dbPath);
+    } catch (error) {
+      // An unreadable database only costs us its names
+    }
+    for (const signatures of Object.values(db.selectors || {})) {
+      for (const signature of signatures) {
+        try {
+          add(ethers.ErrorFragment.from(`error ${signature}`), 'selector-db');
+        } catch (error) {
+          // Malformed signature - skip it
+        }
+      }
+    }
+  }
+
+  return selectors;
+}
+
+// Decoded values as plain JSON: bigints as strings, tuples and arrays as arrays
+function plain(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return Array.from(value, plain);
+  return value;
+}
+
+/**
+ * Decode revert data. Returns null without data, otherwise
+ * { selector, name, signature, args, source, description? }; name and signature are
+ * null when the selector is unknown, and args are keyed by name when the ABI names them.
+ */
+function decodeRevert(data, selectors = null) {
+  if (typeof data !== 'string' || !data.startsWith('0x') || data.length < 10) return null;
+
+  if (!selectors) {
+    defaultSelectors = defaultSelectors || loadSelectors();
+    selectors = defaultSelectors;
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = '0x' + data.slice(10);
+
+  for (const { fragment, source } of selectors.get(selector) || []) {
+    let values;
+    try {
+      values = coder.decode(fragment.inputs, payload);
+    } catch (error) {
+      continue;
+    }
+
+    const named = fragment.inputs.length > 0 && fragment.inputs.every(input => input.name);
+    const args = named
+      ? Object.fromEntries(fragment.inputs.map((input, i) => [input.name, plain(values[i])]))
+      : fragment.inputs.map((_, i) => plain(values[i]));
+    const decoded = { selector, name: fragment.name, signature: fragment.format('sighash'), args, source };
+
+    if (fragment.name === 'Panic') {
+      decoded.description = PANIC_CODES[Number(values[0])] || 'unknown panic code';
+    }
+    return decoded;
+  }
+
+  return { selector, name: null, signature: null, args: [], source: null, data };
+}
+
+// Decoded revert of a thrown error, or null if it carries no revert data
+function decodeErrorRevert(error, selectors = null) {
+  return decodeRevert(inspectError(error).revertData, selectors);
+}
+
+// One-line form: OwnableUnauthorizedAccount(0x0033...) or "unknown error 0x12345678"
+function formatRevert(decoded) {
+  if (!decoded) return 'no revert data';
+  if (!decoded.name) return `unknown error ${decoded.selector}`;
+
+  // Only string arguments are quoted
+  const inputs = ethers.ErrorFragment.from(`error ${decoded.signature}`).inputs;
+  const values = Array.isArray(decoded.args) ? decoded.args : Object.values(decoded.args);
+  const shown = values.map((value, i) => inputs[i].type === 'string' || typeof value !== 'string' ? JSON.stringify(value) : value);
+  const text = `${decoded.name}(${shown.join(', ')})`;
+  return decoded.description ? `${text} - ${decoded.description}` : text;
+}
+
+// Revert data of a mined transaction, by re-running it with eth_call at its block;
+// null if the replay doesn't revert (the state it depended on was changed within the block)
+async function replayRevert(provider, tx, blockTag) {
+  try {
+    await provider.call({ from: tx.from, to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit, blockTag });
+    return null;
+  } catch (error) {
+    return inspectError(error).revertData || null;
+  }
+}
+
+// Add `signature` (e.g. "MintLimitReached(address,uint256)") to the selector database
+async function addSignature(signature, dbPath = SELECTOR_DB) {
+  const fragment = ethers.ErrorFragment.from(`error ${signature.replace(/^error\s+/, '')}`);
+  const normalized = fragment.format('sighash');
+  const db = (await fs.pathExists(dbPath)) ? await fs.readJson(dbPath) : { selectors: {} };
+  const selectors = db.selectors || {};
+
+  const entries = selectors[fragment.selector] || [];
+  if (!entries.includes(normalized)) entries.push(normalized);
+  selectors[fragment.selector] = entries;
+
+  db.selectors = Object.fromEntries(Object.entries(selectors).sort(([a], [b]) => a.localeCompare(b)));
+  await fs.writeJson(dbPath, db, { spaces: 2 });
+  defaultSelectors = null;
+
+  return { selector: fragment.selector, signature: normalized };
+}
+
+module.exports = {
+  loadSelectors,
+  decodeRevert,
+  decodeErrorRevert,
+  formatRevert,
+  replayRevert,
+  addSignature,
+  PANIC_CODES
+};
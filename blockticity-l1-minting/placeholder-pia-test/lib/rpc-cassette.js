@@ -0,0 +1,272 @@
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { localRegistry } = require('./rpc-endpoints');
+
+/**
+ * Record-and-replay proxy for JSON-RPC traffic, so minting scripts can be exercised
+ * offline against a session recorded from the real chain.
+ *
+ * Each endpoint is served under its own path (http://127.0.0.1:8545/public,
+ * /developer, ...), so a pool of several endpoints is recorded and replayed per endpoint.
+ *
+ *   record - every request is forwarded to the real endpoint and each call is appended to
+ *            the cassette with its answer (or the HTTP error the endpoint returned)
+ *   replay - nothing leaves the machine; calls are answered from the cassette
+ *
+ * Calls are matched on endpoint, method and params. A call recorded several times
+ * (eth_blockNumber, a receipt polled until it appears) replays its answers in recorded
+ * order and then keeps repeating the last one. A call that was never recorded gets a
+ * JSON-RPC error and is counted as a miss.
+ *
+ * Cassettes hold requests and answers only; endpoint URLs and credentials are not stored.
+ */
+
+const CASSETTE_VERSION = 1;
+
+const DEFAULT_OPTIONS = {
+  host: '127.0.0.1',
+  port: 8545,
+  saveEvery: 50,       // Interactions between cassette saves while recording
+  latency: false,      // Replay: answer after the recorded response time
+  timeout: 30000       // Record: upstream request timeout (ms)
+};
+
+// Replay key of one call
+function callKey(endpoint, request) {
+  return `${endpoint} ${request.method} ${JSON.stringify(request.params || [])}`;
+}
+
+class RpcCassetteProxy {
+  // mode: 'record' | 'replay'; endpoints: resolved registry endpoints (record mode only)
+  constructor(mode, cassettePath, options = {}) {
+    const overrides = Object.entries(options).filter(([_, value]) => value !== undefined);
+    this.options = { ...DEFAULT_OPTIONS, ...Object.fromEntries(overrides) };
+
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Unknown cassette mode "${mode}" (record or replay)`);
+    }
+
+    this.mode = mode;
+    this.cassettePath = cassettePath;
+    this.endpoints = new Map((options.endpoints || []).map(endpoint => [endpoint.name, endpoint]));
+    this.cassette = null;
+    this.cursors = new Map();    // Replay: call key -> index of the next answer
+    this.answers = new Map();    // Replay: call key -> recorded interactions
+    this.server = null;
+    this.unsaved = 0;
+    this.stats = { requests: 0, calls: 0, recorded: 0, replayed: 0, misses: 0 };
+  }
+
+  // Load (replay) or start (record) the cassette
+  async load() {
+    if (this.mode === 'record') {
+      this.cassette = {
+        version: CASSETTE_VERSION,
+        recordedAt: new Date().toISOString(),
+        endpoints: Object.fromEntries([...this.endpoints.values()].map(endpoint => [endpoint.name, {
+          network: endpoint.network,
+          role: endpoint.role,
+          rateLimit: endpoint.rateLimit,
+          batchSize: endpoint.batchSize
+        }])),
+        interactions: []
+      };
+      return this.cassette;
+    }
+
+    this.cassette = await fs.readJson(this.cassettePath);
+    if (this.cassette.version !== CASSETTE_VERSION) {
+      throw new Error(`Cassette ${this.cassettePath} has version ${this.cassette.version}, expected ${CASSETTE_VERSION}`);
+    }
+
+    this.cassette.interactions.forEach(interaction => {
+      const key = callKey(interaction.endpoint, interaction.request);
+      if (!this.answers.has(key)) this.answers.set(key, []);
+      this.answers.get(key).push(interaction);
+    });
+    return this.cassette;
+  }
+
+  async save() {
+    if (this.mode !== 'record' || !this.cassette) return;
+    await fs.ensureDir(path.dirname(this.cassettePath));
+    await fs.writeJson(this.cassettePath, this.cassette, { spaces: 2 });
+    this.unsaved = 0;
+  }
+
+  // Replay from the first recorded answer again, e.g. between two runs of a script
+  rewind() {
+    this.cursors.clear();
+  }
+
+  // Registry (config/rpc-endpoints.json shape) that points every cassette endpoint at this
+  // proxy; scripts use it through RPC_REGISTRY
+  registry() {
+    return localRegistry(`http://${this.options.host}:${this.options.port}`, this.cassette.endpoints);
+  }
+
+  async writeRegistry(registryPath) {
+    await fs.ensureDir(path.dirname(registryPath));
+    await fs.writeJson(registryPath, this.registry(), { spaces: 2 });
+  }
+
+  async start() {
+    if (!this.cassette) await this.load();
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+    // Port 0 picks a free port
+    this.options.port = this.server.address().port;
+    return this.server;
+  }
+
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    await this.save();
+  }
+
+  async handle(req, res) {
+    const endpoint = decodeURIComponent(req.url.split('?')[0].replace(/^\/+|\/+$/g, '')) ||
+      Object.keys(this.cassette.endpoints)[0];
+
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid JSON');
+      return;
+    }
+
+    if (!this.cassette.endpoints[endpoint]) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end(`Unknown endpoint "${endpoint}" (cassette has ${Object.keys(this.cassette.endpoints).join(', ')})`);
+      return;
+    }
+
+    this.stats.requests++;
+    const requests = Array.isArray(payload) ? payload : [payload];
+    this.stats.calls += requests.length;
+
+    const { status, body: answer } = this.mode === 'record'
+      ? await this.forward(endpoint, payload, requests)
+      : await this.replay(endpoint, requests, Array.isArray(payload));
+
+    res.writeHead(status, { 'Content-Type': typeof answer === 'string' ? 'text/plain' : 'application/json' });
+    res.end(typeof answer === 'string' ? answer : JSON.stringify(answer));
+  }
+
+  // Record: send the request upstream as it is and keep every call with its answer
+  async forward(name, payload, requests) {
+    const endpoint = this.endpoints.get(name);
+    const start = Date.now();
+    let status;
+    let text;
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...endpoint.headers },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(this.options.timeout)
+      });
+      status = response.status;
+      text = await response.text();
+    } catch (error) {
+      // Recorded like a gateway error so the failure replays too
+      status = 502;
+      text = `Upstream request failed: ${error.message}`;
+    }
+    const ms = Date.now() - start;
+
+    let answers = null;
+    if (status === 200) {
+      try {
+        const parsed = JSON.parse(text);
+        answers = Array.isArray(parsed) ? parsed : [parsed];
+      } catch (error) {
+        // Kept as an HTTP-level answer below
+      }
+    }
+
+    requests.forEach(request => {
+      const answer = answers && answers.find(response => response.id === request.id);
+      const interaction = { endpoint: name, request: { method: request.method, params: request.params || [] }, ms };
+
+      if (answer) {
+        if (answer.error) interaction.error = answer.error;
+        else interaction.result = answer.result;
+      } else {
+        interaction.http = { status, body: text.slice(0, 2000) };
+      }
+      this.cassette.interactions.push(interaction);
+    });
+
+    this.stats.recorded += requests.length;
+    this.unsaved += requests.length;
+    if (this.unsaved >= this.options.saveEvery) await this.save();
+
+    return { status, body: answers ? (Array.isArray(payload) ? answers : answers[0]) : text };
+  }
+
+  // Replay: the next recorded answer of every call; one HTTP-level failure fails the request
+  async replay(endpoint, requests, isBatch) {
+    const interactions = requests.map(request => {
+      const key = callKey(endpoint, request);
+      const recorded = this.answers.get(key);
+      if (!recorded) return null;
+
+      const index = this.cursors.get(key) || 0;
+      this.cursors.set(key, Math.min(index + 1, recorded.length - 1));
+      return recorded[index];
+    });
+
+    if (this.options.latency) {
+      const ms = Math.max(0, ...interactions.filter(Boolean).map(interaction => interaction.ms || 0));
+      await new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    const failed = interactions.find(interaction => interaction && interaction.http);
+    if (failed) {
+      this.stats.replayed += requests.length;
+      return { status: failed.http.status, body: failed.http.body };
+    }
+
+    const answers = requests.map((request, index) => {
+      const interaction = interactions[index];
+      if (!interaction) {
+        this.stats.misses++;
+        console.log(chalk.yellow(`  ⚠️  Cassette miss: ${endpoint} ${request.method} ${JSON.stringify(request.params || []).slice(0, 80)}`));
+        return { jsonrpc: '2.0', id: request.id, error: { code: -32603, message: `No recorded response for ${request.method}` } };
+      }
+
+      this.stats.replayed++;
+      return {
+        jsonrpc: '2.0',
+        id: request.id,
+        ...(interaction.error ? { error: interaction.error } : { result: interaction.result })
+      };
+    });
+
+    return { status: 200, body: isBatch ? answers : answers[0] };
+  }
+}
+
+module.exports = { RpcCassetteProxy, callKey };
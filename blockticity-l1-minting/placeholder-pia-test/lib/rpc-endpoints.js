@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { BatchingJsonRpcProvider } = require('./batching-provider');
+const { throttleFor } = require('./rate-limiter');
+
+/**
+ * RPC endpoint registry (config/rpc-endpoints.json, or the file RPC_REGISTRY points at).
+ *
+ * Each endpoint has a name, url, network, role ('read', 'write' or 'both') and a request
+ * rate limit (calls per second, with bursts of up to `burst` calls), plus an optional
+ * WebSocket URL (`ws`) for newHeads and the most calls it takes in one JSON-RPC batch
+ * (`batchSize`, default 1 = no batching).
+ * Credentials are never stored in the registry: `auth` names the environment variable that
+ * holds them and how they are sent:
+ *
+ *   { "type": "query",  "param": "token", "env": "BTIC_DEVELOPER_RPC_TOKEN" }
+ *   { "type": "header", "header": "Authorization", "prefix": "Bearer ", "env": "..." }
+ *
+ * `sets` names groups of endpoints usable from the CLI and config/batches.json.
+ */
+
+const REGISTRY_FILE = process.env.RPC_REGISTRY || path.join(__dirname, '..', 'config', 'rpc-endpoints.json');
+const ROLES = ['read', 'write', 'both'];
+
+let registry = null;
+
+function loadRegistry() {
+  if (registry) return registry;
+
+  const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+
+  (data.endpoints || []).forEach(entry => {
+    if (!entry.name || !entry.url) {
+      throw new Error(`RPC registry ${REGISTRY_FILE}: every endpoint needs a name and url`);
+    }
+    if (entry.role && !ROLES.includes(entry.role)) {
+      throw new Error(`RPC registry ${REGISTRY_FILE}: endpoint "${entry.name}" has unknown role "${entry.role}"`);
+    }
+  });
+
+  registry = { endpoints: data.endpoints || [], sets: data.sets || {} };
+  return registry;
+}
+
+// Registry entry plus its credentials: { name, url, ws, headers, network, role, rateLimit, burst, batchSize }
+function resolveEntry(entry) {
+  let url = entry.url;
+  let ws = entry.ws || null;
+  const headers = {};
+
+  if (entry.auth) {
+    const secret = process.env[entry.auth.env];
+    if (!secret) {
+      throw new Error(`RPC endpoint "${entry.name}" needs ${entry.auth.env} in the environment`);
+    }
+
+    if (entry.auth.type === 'header') {
+      headers[entry.auth.header || 'Authorization'] = `${entry.auth.prefix || ''}${secret}`;
+      ws = null;   // ethers' WebSocketProvider can't send headers; these endpoints are polled
+    } else {
+      const withToken = address => {
+        const parsed = new URL(address);
+        parsed.searchParams.set(entry.auth.param || 'token', secret);
+        return parsed.toString();
+      };
+      url = withToken(url);
+      if (ws) ws = withToken(ws);
+    }
+  }
+
+  return {
+    name: entry.name,
+    url,
+    ws,
+    headers,
+    network: entry.network || 'mainnet',
+    role: entry.role || 'both',
+    rateLimit: entry.rateLimit || null,
+    burst: entry.burst || null,
+    batchSize: entry.batchSize || 1
+  };
+}
+
+// One endpoint by name
+function getEndpoint(name) {
+  const entry = loadRegistry().endpoints.find(endpoint => endpoint.name === name);
+  if (!entry) {
+    throw new Error(`Unknown RPC endpoint "${name}" (available: ${loadRegistry().endpoints.map(endpoint => endpoint.name).join(', ')})`);
+  }
+  return resolveEntry(entry);
+}
+
+// Whether an endpoint may be used for `role` ('read' or 'write')
+function servesRole(endpoint, role) {
+  return !role || endpoint.role === 'both' || endpoint.role === role;
+}
+
+/**
+ * Resolve "round-robin" or "public,developer" to endpoints.
+ * options: { role, network }
+ * Endpoints of a set whose credentials are missing are left out with a warning; endpoints
+ * named explicitly must resolve.
+ */
+function resolveRpcEndpoints(spec = 'round-robin', options = {}) {
+  const { sets } = loadRegistry();
+  const fromSet = Boolean(sets[spec]);
+  const names = sets[spec] || spec.split(',').map(name => name.trim()).filter(Boolean);
+
+  const endpoints = [];
+  const skipped = [];
+  for (const name of names) {
+    try {
+      endpoints.push(getEndpoint(name));
+    } catch (error) {
+      if (!fromSet || error.message.startsWith('Unknown')) throw error;
+      console.warn(`⚠️  Skipping RPC endpoint "${name}": ${error.message}`);
+      skipped.push(name);
+    }
+  }
+
+  const matching = endpoints.filter(endpoint =>
+    servesRole(endpoint, options.role) && (!options.network || endpoint.network === options.network));
+
+  if (matching.length === 0) {
+    throw new Error(`No usable RPC endpoint in "${spec}"${options.role ? ` for ${options.role}` : ''}${options.network ? ` on ${options.network}` : ''}${skipped.length > 0 ? ` (missing credentials: ${skipped.join(', ')})` : ''}`);
+  }
+  return matching;
+}
+
+// All endpoints registered for a network
+function endpointsForNetwork(network = 'mainnet') {
+  return loadRegistry().endpoints
+    .filter(entry => (entry.network || 'mainnet') === network)
+    .map(entry => entry.name);
+}
+
+// Provider for a resolved endpoint, sending its auth headers when it has any. Concurrent
+// calls go out in JSON-RPC batches of up to the endpoint's batchSize (lib/batching-provider.js)
+// unless options.batchMaxCount says otherwise. Requests are held to the endpoint's rateLimit
+// by a token bucket shared with every other provider for it (lib/rate-limiter.js).
+// options.timeout (ms) bounds each request.
+function createProvider(endpoint, options = {}) {
+  let connection = endpoint.url;
+
+  if (endpoint.headers && Object.keys(endpoint.headers).length > 0) {
+    connection = new ethers.FetchRequest(endpoint.url);
+    Object.entries(endpoint.headers).forEach(([header, value]) => connection.setHeader(header, value));
+  }
+
+  return new BatchingJsonRpcProvider(connection, undefined, {
+    batchMaxCount: endpoint.batchSize || 1,
+    throttle: throttleFor(endpoint),
+    ...options,
+    label: endpoint.name
+  });
+}
+
+// Registry (config/rpc-endpoints.json shape) that serves each endpoint from
+// `${baseUrl}/${name}`, for local stand-ins scripts reach through RPC_REGISTRY.
+// endpoints: { name: { network, role, rateLimit, batchSize } }
+function localRegistry(baseUrl, endpoints) {
+  const names = Object.keys(endpoints);
+
+  return {
+    endpoints: names.map(name => ({ name, url: `${baseUrl}/${name}`, ...endpoints[name] })),
+    sets: {
+      ...Object.fromEntries(names.map(name => [name, [name]])),
+      'round-robin': names
+    }
+  };
+}
+
+module.exports = {
+  REGISTRY_FILE,
+  loadRegistry,
+  getEndpoint,
+  servesRole,
+  resolveRpcEndpoints,
+  endpointsForNetwork,
+  createProvider,
+  localRegistry
+};
@@ -0,0 +1,27 @@
+// Signer sets resolved from .env
+//   primary - PRIVATE_KEY only (single-signer runs)
+//   multi   - SIGNER_KEY_0 .. SIGNER_KEY_5
+//   a comma-separated list of env variable names, e.g. "SIGNER_KEY_0,SIGNER_KEY_3"
+const MAX_SIGNER_KEYS = 6;
+
+function resolveSignerKeys(spec = 'primary') {
+  let names;
+
+  if (spec === 'primary') {
+    names = ['PRIVATE_KEY'];
+  } else if (spec === 'multi') {
+    names = Array.from({ length: MAX_SIGNER_KEYS }, (_, index) => `SIGNER_KEY_${index}`);
+  } else {
+    names = spec.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  const keys = names.map(name => process.env[name]).filter(key => key);
+
+  if (keys.length === 0) {
+    throw new Error(`No private keys found for signer set "${spec}" (checked ${names.join(', ')})`);
+  }
+
+  return keys;
+}
+
+module.exports = { resolveSignerKeys };
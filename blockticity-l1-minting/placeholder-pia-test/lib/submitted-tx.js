@@ -0,0 +1,209 @@
+const pLimit = require('p-limit');
+const chalk = require('chalk');
+const { extractMintedTokenId } = require('./transfer-events');
+const { classifyError } = require('./errors');
+const { replayRevert, decodeRevert, formatRevert } = require('./revert-decoder');
+
+/**
+ * Tokens are marked "submitted" (txHash, nonce, signer, rpc) as soon as their mintURI
+ * transaction is signed, before it is sent. Before such a token may be minted again we have
+ * to know what happened to that transaction, otherwise a restart mints the same logical
+ * token twice.
+ */
+
+const CHECK_CONCURRENCY = 20;   // Lookups made together go out as one JSON-RPC batch
+const PENDING_POLL_INTERVAL = 5000;
+
+// Every hash broadcast for the token's nonce: the original plus fee-bump replacements and cancels
+function submittedHashes(token) {
+  return [token.txHash, ...(token.replacements || []).map(replacement => replacement.hash)];
+}
+
+// Where a broadcast transaction stands: mined, reverted, cancelled, pending (in a mempool),
+// audit (unknown everywhere, and its nonce taken by a transaction the log doesn't have) or
+// unknown
+async function checkSubmittedTransaction(token, providers) {
+  const hashes = submittedHashes(token);
+  const cancels = new Set((token.replacements || []).filter(r => r.kind === 'cancel').map(r => r.hash));
+  let reachable = 0;
+
+  // All of an endpoint's lookups for this token are made at once, so they share a batch
+  const lookup = (provider, method) => Promise.all(hashes.map(hash =>
+    provider[method](hash).then(result => { reachable++; return result; }, () => null)
+  ));
+
+  for (const provider of providers) {
+    const receipt = (await lookup(provider, 'getTransactionReceipt')).find(Boolean);
+    if (receipt) {
+      if (cancels.has(receipt.hash)) return { state: 'cancelled', receipt };
+      if (receipt.status === 1) return { state: 'mined', receipt };
+
+      // Receipts carry no revert data; replaying the transaction at its block gives it back
+      const tx = await provider.getTransaction(receipt.hash).catch(() => null);
+      const revertData = tx ? await replayRevert(provider, tx, receipt.blockNumber) : null;
+      return { state: 'reverted', receipt, revertData };
+    }
+  }
+
+  for (const provider of providers) {
+    const tx = (await lookup(provider, 'getTransaction')).find(Boolean);
+    if (tx) {
+      return { state: 'pending', tx };
+    }
+  }
+
+  // No endpoint answered - we know nothing, so the token must not be re-queued
+  if (reachable === 0) {
+    return { state: 'unknown' };
+  }
+
+  // Unknown to every endpoint we asked - but a mempool we didn't ask may still hold it.
+  // Once the signer's nonce has moved past it, it can never land - but whatever took the
+  // nonce isn't in the log and may be a mint of this token, so only an audit can tell.
+  if (!token.signerAddress || token.nonce === undefined || token.nonce === null) {
+    return { state: 'unknown', reason: 'no nonce recorded' };
+  }
+  for (const provider of providers) {
+    const count = await provider.getTransactionCount(token.signerAddress, 'latest').catch(() => null);
+    if (count === null || count <= token.nonce) continue;
+
+    // The nonce is used; make sure it wasn't by one of ours mined since the lookups above
+    if ((await lookup(provider, 'getTransactionReceipt')).some(Boolean)) {
+      return checkSubmittedTransaction(token, providers);
+    }
+    return { state: 'audit', reason: `nonce ${token.nonce} was used by a transaction not in the log` };
+  }
+  return { state: 'unknown', reason: `nonce ${token.nonce} not used yet` };
+}
+
+// Another token in the log whose mint used `token`'s signer and nonce, if any - then it
+// was ours that took the nonce, and `token`'s transaction can never land
+function tokenHoldingNonce(tokens, tokenId, token) {
+  const signer = token.signerAddress.toLowerCase();
+  return Object.keys(tokens).find(otherId => {
+    const other = tokens[otherId];
+    return otherId !== String(tokenId) && other.status === 'completed' && other.nonce === token.nonce &&
+      typeof other.txHash === 'string' && other.txHash.startsWith('0x') &&
+      Boolean(other.signerAddress) && other.signerAddress.toLowerCase() === signer;
+  });
+}
+
+// Token record after a submitted transaction has been resolved; null when it is still open
+function applyOutcome(token, outcome, contractAddress) {
+  const now = new Date().toISOString();
+
+  if (outcome.state === 'mined') {
+    return {
+      ...token,
+      status: 'completed',
+      txHash: outcome.receipt.hash,
+      ...(outcome.receipt.hash !== token.txHash ? { originalTxHash: token.txHash } : {}),
+      onChainTokenId: extractMintedTokenId(outcome.receipt, contractAddress),
+      blockNumber: outcome.receipt.blockNumber,
+      gasUsed: outcome.receipt.gasUsed.toString(),
+      effectiveGasPrice: outcome.receipt.gasPrice.toString(),
+      completedAt: now,
+      recoveredAt: now
+    };
+  }
+
+  if (outcome.state === 'reverted') {
+    const error = new Error(`Transaction ${outcome.receipt.hash} reverted`);
+    error.code = 'CALL_EXCEPTION';
+    error.data = outcome.revertData;
+    const revert = decodeRevert(outcome.revertData);
+
+    return {
+      ...token,
+      status: 'failed',
+      blockNumber: outcome.receipt.blockNumber,
+      txHash: outcome.receipt.hash,
+      error: error.message,
+      errorType: classifyError(error),
+      ...(revert && { revert: revert }),
+      failedAt: now
+    };
+  }
+
+  // Left submitted, so no run mints it again until someone has looked (audit-mints.js)
+  if (outcome.state === 'audit') {
+    return { ...token, needsAudit: outcome.reason, auditFlaggedAt: token.auditFlaggedAt || now };
+  }
+
+  // Our cancel or another of our mints holds the nonce; keep every hash so audits can still
+  // match them
+  if (outcome.state === 'cancelled' || outcome.state === 'dropped') {
+    const { txHash, nonce, submittedAt, replacements, ...rest } = token;
+    return {
+      ...rest,
+      status: 'pending',
+      droppedTxHashes: [...(token.droppedTxHashes || []), ...submittedHashes(token)]
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve every "submitted" token among `tokenIds`.
+ * options:
+ *   contractAddress - for decoding the minted token ID
+ *   waitMs          - how long to wait for transactions still in a mempool (default 0)
+ *   onUpdate        - async (tokenId, token) called for every token whose record changed
+ * Returns counts per outcome.
+ */
+async function reconcileSubmittedTokens(tokens, tokenIds, providers, options = {}) {
+  const limit = pLimit(CHECK_CONCURRENCY);
+  const counts = { mined: 0, reverted: 0, cancelled: 0, pending: 0, dropped: 0, audit: 0, unknown: 0 };
+
+  const submitted = tokenIds.filter(tokenId => tokens[tokenId] && tokens[tokenId].status === 'submitted');
+
+  await Promise.all(submitted.map(tokenId => limit(async () => {
+    const token = tokens[tokenId];
+    let outcome = await checkSubmittedTransaction(token, providers);
+
+    // Any of the token's hashes may be the one that gets mined, so poll them all
+    const deadline = Date.now() + (options.waitMs || 0);
+    while (outcome.state === 'pending' && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, PENDING_POLL_INTERVAL));
+      outcome = await checkSubmittedTransaction(token, providers);
+    }
+
+    if (outcome.state === 'audit') {
+      const holder = tokenHoldingNonce(tokens, tokenId, token);
+      if (holder) outcome = { state: 'dropped', holder };
+    }
+
+    counts[outcome.state]++;
+
+    const updated = applyOutcome(token, outcome, options.contractAddress);
+    if (updated) {
+      tokens[tokenId] = updated;
+      if (options.onUpdate) {
+        await options.onUpdate(tokenId, updated);
+      }
+    }
+
+    const hash = token.txHash.slice(0, 10);
+    if (outcome.state === 'mined') {
+      console.log(chalk.green(`  ✅ ${tokenId}: ${hash}... was mined in block ${outcome.receipt.blockNumber}`));
+    } else if (outcome.state === 'reverted') {
+      const reason = updated.revert ? `: ${formatRevert(updated.revert)}` : '';
+      console.log(chalk.red(`  ❌ ${tokenId}: ${hash}... reverted${reason}`));
+    } else if (outcome.state === 'cancelled') {
+      console.log(chalk.yellow(`  🛑 ${tokenId}: nonce went to cancel ${outcome.receipt.hash.slice(0, 10)}..., re-queuing`));
+    } else if (outcome.state === 'dropped') {
+      console.log(chalk.yellow(`  🔄 ${tokenId}: ${hash}... is unknown to every endpoint and token ${outcome.holder} was minted with its nonce, re-queuing`));
+    } else if (outcome.state === 'audit') {
+      console.log(chalk.red(`  🔍 ${tokenId}: ${hash}... is unknown to every endpoint and its ${outcome.reason} - leaving it submitted, run audit-mints.js`));
+    } else if (outcome.reason) {
+      console.log(chalk.yellow(`  ⏳ ${tokenId}: ${hash}... is unknown to every endpoint but ${outcome.reason}, leaving it submitted`));
+    } else {
+      console.log(chalk.yellow(`  ⏳ ${tokenId}: ${hash}... still ${outcome.state}, leaving it submitted`));
+    }
+  })));
+
+  return counts;
+}
+
+module.exports = { submittedHashes, checkSubmittedTransaction, reconcileSubmittedTokens };
@@ -0,0 +1,32 @@
+const { ethers } = require('ethers');
+
+// ERC721 Transfer - tokenId is indexed, so it lives in topics[3]
+const TRANSFER_INTERFACE = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'
+]);
+const TRANSFER_TOPIC = TRANSFER_INTERFACE.getEvent('Transfer').topicHash;
+
+// Token IDs minted (Transfer from 0x0) by `contractAddress` in a receipt, as decimal strings
+function extractMintedTokenIds(receipt, contractAddress) {
+  const tokenIds = [];
+
+  for (const log of receipt.logs || []) {
+    if (log.topics.length !== 4 || log.topics[0] !== TRANSFER_TOPIC) continue;
+    if (contractAddress && log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+
+    const parsed = TRANSFER_INTERFACE.parseLog(log);
+    if (parsed.args.from === ethers.ZeroAddress) {
+      tokenIds.push(parsed.args.tokenId.toString());
+    }
+  }
+
+  return tokenIds;
+}
+
+// The single token minted by a mintURI receipt, or null if the receipt has none
+function extractMintedTokenId(receipt, contractAddress) {
+  const tokenIds = extractMintedTokenIds(receipt, contractAddress);
+  return tokenIds.length > 0 ? tokenIds[0] : null;
+}
+
+module.exports = { TRANSFER_TOPIC, extractMintedTokenIds, extractMintedTokenId };
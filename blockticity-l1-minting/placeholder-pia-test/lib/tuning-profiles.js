@@ -0,0 +1,125 @@
+// Named tuning profiles for the minting engine, fastest first: fast, robust, ultra.
+// Values are the ones the old mint_batch_* scripts were hand-edited to. The old
+// mint_batch_*_robust.js scripts ran the robust and ultra settings; mint_batch_200k_300k.js,
+// the one without "robust" in its name, ran fast.
+// MINT_RATE_LIMIT is only the starting concurrency: lib/adaptive-concurrency.js moves it
+// between MIN_CONCURRENCY and MAX_CONCURRENCY (set both to MINT_RATE_LIMIT to pin it).
+const TUNING_PROFILES = {
+  // mint_batch_200k_300k.js - fastest settings that held up on batch 2
+  fast: {
+    MINT_RATE_LIMIT: 10,
+    MIN_CONCURRENCY: 2,
+    MAX_CONCURRENCY: 16,
+    CONCURRENCY_WINDOW: 20,
+    MAX_CONGESTION_RATE: 0.1,
+    LATENCY_TARGET: 15000,
+    BATCH_SIZE: 50,
+    BATCH_DELAY: 3000,
+    RETRY_ATTEMPTS: 5,
+    RETRY_DELAY: 2000,
+    MAX_RETRY_DELAY: 15000,
+    TX_TIMEOUT: 60000,
+    RPC_TIMEOUT: 30000,
+    MAX_HEAD_LAG: 2,               // Blocks behind the tip before an endpoint gets no nonce/receipt queries
+    HEAD_DIVERGENCE_WARN: 5,       // Endpoint head spread that is warned about between batches
+    HEAD_DIVERGENCE_PAUSE: 30,     // Spread that pauses minting until endpoints converge
+    HEAD_PAUSE_TIMEOUT: 120000,
+    CONFIRMATION_POLL_INTERVAL: 2000, // Shared block poller when there is no WebSocket
+    NONCE_SYNC_INTERVAL: 10,
+    REPLACE_AFTER: 20000,
+    MAX_REPLACEMENTS: 3,
+    FEE_BUMP_PERCENT: 20,
+    MAX_FEE_PER_GAS_GWEI: 200,
+    FEE_PERCENTILE: 60,
+    FEE_HISTORY_BLOCKS: 20,
+    BASE_FEE_MULTIPLIER: 2,
+    MAX_TX_FEE_BTIC: 0.05,
+    RUN_BUDGET_BTIC: null,
+    SIMULATE_EACH_TX: false,       // eth_call every mint before broadcasting it (lib/preflight.js)
+    GAS_PER_MINT: 128410,          // Projected gasUsed per mint until the run has observed its own
+    BALANCE_RESERVE_MINTS: 5       // Mints' worth of BTIC a signer keeps before it leaves rotation (lib/balance-guard.js)
+  },
+
+  // mint_batch_300k_400k.js / mint_batch_200k_300k_robust.js - "settings that worked well"
+  robust: {
+    MINT_RATE_LIMIT: 5,
+    MIN_CONCURRENCY: 1,
+    MAX_CONCURRENCY: 10,
+    CONCURRENCY_WINDOW: 20,
+    MAX_CONGESTION_RATE: 0.05,
+    LATENCY_TARGET: 20000,
+    BATCH_SIZE: 25,
+    BATCH_DELAY: 5000,
+    RETRY_ATTEMPTS: 8,
+    RETRY_DELAY: 3000,
+    MAX_RETRY_DELAY: 20000,
+    TX_TIMEOUT: 60000,
+    RPC_TIMEOUT: 30000,
+    MAX_HEAD_LAG: 2,
+    HEAD_DIVERGENCE_WARN: 5,
+    HEAD_DIVERGENCE_PAUSE: 30,
+    HEAD_PAUSE_TIMEOUT: 120000,
+    CONFIRMATION_POLL_INTERVAL: 3000,
+    NONCE_SYNC_INTERVAL: 5,
+    REPLACE_AFTER: 30000,
+    MAX_REPLACEMENTS: 3,
+    FEE_BUMP_PERCENT: 20,
+    MAX_FEE_PER_GAS_GWEI: 200,
+    FEE_PERCENTILE: 50,
+    FEE_HISTORY_BLOCKS: 20,
+    BASE_FEE_MULTIPLIER: 2,
+    MAX_TX_FEE_BTIC: 0.05,
+    RUN_BUDGET_BTIC: null,
+    SIMULATE_EACH_TX: false,
+    GAS_PER_MINT: 128410,
+    BALANCE_RESERVE_MINTS: 5
+  },
+
+  // mint_batch_400k_500k_robust.js - one tx at a time for a congested network
+  ultra: {
+    MINT_RATE_LIMIT: 1,
+    MIN_CONCURRENCY: 1,
+    MAX_CONCURRENCY: 3,
+    CONCURRENCY_WINDOW: 10,
+    MAX_CONGESTION_RATE: 0.05,
+    LATENCY_TARGET: 30000,
+    BATCH_SIZE: 5,
+    BATCH_DELAY: 20000,
+    RETRY_ATTEMPTS: 2,
+    RETRY_DELAY: 15000,
+    MAX_RETRY_DELAY: 20000,
+    TX_TIMEOUT: 45000,
+    RPC_TIMEOUT: 15000,
+    MAX_HEAD_LAG: 2,
+    HEAD_DIVERGENCE_WARN: 5,
+    HEAD_DIVERGENCE_PAUSE: 30,
+    HEAD_PAUSE_TIMEOUT: 120000,
+    CONFIRMATION_POLL_INTERVAL: 5000,
+    NONCE_SYNC_INTERVAL: 0,
+    REPLACE_AFTER: 30000,
+    MAX_REPLACEMENTS: 2,
+    FEE_BUMP_PERCENT: 25,
+    MAX_FEE_PER_GAS_GWEI: 300,
+    FEE_PERCENTILE: 75,
+    FEE_HISTORY_BLOCKS: 20,
+    BASE_FEE_MULTIPLIER: 2,
+    MAX_TX_FEE_BTIC: 0.08,
+    RUN_BUDGET_BTIC: null,
+    SIMULATE_EACH_TX: false,
+    GAS_PER_MINT: 128410,
+    BALANCE_RESERVE_MINTS: 5
+  }
+};
+
+// Resolve a profile by name and apply per-batch overrides on top of it
+function resolveProfile(name, overrides = {}) {
+  const profile = TUNING_PROFILES[name];
+
+  if (!profile) {
+    throw new Error(`Unknown tuning profile "${name}" (available: ${Object.keys(TUNING_PROFILES).join(', ')})`);
+  }
+
+  return { ...profile, ...overrides };
+}
+
+module.exports = { TUNING_PROFILES, resolveProfile };
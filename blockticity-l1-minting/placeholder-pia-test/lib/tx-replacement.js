@@ -0,0 +1,231 @@
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+const { replayRevert } = require('./revert-decoder');
+const { classifyError } = require('./errors');
+
+/**
+ * Send a transaction and keep its nonce moving.
+ *
+ * If nothing is mined within REPLACE_AFTER ms, the same nonce is re-broadcast with
+ * maxFeePerGas and maxPriorityFeePerGas raised by FEE_BUMP_PERCENT, up to
+ * MAX_REPLACEMENTS times or until the next bump would pass MAX_FEE_PER_GAS_GWEI. After
+ * that a zero-value self-transfer on the same nonce cancels it. Because every broadcast
+ * shares one nonce, at most one of them can ever be mined.
+ *
+ * Every transaction is signed first and its hash handed to onBroadcast before it is sent.
+ * A send whose response is lost may still have reached a node, so its hash is kept and
+ * waited on whatever the send returned. Only a clear refusal of the original (a nonce, funds
+ * or rate-limit error) is thrown straight away, marked error.unsent.
+ *
+ * Fees start from request.maxFeePerGas / maxPriorityFeePerGas when given (see
+ * lib/fee-strategy.js), otherwise from getFeeData(). MAX_FEE_PER_GAS (wei) replaces the
+ * gwei ceiling when set.
+ *
+ * Receipts are polled per transaction unless hooks.tracker (lib/confirmation-tracker.js)
+ * is given, in which case the shared tracker does the waiting.
+ *
+ * A transaction mined with status 0 is a failure, not a result: it is replayed with eth_call
+ * at its block for the revert data (lib/revert-decoder.js) and thrown as a CALL_EXCEPTION.
+ */
+
+const DEFAULT_REPLACEMENT_POLICY = {
+  REPLACE_AFTER: 30000,
+  MAX_REPLACEMENTS: 3,
+  FEE_BUMP_PERCENT: 20,       // Nodes reject replacements below +10%
+  MAX_FEE_PER_GAS_GWEI: 200,
+  CANCEL_WAIT: 60000,         // How long to wait once the cancel is out
+  POLL_INTERVAL: 2000
+};
+
+const CANCEL_GAS_LIMIT = 21000n;
+
+// Send errors that don't say whether the node took the transaction
+const UNCLEAR_SEND_ERRORS = ['NETWORK_ERROR', 'RPC_ERROR', 'UNKNOWN_ERROR'];
+
+// Raise by `percent`, rounding up so a 1 wei tip still goes up
+function bumpFee(value, percent) {
+  return (value * BigInt(100 + percent) + 99n) / 100n;
+}
+
+// Sign without sending; the hash (keccak256 of the signed bytes) is known before any node
+// sees the transaction
+async function signTransaction(wallet, tx) {
+  const signed = await wallet.signTransaction(await wallet.populateTransaction(tx));
+  return ethers.Transaction.from(signed);
+}
+
+// The policy with its defaults filled in, and the per-gas fee ceiling in wei
+function resolvePolicy(policy) {
+  const overrides = Object.entries(policy).filter(([_, value]) => value !== undefined);
+  const settings = { ...DEFAULT_REPLACEMENT_POLICY, ...Object.fromEntries(overrides) };
+  const ceiling = settings.MAX_FEE_PER_GAS !== undefined
+    ? settings.MAX_FEE_PER_GAS
+    : ethers.parseUnits(String(settings.MAX_FEE_PER_GAS_GWEI), 'gwei');
+  return { settings, ceiling };
+}
+
+// Most that sending with this policy can cost. Every broadcast shares the nonce, so only one
+// is paid for: at worst the last replacement under the ceiling, or the cancel a bump above it.
+function worstCaseFee(gasLimit, maxFeePerGas, policy = {}) {
+  const { settings, ceiling } = resolvePolicy(policy);
+
+  let fee = maxFeePerGas;
+  for (let replacement = 1; replacement <= settings.MAX_REPLACEMENTS; replacement++) {
+    const bumped = bumpFee(fee, settings.FEE_BUMP_PERCENT);
+    if (bumped > ceiling) break;
+    fee = bumped;
+  }
+
+  const mint = gasLimit * fee;
+  const cancel = CANCEL_GAS_LIMIT * bumpFee(fee, settings.FEE_BUMP_PERCENT);
+  return mint > cancel ? mint : cancel;
+}
+
+// eth_sendRawTransaction on its own: ethers' broadcastTransaction() also reads the block
+// number, and a lost answer to that would fail a send the node may well have taken
+function sendRaw(provider, tx) {
+  return provider.send('eth_sendRawTransaction', [tx.serialized]);
+}
+
+// Poll until one of `hashes` has a receipt or `timeoutMs` passes
+async function waitForAnyReceipt(provider, hashes, timeoutMs, pollInterval) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    for (const hash of hashes) {
+      try {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) return receipt;
+      } catch (error) {
+        // Transient RPC error - try again next round
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, pollInterval));
+  }
+
+  return null;
+}
+
+/**
+ * request: { to, data, gasLimit, nonce, value?, maxFeePerGas?, maxPriorityFeePerGas? }
+ * hooks.onBroadcast(tx, kind) - awaited with every signed transaction before it is sent;
+ *                               kind is 'original', 'replacement' or 'cancel'
+ * hooks.tracker                - ConfirmationTracker to wait on instead of polling
+ * Resolves with the receipt of the mined transaction; rejects if the node refused the
+ * original (error.unsent), if the cancel was mined, if the transaction reverted
+ * (error.receipt, error.data) or if nothing was mined at all.
+ */
+async function sendWithReplacement(wallet, request, policy = {}, hooks = {}) {
+  const { settings, ceiling } = resolvePolicy(policy);
+  const provider = wallet.provider;
+  const onBroadcast = hooks.onBroadcast || (async () => {});
+  const waitFor = (hashes, timeoutMs) => hooks.tracker
+    ? hooks.tracker.wait([...hashes], timeoutMs)
+    : waitForAnyReceipt(provider, hashes, timeoutMs, settings.POLL_INTERVAL);
+
+  const feeData = request.maxFeePerGas ? request : await provider.getFeeData();
+  let fees = {
+    maxFeePerGas: feeData.maxFeePerGas,
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+  };
+
+  const original = await signTransaction(wallet, { ...request, ...fees });
+  const hashes = [original.hash];
+  const cancelHashes = new Set();
+  await onBroadcast(original, 'original');
+
+  try {
+    await sendRaw(provider, original);
+  } catch (error) {
+    const type = classifyError(error);
+    if (type !== 'ALREADY_KNOWN' && !UNCLEAR_SEND_ERRORS.includes(type)) {
+      error.unsent = true;
+      throw error;
+    }
+
+    // The node may have it: the same bytes again can't mint twice, and the hash is waited on
+    // either way (then replaced or cancelled like any slow transaction)
+    if (type !== 'ALREADY_KNOWN') {
+      console.log(chalk.yellow(`  ⚠️  Nonce ${request.nonce}: no clear answer for ${original.hash.slice(0, 10)}... (${error.message.slice(0, 60)}), sending it again`));
+      await sendRaw(provider, original).catch(() => {});
+    }
+  }
+
+  let receipt = await waitFor(hashes, settings.REPLACE_AFTER);
+
+  for (let replacement = 1; !receipt && replacement <= settings.MAX_REPLACEMENTS; replacement++) {
+    const bumped = {
+      maxFeePerGas: bumpFee(fees.maxFeePerGas, settings.FEE_BUMP_PERCENT),
+      maxPriorityFeePerGas: bumpFee(fees.maxPriorityFeePerGas, settings.FEE_BUMP_PERCENT)
+    };
+    if (bumped.maxFeePerGas > ceiling) {
+      console.log(chalk.yellow(`  ⛽ Nonce ${request.nonce}: next fee ${ethers.formatUnits(bumped.maxFeePerGas, 'gwei')} gwei is over the ${ethers.formatUnits(ceiling, 'gwei')} gwei ceiling`));
+      break;
+    }
+
+    try {
+      const tx = await signTransaction(wallet, { ...request, ...bumped });
+      fees = bumped;
+      hashes.push(tx.hash);
+      await onBroadcast(tx, 'replacement');
+      await sendRaw(provider, tx);
+      console.log(chalk.yellow(`  ⛽ Nonce ${request.nonce}: replacement ${replacement} ${tx.hash.slice(0, 10)}... at ${ethers.formatUnits(bumped.maxFeePerGas, 'gwei')} gwei`));
+    } catch (error) {
+      // A lost response may still have reached the node, so its hash stays in `hashes`.
+      // "nonce too low" means one of ours was mined meanwhile; the wait below finds it
+      fees = bumped;
+      console.log(chalk.yellow(`  ⚠️  Nonce ${request.nonce}: replacement ${replacement} rejected: ${error.message.slice(0, 80)}`));
+    }
+
+    receipt = await waitFor(hashes, settings.REPLACE_AFTER);
+  }
+
+  if (!receipt) {
+    // The cancel has to outbid the last broadcast, so it may go past the ceiling by one bump
+    const cancelFees = {
+      maxFeePerGas: bumpFee(fees.maxFeePerGas, settings.FEE_BUMP_PERCENT),
+      maxPriorityFeePerGas: bumpFee(fees.maxPriorityFeePerGas, settings.FEE_BUMP_PERCENT)
+    };
+
+    try {
+      const cancel = await signTransaction(wallet, {
+        to: wallet.address,
+        value: 0n,
+        gasLimit: CANCEL_GAS_LIMIT,
+        nonce: request.nonce,
+        ...cancelFees
+      });
+      hashes.push(cancel.hash);
+      cancelHashes.add(cancel.hash);
+      await onBroadcast(cancel, 'cancel');
+      await sendRaw(provider, cancel);
+      console.log(chalk.red(`  🛑 Nonce ${request.nonce}: cancel ${cancel.hash.slice(0, 10)}... at ${ethers.formatUnits(cancelFees.maxFeePerGas, 'gwei')} gwei`));
+    } catch (error) {
+      console.log(chalk.yellow(`  ⚠️  Nonce ${request.nonce}: cancel rejected: ${error.message.slice(0, 80)}`));
+    }
+
+    receipt = await waitFor(hashes, settings.CANCEL_WAIT);
+  }
+
+  if (!receipt) {
+    throw new Error(`Transaction timeout: nonce ${request.nonce} still unmined after ${hashes.length} broadcast(s)`);
+  }
+
+  if (cancelHashes.has(receipt.hash)) {
+    const error = new Error(`Transaction cancelled: nonce ${request.nonce} was taken by cancel ${receipt.hash}`);
+    error.cancelReceipt = receipt;
+    throw error;
+  }
+
+  if (receipt.status === 0) {
+    const error = new Error(`Transaction reverted: nonce ${request.nonce}, ${receipt.hash} in block ${receipt.blockNumber}`);
+    error.code = 'CALL_EXCEPTION';
+    error.receipt = receipt;
+    error.data = await replayRevert(provider, { ...request, from: wallet.address }, receipt.blockNumber);
+    throw error;
+  }
+
+  return receipt;
+}
+
+module.exports = { DEFAULT_REPLACEMENT_POLICY, sendWithReplacement, worstCaseFee, bumpFee };
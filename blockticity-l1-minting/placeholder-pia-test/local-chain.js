@@ -0,0 +1,91 @@
+require('dotenv').config();
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { resolveSignerKeys } = require('./lib/signer-sets');
+const { FaultInjectingChain, DEFAULT_FAULTS } = require('./lib/fault-chain');
+
+/**
+ * Local chain stand-in with fault injection (lib/fault-chain.js).
+ *
+ *   node local-chain.js --signers multi --faults '{"dropRate":0.05,"nonceTooLowRate":0.1}'
+ *   RPC_REGISTRY=output/local-chain.registry.json node mint-batch.js --start 1 --end 50 --log /tmp/local_log.json --signers multi
+ */
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function printUsage() {
+  console.log(chalk.blue('Local chain with fault injection\n'));
+  console.log('Usage:');
+  console.log('  node local-chain.js [--signers multi] [--port 8545] [--block-time 1] [--balance 100] [--faults <json|file>] [--seed 1]');
+  console.log('\nOptions:');
+  console.log('  --signers <set>     Signer set to fund; the first key owns the contract (default: primary)');
+  console.log('  --block-time <s>    Seconds between blocks, 0 = mine each transaction at once (default: 1)');
+  console.log('  --balance <BTIC>    Balance of every signer (default: 100)');
+  console.log('  --faults <json>     Fault settings, inline JSON or a JSON file');
+  console.log('  --seed <n>          Seed for fault probabilities (default: 1)');
+  console.log('  --registry <path>   Where to write the RPC registry (default: output/local-chain.registry.json)');
+  console.log('\nFaults:');
+  Object.entries(DEFAULT_FAULTS).forEach(([name, value]) => console.log(`  ${name.padEnd(18)} ${value}`));
+  console.log('\nWhile running, send JSON-RPC to change them:');
+  console.log('  fault_set [faults, endpoint?]    fault_inject [fault, count, endpoint?]');
+  console.log('  fault_reorg [depth]              fault_stats []');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    printUsage();
+    return;
+  }
+
+  const faultsArg = getArg(args, 'faults');
+  let faults = {};
+  if (faultsArg) {
+    faults = faultsArg.trim().startsWith('{') ? JSON.parse(faultsArg) : await fs.readJson(faultsArg);
+  }
+
+  const signerKeys = resolveSignerKeys(getArg(args, 'signers') || 'primary');
+  const chain = new FaultInjectingChain(signerKeys, {
+    port: getArg(args, 'port') ? parseInt(getArg(args, 'port')) : undefined,
+    blockTime: getArg(args, 'block-time') !== undefined ? parseFloat(getArg(args, 'block-time')) : undefined,
+    balance: getArg(args, 'balance'),
+    seed: getArg(args, 'seed') ? parseInt(getArg(args, 'seed')) : undefined
+  });
+  chain.setFaults(faults);
+
+  await chain.start();
+  const registryPath = path.resolve(getArg(args, 'registry') || path.join(__dirname, 'output', 'local-chain.registry.json'));
+  await chain.writeRegistry(registryPath);
+
+  console.log(chalk.cyan('⛓️  Local chain running'));
+  console.log(chalk.cyan(`📋 Contract: ${chain.options.contractAddress} (MintStandIn), chainId ${chain.options.chainId}`));
+  signerKeys.forEach((key, index) => {
+    console.log(chalk.cyan(`  Signer ${index}: ${new ethers.Wallet(key).address}${index === 0 ? ' (owner)' : ''}`));
+  });
+  chain.options.endpoints.forEach(name => console.log(chalk.cyan(`  📡 ${name}: ${chain.url(name)}`)));
+  const active = Object.entries(chain.faults).filter(([name, value]) => value !== DEFAULT_FAULTS[name]);
+  console.log(chalk.yellow(`💥 Faults: ${active.length > 0 ? active.map(([name, value]) => `${name}=${value}`).join(', ') : 'none'}`));
+  console.log(chalk.cyan(`\nRun the script under test with:\n  RPC_REGISTRY=${registryPath} node mint-batch.js ...`));
+  console.log(chalk.gray('Ctrl+C to stop'));
+
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, async () => {
+    const stats = chain.stats();
+    await chain.stop();
+    console.log(chalk.cyan(`\n⛓️  ${stats.requests} request(s), ${stats.calls} call(s)`));
+    console.log(chalk.yellow(`💥 ${Object.entries(stats).filter(([name, value]) => !['requests', 'calls', 'injected'].includes(name) && value > 0).map(([name, value]) => `${value} ${name}`).join(', ') || 'no faults hit'}`));
+    process.exit(0);
+  }));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red(`💥 Fatal error: ${error.message}`));
+    process.exit(1);
+  });
+}
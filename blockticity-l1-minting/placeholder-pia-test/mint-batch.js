@@ -0,0 +1,109 @@
+require('dotenv').config();
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { MintEngine } = require('./lib/mint-engine');
+const { TUNING_PROFILES, resolveProfile } = require('./lib/tuning-profiles');
+const { resolveRpcEndpoints } = require('./lib/rpc-endpoints');
+const { resolveSignerKeys } = require('./lib/signer-sets');
+
+const BATCHES_FILE = path.join(__dirname, 'config', 'batches.json');
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function printHelp(batches) {
+  console.log(chalk.blue('Blockticity Range Minter\n'));
+  console.log('Usage:');
+  console.log('  node mint-batch.js --batch 400k-500k                    # Run a configured batch');
+  console.log('  node mint-batch.js --batch 400k-500k --profile robust   # Override its tuning profile');
+  console.log('  node mint-batch.js --start 500001 --end 600000 --log output/batch_500k_600k_mint_log.json');
+  console.log('\nOptions:');
+  console.log('  --batch <name>      Entry from config/batches.json');
+  console.log('  --start <id>        First token ID (inclusive)');
+  console.log('  --end <id>          Last token ID (inclusive)');
+  console.log('  --log <path>        Mint log path');
+  console.log('  --signers <set>     primary | multi | SIGNER_KEY_0,SIGNER_KEY_3');
+  console.log('  --rpc <set>         round-robin | public | developer | public,developer');
+  console.log(`  --profile <name>    ${Object.keys(TUNING_PROFILES).join(' | ')}`);
+  console.log('  --budget <BTIC>     Stop sending once this run has spent this much on fees');
+  console.log('  --simulate          eth_call every mint before broadcasting it (a revert fails the token, no gas spent)');
+  console.log('\nConfigured batches:');
+  Object.entries(batches).forEach(([name, batch]) => {
+    console.log(`  ${name.padEnd(24)} ${batch.startTokenId}-${batch.endTokenId} (${batch.profile}, ${batch.signers}, ${batch.rpc})`);
+  });
+}
+
+// Merge the config entry (if any) with command line overrides
+function buildEngineOptions(args, batches) {
+  const batchName = getArg(args, 'batch');
+  let batch = {};
+
+  if (batchName) {
+    batch = batches[batchName];
+    if (!batch) {
+      throw new Error(`Unknown batch "${batchName}" (see config/batches.json)`);
+    }
+  }
+
+  const startTokenId = parseInt(getArg(args, 'start') || batch.startTokenId);
+  const endTokenId = parseInt(getArg(args, 'end') || batch.endTokenId);
+  const logPath = getArg(args, 'log') || batch.logPath;
+  const profileName = getArg(args, 'profile');
+  const budget = getArg(args, 'budget');
+
+  if (!startTokenId || !endTokenId || !logPath) {
+    throw new Error('A token range and log path are required (use --batch or --start/--end/--log)');
+  }
+  if (endTokenId < startTokenId) {
+    throw new Error(`Invalid token range ${startTokenId}-${endTokenId}`);
+  }
+
+  return {
+    name: batch.label || `${startTokenId}-${endTokenId}`,
+    startTokenId,
+    endTokenId,
+    logPath: path.resolve(__dirname, logPath),
+    importFrom: batch.importFrom ? path.resolve(__dirname, batch.importFrom) : null,
+    signerKeys: resolveSignerKeys(getArg(args, 'signers') || batch.signers || 'primary'),
+    rpcEndpoints: resolveRpcEndpoints(getArg(args, 'rpc') || batch.rpc || 'round-robin'),
+    // A --profile on the command line replaces the entry's profile and its overrides
+    profile: {
+      ...(profileName
+        ? resolveProfile(profileName)
+        : resolveProfile(batch.profile || 'robust', batch.overrides)),
+      ...(budget && { RUN_BUDGET_BTIC: parseFloat(budget) }),
+      ...(args.includes('--simulate') && { SIMULATE_EACH_TX: true })
+    }
+  };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const batches = await fs.readJson(BATCHES_FILE);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    printHelp(batches);
+    return;
+  }
+
+  try {
+    const engine = new MintEngine(buildEngineOptions(args, batches));
+    await engine.run();
+  } catch (error) {
+    console.error(chalk.red(`\n💥 Fatal error: ${error.message}`));
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+process.on('unhandledRejection', (error) => {
+  console.error(chalk.red('Unhandled rejection:'), error);
+});
+
+if (require.main === module) {
+  main();
+}
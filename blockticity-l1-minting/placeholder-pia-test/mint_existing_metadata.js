@@ -4,6 +4,11 @@ const fs = require('fs-extra');
 const path = require('path');
 const pLimit = require('p-limit');
 const chalk = require('chalk');
+const { writeJsonAtomic, readJsonVerified } = require('./lib/atomic-json');
+const { classifyError, isRetryable, errorAction } = require('./lib/errors');
+const { ProviderPool } = require('./lib/provider-pool');
+const { ConfirmationTracker } = require('./lib/confirmation-tracker');
+const { resolveRpcEndpoints, getEndpoint } = require('./lib/rpc-endpoints');
 
 // Global crash guards
 process.on('unhandledRejection', r => console.error('Unhandled rejection:', r));
@@ -23,19 +28,18 @@ async function retryWithBackoff(fn, retries = 3, delay = 1000) {
   }
 }
 
-// RPC endpoints for rotation (stub - can be expanded)
+// RPC endpoints: RPC_URL first, then the registry's mainnet endpoints; requests go to the
+// healthiest one (lib/provider-pool.js)
+const PRIMARY_RPC = process.env.RPC_URL || getEndpoint('public').url;
 const RPC_ENDPOINTS = [
-  process.env.RPC_URL || 'https://subnets.avax.network/btic/mainnet/rpc',
-  // Add more endpoints here if available
+  { name: process.env.RPC_URL ? 'RPC_URL' : 'public', url: PRIMARY_RPC },
+  ...resolveRpcEndpoints(process.env.RPC_SET || 'round-robin', { network: 'mainnet' }).filter(endpoint => endpoint.url !== PRIMARY_RPC)
 ];
-let currentRpcIndex = 0;
+const pool = new ProviderPool(RPC_ENDPOINTS);
 
-// Get healthy RPC endpoint with rotation on failure
-function getHealthyRpc() {
-  // For now, just return the primary RPC
-  // Future: implement health checks and rotation
-  return RPC_ENDPOINTS[currentRpcIndex];
-}
+// One shared watcher confirms every mint, so a rate-limit slot is only held while sending
+const WS_ENDPOINT = RPC_ENDPOINTS.find(endpoint => endpoint.ws);
+const tracker = new ConfirmationTracker(pool.proxy(), { wsUrl: WS_ENDPOINT ? WS_ENDPOINT.ws : null });
 
 // Parse optional CLI arguments
 const args = process.argv.slice(2);
@@ -54,10 +58,11 @@ const MINT_LOG_PATH = logArg
 const CONFIG = {
   CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
   PRIVATE_KEY: process.env.PRIVATE_KEY,
-  RPC_URL: process.env.RPC_URL || 'https://subnets.avax.network/btic/mainnet/rpc',
+  RPC_URL: PRIMARY_RPC,
   MINT_RATE_LIMIT: 3, // Reduced from 5 to minimize nonce conflicts
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 5000,
+  TX_TIMEOUT: 120000,
   BATCH_SIZE: 50,
   MINT_LOG_PATH: MINT_LOG_PATH,
   CONTRACT_ABI: [
@@ -73,8 +78,10 @@ let mintLog = { tokens: {}, summary: { total: 0, successful: 0, failed: 0, pendi
 async function initializeBlockchain() {
   console.log(chalk.blue('\n🔗 Connecting to blockchain...'));
 
-  const rpcUrl = getHealthyRpc();
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  await pool.start();
+  pool.printStatus();
+  await tracker.start();
+  const { provider } = pool.get();
   const wallet = new ethers.Wallet(CONFIG.PRIVATE_KEY, provider);
   const contract = new ethers.Contract(CONFIG.CONTRACT_ADDRESS, CONFIG.CONTRACT_ABI, wallet);
 
@@ -103,13 +110,30 @@ async function mintSingleToken(wallet, contract, tokenData, retryCount = 0) {
   try {
     console.log(chalk.yellow(`  🎨 Minting token ${tokenId}...`));
 
-    // Use retry wrapper for the actual mint call
-    const tx = await retryWithBackoff(async () => {
-      const nonce = await wallet.getNonce();
-      return contract.mintURI(wallet.address, metadataUri, { nonce });
-    });
+    // Use retry wrapper for the actual mint call, on the healthiest endpoint each attempt;
+    // the rate-limit slot is released once the transaction is sent
+    const tx = await mintLimit(() => retryWithBackoff(async () => {
+      // The pending nonce is read here too, so only an endpoint near the tip will do
+      const { provider, endpoint } = pool.get([], 'write', { atHead: true });
+      try {
+        const signer = wallet.connect(provider);
+        const nonce = await signer.getNonce('pending');
+        const sent = await contract.connect(signer).mintURI(wallet.address, metadataUri, { nonce });
+        pool.report(endpoint);
+        return sent;
+      } catch (error) {
+        pool.report(endpoint, error);
+        throw error;
+      }
+    }));
     
-    const receipt = await tx.wait();
+    const receipt = await tracker.wait([tx.hash], CONFIG.TX_TIMEOUT);
+    if (!receipt) {
+      throw new Error(`Transaction timeout: ${tx.hash} not mined after ${CONFIG.TX_TIMEOUT / 1000}s`);
+    }
+    if (receipt.status === 0) {
+      throw new Error(`Transaction reverted: ${tx.hash}`);
+    }
 
     mintLog.tokens[tokenId] = {
       ...mintLog.tokens[tokenId],
@@ -126,21 +150,23 @@ async function mintSingleToken(wallet, contract, tokenData, retryCount = 0) {
     mintLog.summary.pending--;
 
     console.log(chalk.green(`  ✅ Token ${tokenId} minted! Tx: ${receipt.hash}`));
-    await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+    await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
 
     return true;
   } catch (error) {
-    console.error(chalk.red(`  ❌ Failed to mint token ${tokenId}: ${error.message}`));
+    const errorType = classifyError(error);
+    console.error(chalk.red(`  ❌ Failed to mint token ${tokenId} (${errorType}): ${error.message}`));
 
-    if (retryCount < CONFIG.RETRY_ATTEMPTS) {
+    if (isRetryable(errorType) && retryCount < CONFIG.RETRY_ATTEMPTS) {
       console.log(chalk.yellow(`  🔄 Retrying in ${CONFIG.RETRY_DELAY / 1000} seconds...`));
       await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
       return mintSingleToken(wallet, contract, tokenData, retryCount + 1);
     }
 
+    console.log(chalk.gray(`  💡 ${tokenId}: ${errorAction(errorType)}`));
     mintLog.tokens[tokenId].status = 'failed';
     mintLog.tokens[tokenId].error = error.message;
-    mintLog.tokens[tokenId].failed_reason = error.code || 'UNKNOWN_ERROR';
+    mintLog.tokens[tokenId].failed_reason = errorType;
     mintLog.tokens[tokenId].retry_count = retryCount;
     mintLog.summary.failed++;
     mintLog.summary.pending--;
@@ -170,7 +196,7 @@ async function mintPendingTokens(wallet, contract) {
     console.log(chalk.blue(`\n📦 Processing batch ${i + 1}-${batchEnd} of ${pendingTokens.length}...`));
 
     const mintPromises = batch.map(tokenData =>
-      mintLimit(() => mintSingleToken(wallet, contract, tokenData))
+      mintSingleToken(wallet, contract, tokenData)
     );
 
     await Promise.all(mintPromises);
@@ -212,15 +238,16 @@ async function main() {
   console.log(chalk.cyan('='.repeat(50)));
 
   try {
-    const mintLogExists = await fs.pathExists(CONFIG.MINT_LOG_PATH);
+    const { data: existingLog } = await readJsonVerified(CONFIG.MINT_LOG_PATH);
+    const mintLogExists = existingLog !== null;
 
     if (mintLogExists) {
-      mintLog = await fs.readJson(CONFIG.MINT_LOG_PATH);
+      mintLog = existingLog;
       console.log(chalk.green(`✅ Loaded existing mint log`));
     } else {
       console.log(chalk.yellow('⚠️ No mint log found — creating from metadata files...'));
       await buildMintLogFromFolder();
-      await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+      await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
       console.log(chalk.green(`✅ Initialized new mint log from ${METADATA_DIR}`));
     }
 
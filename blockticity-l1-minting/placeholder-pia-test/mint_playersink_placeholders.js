@@ -1,16 +1,20 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
+const { getEndpoint } = require('./lib/rpc-endpoints');
 const pinataSDK = require('@pinata/sdk');
 const fs = require('fs-extra');
 const path = require('path');
 const pLimit = require('p-limit');
 const chalk = require('chalk');
+const { writeJsonAtomic, readJsonVerified } = require('./lib/atomic-json');
+const { classifyError, isRetryable, errorAction } = require('./lib/errors');
+const { extractMintedTokenId } = require('./lib/transfer-events');
 
 // Configuration
 const CONFIG = {
   CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
   PRIVATE_KEY: process.env.PRIVATE_KEY,
-  RPC_URL: process.env.RPC_URL || 'https://subnets.avax.network/btic/mainnet/rpc',
+  RPC_URL: process.env.RPC_URL || getEndpoint('public').url,
   PINATA_API_KEY: process.env.PINATA_API_KEY,
   PINATA_SECRET_API_KEY: process.env.PINATA_SECRET_API_KEY,
   
@@ -130,8 +134,9 @@ async function setupDirectories() {
 
 // Load existing progress
 async function loadProgress() {
-  if (await fs.pathExists(CONFIG.MINT_LOG_PATH)) {
-    mintLog = await fs.readJSON(CONFIG.MINT_LOG_PATH);
+  const { data } = await readJsonVerified(CONFIG.MINT_LOG_PATH);
+  if (data) {
+    mintLog = data;
     const pending = Object.values(mintLog.tokens).filter(t => t.status === 'pending').length;
     const completed = Object.values(mintLog.tokens).filter(t => t.status === 'completed').length;
     
@@ -330,12 +335,17 @@ async function mintNFTs(wallet, contract, totalToMint) {
           console.log(chalk.gray(`   TX: ${tx.hash}`));
           
           const receipt = await tx.wait();
+          const onChainTokenId = extractMintedTokenId(receipt, CONFIG.CONTRACT_ADDRESS);
+          if (onChainTokenId === null) {
+            console.log(chalk.yellow(`  ⚠️  ${tokenId}: no Transfer event in receipt ${receipt.hash.slice(0, 10)}...`));
+          }
           
           // Update log
           mintLog.tokens[tokenId] = {
             ...tokenData,
             status: 'completed',
             txHash: receipt.hash,
+            onChainTokenId: onChainTokenId,
             blockNumber: receipt.blockNumber,
             gasUsed: receipt.gasUsed.toString(),
             completedAt: new Date().toISOString()
@@ -344,7 +354,7 @@ async function mintNFTs(wallet, contract, totalToMint) {
           successCount++;
           mintLog.summary.successful = successCount;
           
-          console.log(chalk.green(`✅ Token ${tokenId} minted successfully`));
+          console.log(chalk.green(`✅ Token ${tokenId} minted successfully as #${onChainTokenId}`));
           
           // Save progress periodically
           if (successCount % 10 === 0) {
@@ -355,18 +365,22 @@ async function mintNFTs(wallet, contract, totalToMint) {
           break; // Success, exit retry loop
           
         } catch (error) {
-          console.error(chalk.red(`❌ Attempt ${attempt}/${CONFIG.RETRY_ATTEMPTS} failed for token ${tokenId}: ${error.message}`));
+          const errorType = classifyError(error);
+          console.error(chalk.red(`❌ Attempt ${attempt}/${CONFIG.RETRY_ATTEMPTS} failed for token ${tokenId} (${errorType}): ${error.message}`));
           
-          if (attempt === CONFIG.RETRY_ATTEMPTS) {
-            // Final attempt failed
+          if (attempt === CONFIG.RETRY_ATTEMPTS || !isRetryable(errorType)) {
+            console.log(chalk.gray(`💡 ${tokenId}: ${errorAction(errorType)}`));
+            // Final attempt failed, or retrying cannot help
             mintLog.tokens[tokenId] = {
               ...tokenData,
               status: 'failed',
               error: error.message,
+              errorType: errorType,
               failedAt: new Date().toISOString()
             };
             failCount++;
             mintLog.summary.failed = failCount;
+            break;
           } else {
             // Wait before retry
             await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
@@ -387,7 +401,7 @@ async function mintNFTs(wallet, contract, totalToMint) {
 async function saveMintLog() {
   mintLog.summary.total = Object.keys(mintLog.tokens).length;
   mintLog.lastUpdated = new Date().toISOString();
-  await fs.writeJSON(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+  await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
 }
 
 // Print summary
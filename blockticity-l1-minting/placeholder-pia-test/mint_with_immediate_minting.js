@@ -1,16 +1,19 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
+const { getEndpoint } = require('./lib/rpc-endpoints');
 const pinataSDK = require('@pinata/sdk');
 const fs = require('fs-extra');
 const path = require('path');
 const pLimit = require('p-limit');
 const chalk = require('chalk');
+const { writeJsonAtomic, readJsonVerified } = require('./lib/atomic-json');
+const { classifyError, isRetryable, errorAction } = require('./lib/errors');
 
 // Configuration
 const CONFIG = {
   CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
   PRIVATE_KEY: process.env.PRIVATE_KEY,
-  RPC_URL: process.env.RPC_URL || 'https://subnets.avax.network/btic/mainnet/rpc',
+  RPC_URL: process.env.RPC_URL || getEndpoint('public').url,
   PINATA_API_KEY: process.env.PINATA_API_KEY,
   PINATA_SECRET_API_KEY: process.env.PINATA_SECRET_API_KEY,
   
@@ -204,15 +207,19 @@ async function mintBatch(tokens) {
           break; // Success
           
         } catch (error) {
-          console.error(chalk.red(`   ❌ Attempt ${attempt}/${CONFIG.RETRY_ATTEMPTS} failed: ${error.message}`));
+          const errorType = classifyError(error);
+          console.error(chalk.red(`   ❌ Attempt ${attempt}/${CONFIG.RETRY_ATTEMPTS} failed (${errorType}): ${error.message}`));
           
-          if (attempt === CONFIG.RETRY_ATTEMPTS) {
+          if (attempt === CONFIG.RETRY_ATTEMPTS || !isRetryable(errorType)) {
+            console.log(chalk.gray(`💡 ${tokenData.tokenId}: ${errorAction(errorType)}`));
             mintLog.tokens[tokenData.tokenId] = {
               ...tokenData,
               status: 'failed',
               error: error.message,
+              errorType: errorType,
               failedAt: new Date().toISOString()
             };
+            break;
           } else {
             await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
           }
@@ -244,8 +251,9 @@ async function setupDirectories() {
 
 // Load existing progress
 async function loadProgress() {
-  if (await fs.pathExists(CONFIG.MINT_LOG_PATH)) {
-    mintLog = await fs.readJSON(CONFIG.MINT_LOG_PATH);
+  const { data } = await readJsonVerified(CONFIG.MINT_LOG_PATH);
+  if (data) {
+    mintLog = data;
     const completed = Object.values(mintLog.tokens).filter(t => t.status === 'completed').length;
     const pending = Object.values(mintLog.tokens).filter(t => t.status === 'pending').length;
     
@@ -305,7 +313,7 @@ async function saveMintLog() {
   };
   
   mintLog.lastUpdated = new Date().toISOString();
-  await fs.writeJSON(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+  await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
 }
 
 // Print summary
@@ -3,6 +3,11 @@ const { ethers } = require('ethers');
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const { NonceManager } = require('./lib/nonce-manager');
+const { ProviderPool } = require('./lib/provider-pool');
+const { resolveRpcEndpoints } = require('./lib/rpc-endpoints');
+const { classifyError, errorAction } = require('./lib/errors');
+const { simulate, preflightSigners, assertPreflight, batchMintCall } = require('./lib/preflight');
 
 // Multi-signer configuration
 const CONFIG = {
@@ -19,10 +24,7 @@ const CONFIG = {
   ].filter(Boolean), // Remove undefined keys
   
   // Network configuration
-  RPC_ENDPOINTS: [
-    'https://subnets.avax.network/btic/mainnet/rpc',
-    'https://mainnet-btic-wd732.avax.network/ext/bc/2pV5K35V1ohNSYhRU3z1Bud2oZys9bak7QYcmvbVvnieh4FJXc/rpc?token=90bd898ee2f77b6c45744ad57ae36724130c37e6478836c4cab1a50922d56dde'
-  ],
+  RPC_ENDPOINTS: resolveRpcEndpoints(process.env.RPC_SET || 'round-robin', { network: 'mainnet' }),
   
   // Minting configuration
   BATCH_SIZE: 25,
@@ -30,6 +32,7 @@ const CONFIG = {
   SIGNER_BATCH_DELAY: 1000, // Delay between batches for same signer
   TX_TIMEOUT: 120000,
   RETRY_ATTEMPTS: 3,
+  SIMULATE_EACH_TX: process.env.SIMULATE_EACH_TX === 'true', // eth_call each batch before broadcasting it
   
   // File paths
   RECIPIENTS_FILE: path.join(__dirname, 'data', 'recipients.json'),
@@ -46,10 +49,10 @@ const CONFIG = {
 
 class MultiSignerBatchMinter {
   constructor() {
+    this.pool = null;
     this.providers = [];
     this.signers = [];
     this.signerStats = [];
-    this.currentProviderIndex = 0;
     this.results = {
       startTime: new Date().toISOString(),
       endTime: null,
@@ -65,13 +68,15 @@ class MultiSignerBatchMinter {
   async initialize() {
     console.log(chalk.cyan('🚀 Initializing Multi-Signer Batch Minter'));
     
-    // Setup providers
-    this.providers = CONFIG.RPC_ENDPOINTS.map((rpc, index) => {
-      console.log(chalk.cyan(`  Provider ${index + 1}: ${rpc.includes('token') ? 'Developer' : 'Public'} RPC`));
-      return new ethers.JsonRpcProvider(rpc, undefined, {
-        timeout: CONFIG.TX_TIMEOUT
-      });
-    });
+    // Setup the provider pool; batches go to the healthiest endpoint
+    this.pool = new ProviderPool(
+      CONFIG.RPC_ENDPOINTS,
+      { timeout: CONFIG.TX_TIMEOUT }
+    );
+    this.providers = this.pool.providers();
+    await this.pool.start();
+    this.pool.printStatus();
+    const poolProvider = this.pool.proxy();
     
     // Setup signers
     console.log(chalk.cyan(`\n👥 Setting up ${CONFIG.SIGNER_KEYS.length} signers:`));
@@ -87,7 +92,7 @@ class MultiSignerBatchMinter {
         contract,
         provider,
         isActive: false,
-        currentNonce: null,
+        nonces: new NonceManager(poolProvider, wallet.address, { label: `Signer ${i + 1}` }),
         batchesMinted: 0,
         tokensMinted: 0,
         lastUsed: 0
@@ -111,15 +116,13 @@ class MultiSignerBatchMinter {
     
     const initPromises = this.signers.map(async (signer) => {
       try {
-        const [network, balance, nonce] = await Promise.all([
+        const [network, balance] = await Promise.all([
           signer.provider.getNetwork(),
           signer.provider.getBalance(signer.wallet.address),
-          signer.provider.getTransactionCount(signer.wallet.address, 'pending')
+          signer.nonces.sync()
         ]);
         
-        signer.currentNonce = nonce;
-        
-        console.log(chalk.green(`  ✅ Signer ${signer.id + 1}: Balance ${ethers.formatEther(balance)} ETH, Nonce ${nonce}`));
+        console.log(chalk.green(`  ✅ Signer ${signer.id + 1}: Balance ${ethers.formatEther(balance)} ETH, Nonce ${signer.nonces.stats().next}`));
         
         return true;
       } catch (error) {
@@ -161,36 +164,45 @@ class MultiSignerBatchMinter {
   // Execute batch with specific signer
   async executeBatchWithSigner(signer, batch, batchIndex) {
     const batchId = `batch_${batchIndex + 1}_signer_${signer.id + 1}`;
+    let nonce = null;
+    let tx = null;
+    const { provider, rpcName, endpoint } = this.pool.get([], 'write');
+    const contract = signer.contract.connect(signer.wallet.connect(provider));
     
     try {
       signer.isActive = true;
       
-      console.log(chalk.blue(`🔄 ${batchId}: Processing ${batch.length} tokens`));
+      console.log(chalk.blue(`🔄 ${batchId}: Processing ${batch.length} tokens via ${rpcName}`));
       
       // Prepare batch data
       const addresses = batch.map(item => item.address);
       const uris = batch.map(item => item.uri);
       const sameURI = uris.every(uri => uri === uris[0]);
       
+      // A revert found here costs no gas
+      if (CONFIG.SIMULATE_EACH_TX) {
+        const { method, args } = batchMintCall(batch);
+        await simulate(contract, method, args, signer.wallet.address);
+      }
+      
       // Execute transaction
       const startTime = Date.now();
-      let tx;
+      nonce = signer.nonces.issue();
       
       if (sameURI) {
-        tx = await signer.contract.batchMintSameURI(addresses, uris[0], {
-          nonce: signer.currentNonce++
-        });
+        tx = await contract.batchMintSameURI(addresses, uris[0], { nonce });
       } else {
-        tx = await signer.contract.batchMint(addresses, uris, {
-          nonce: signer.currentNonce++
-        });
+        tx = await contract.batchMint(addresses, uris, { nonce });
       }
+      signer.nonces.markBroadcast(nonce, tx.hash);
       
       console.log(chalk.yellow(`  📝 ${batchId}: ${tx.hash}`));
       
       // Wait for confirmation
       const receipt = await tx.wait();
+      signer.nonces.markConfirmed(nonce);
       const duration = Date.now() - startTime;
+      this.pool.report(endpoint);
       
       // Parse events
       const batchMintedEvents = receipt.logs.filter(log => {
@@ -244,14 +256,22 @@ class MultiSignerBatchMinter {
       return batchResult;
       
     } catch (error) {
-      console.error(chalk.red(`  ❌ ${batchId}:`, error.message));
+      const errorType = classifyError(error);
+      error.errorType = errorType;
+      console.error(chalk.red(`  ❌ ${batchId} (${errorType}):`, error.message));
+      this.pool.report(endpoint, error);
       
       // Update error stats
       this.results.signerStats[signer.wallet.address].errors++;
       
-      // Reset nonce if needed
-      if (error.message.includes('nonce')) {
-        signer.currentNonce = await signer.provider.getTransactionCount(signer.wallet.address, 'pending');
+      // Hand an unused nonce back; reconcile if the node says it was already taken
+      if (nonce !== null && !tx) {
+        if (errorType === 'NONCE_ERROR' || errorType === 'REPLACEMENT_UNDERPRICED') {
+          signer.nonces.discard(nonce);
+          await signer.nonces.sync();
+        } else {
+          signer.nonces.release(nonce);
+        }
       }
       
       throw error;
@@ -278,6 +298,7 @@ class MultiSignerBatchMinter {
         if (signer) {
           const batch = batches[batchIndex];
           const currentBatchIndex = batchIndex;
+          await this.pool.awaitHeads();
           
           // Start batch processing
           const batchPromise = this.executeBatchWithSigner(signer, batch, currentBatchIndex)
@@ -296,6 +317,7 @@ class MultiSignerBatchMinter {
               this.results.failedBatches++;
               
               console.error(chalk.red(`💥 Batch ${currentBatchIndex + 1} failed:`, error.message));
+              console.log(chalk.gray(`  💡 ${errorAction(error.errorType || classifyError(error))}`));
               return null;
             });
           
@@ -319,6 +341,18 @@ class MultiSignerBatchMinter {
     }
   }
   
+  // Plug nonce gaps left by failed batches so no later transaction is stuck behind them
+  async fillNonceGaps() {
+    for (const signer of this.signers) {
+      try {
+        await signer.nonces.sync();
+        await signer.nonces.fillGaps(signer.wallet);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Signer ${signer.id + 1} gap check failed: ${error.message}`));
+      }
+    }
+  }
+  
   // Print signer statistics
   printSignerStats() {
     console.log(chalk.cyan('\n👥 SIGNER STATISTICS'));
@@ -338,6 +372,14 @@ class MultiSignerBatchMinter {
     });
   }
   
+  // Simulate the first batch from every signer; refuses to start if one would revert
+  async preflight(batches) {
+    const { method, args } = batchMintCall(batches[0]);
+    const contract = new ethers.Contract(CONFIG.CONTRACT_ADDRESS, CONFIG.CONTRACT_ABI, this.pool.proxy());
+    const results = await preflightSigners(contract, this.signers.map(signer => signer.wallet), () => ({ method, args }));
+    assertPreflight(results, { numberFrom: 1 });
+  }
+  
   // Load recipients and create batches
   async loadRecipients() {
     const data = await fs.readJson(CONFIG.RECIPIENTS_FILE);
@@ -391,8 +433,13 @@ class MultiSignerBatchMinter {
     try {
       await this.initialize();
       const batches = await this.loadRecipients();
+      if (batches.length > 0) {
+        await this.preflight(batches);
+      }
       
       await this.executeBatches(batches);
+      await this.fillNonceGaps();
+      this.pool.stop();
       await this.saveResults();
       
       this.printSummary();
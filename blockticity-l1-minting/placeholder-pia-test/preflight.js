@@ -0,0 +1,60 @@
+require('dotenv').config();
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+const { preflightSigners, assertPreflight, batchMintCall } = require('./lib/preflight');
+const { ProviderPool } = require('./lib/provider-pool');
+const { resolveRpcEndpoints } = require('./lib/rpc-endpoints');
+const { resolveSignerKeys } = require('./lib/signer-sets');
+
+const DEFAULT_METADATA_URI = 'ipfs://QmRT8DUSsFLZrrhgyhcSwh8988xx1kKCuR5SLpDS2hWkDN';
+
+const CONTRACT_ABI = [
+  'function mintURI(address to, string uri) public',
+  'function batchMint(address[] calldata to, string[] calldata uri) external returns (uint256 startTokenId, uint256 count)',
+  'function batchMintSameURI(address[] calldata to, string calldata uri) external returns (uint256 startTokenId, uint256 count)'
+];
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: node preflight.js [--signers <set>] [--rpc <set>] [--batch <n>] [--uri <uri>] [--contract <address>]');
+    console.log('  Simulates a mint from every signer with eth_call - nothing is broadcast.');
+    console.log('  --signers <set>     primary | multi | SIGNER_KEY_0,SIGNER_KEY_3 (default: multi)');
+    console.log('  --rpc <set>         round-robin | public | developer (default: RPC_SET or round-robin)');
+    console.log('  --batch <n>         Simulate batchMintSameURI of n tokens instead of mintURI');
+    console.log('  --uri <uri>         Sample metadata URI');
+    console.log('  --contract <addr>   Contract (default: MAINNET_CONTRACT / CONTRACT_ADDRESS)');
+    return;
+  }
+
+  const contractAddress = getArg(args, 'contract') || process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926';
+  const uri = getArg(args, 'uri') || DEFAULT_METADATA_URI;
+  const batchSize = parseInt(getArg(args, 'batch') || '0');
+  const wallets = resolveSignerKeys(getArg(args, 'signers') || 'multi').map(key => new ethers.Wallet(key));
+  const pool = new ProviderPool(resolveRpcEndpoints(getArg(args, 'rpc') || process.env.RPC_SET || 'round-robin', { role: 'read', network: 'mainnet' }), { timeout: 10000 });
+
+  try {
+    const contract = new ethers.Contract(contractAddress, CONTRACT_ABI, pool.proxy());
+    console.log(chalk.blue(`📜 Contract: ${contractAddress}`));
+
+    const results = await preflightSigners(contract, wallets, address => batchSize > 0
+      ? batchMintCall(Array.from({ length: batchSize }, () => ({ address, uri })))
+      : { method: 'mintURI', args: [address, uri] });
+    assertPreflight(results);
+    console.log(chalk.green(`✅ All ${wallets.length} signer(s) can mint`));
+  } finally {
+    pool.destroy();
+  }
+}
+
+main().catch(error => {
+  console.error(chalk.red('💥 Fatal error:'), error.message);
+  process.exit(1);
+});
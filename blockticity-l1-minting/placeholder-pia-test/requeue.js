@@ -0,0 +1,184 @@
+require('dotenv').config();
+const path = require('path');
+const chalk = require('chalk');
+const { MintEngine } = require('./lib/mint-engine');
+const { DeadLetterStore, DEAD_LETTER_PATH, sourceName } = require('./lib/dead-letter');
+const { ERROR_TYPES, errorAction } = require('./lib/errors');
+const { TUNING_PROFILES, resolveProfile } = require('./lib/tuning-profiles');
+const { resolveRpcEndpoints } = require('./lib/rpc-endpoints');
+const { resolveSignerKeys } = require('./lib/signer-sets');
+
+const DEFAULT_LOG = 'output/requeue_mint_log.json';
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function printHelp() {
+  console.log(chalk.blue('Dead-letter Requeue\n'));
+  console.log('Usage:');
+  console.log('  node requeue.js --list                                   # What is in the store, by error type');
+  console.log('  node requeue.js --import failed_batch2_tokens.txt        # Pull in a legacy failure file');
+  console.log('  node requeue.js --type RPC_ERROR,NETWORK_ERROR --dry-run # Show what would be requeued');
+  console.log('  node requeue.js --type PAUSED --range 400001-500000 --signers multi');
+  console.log('\nSelection (all filters must match):');
+  console.log(`  --type <A,B>        Error types: ${Object.keys(ERROR_TYPES).join(', ')}, UNCLASSIFIED`);
+  console.log('  --range <a-b>       Token ID range (or --from <id> / --to <id>)');
+  console.log('  --since <date>      Failed at or after this date (ISO 8601)');
+  console.log('  --until <date>      Failed at or before this date');
+  console.log('  --source <text>     Failed in a log whose path contains this');
+  console.log('  --status <a,b>      dead | requeued | resolved (default: dead,requeued)');
+  console.log('  --limit <n>         At most this many tokens, lowest IDs first');
+  console.log('\nModes:');
+  console.log('  --list              Print the selected entries and stop');
+  console.log('  --dry-run           Print the selection summary and stop');
+  console.log('  --import <f1,f2>    Import legacy failure files (txt ID lists, failed_tokens.json, mint logs)');
+  console.log('  --store <path>      Dead-letter store (default: output/dead_letter.json)');
+  console.log('\nMinting:');
+  console.log(`  --log <path>        Mint log for the requeued tokens (default: ${DEFAULT_LOG})`);
+  console.log('  --signers <set>     primary | multi | SIGNER_KEY_0,SIGNER_KEY_3');
+  console.log('  --rpc <set>         round-robin | public | developer | public,developer');
+  console.log(`  --profile <name>    ${Object.keys(TUNING_PROFILES).join(' | ')} (default: robust)`);
+  console.log('  --budget <BTIC>     Stop sending once this run has spent this much on fees');
+  console.log('  --simulate          eth_call every mint before broadcasting it (a revert fails the token, no gas spent)');
+}
+
+// Filters for DeadLetterStore.select() from the command line
+function buildFilters(args) {
+  const list = name => getArg(args, name) ? getArg(args, name).split(',').map(value => value.trim()).filter(Boolean) : undefined;
+  const filters = {
+    types: list('type') && list('type').map(type => type.toUpperCase()),
+    statuses: list('status'),
+    source: getArg(args, 'source'),
+    since: getArg(args, 'since'),
+    until: getArg(args, 'until'),
+    limit: getArg(args, 'limit') ? parseInt(getArg(args, 'limit')) : undefined
+  };
+
+  const range = getArg(args, 'range');
+  if (range) {
+    const [from, to] = range.split('-').map(value => parseInt(value));
+    if (!from || !to || to < from) throw new Error(`Invalid range "${range}" (expected <from>-<to>)`);
+    Object.assign(filters, { from, to });
+  }
+  if (getArg(args, 'from')) filters.from = parseInt(getArg(args, 'from'));
+  if (getArg(args, 'to')) filters.to = parseInt(getArg(args, 'to'));
+
+  for (const type of filters.types || []) {
+    if (!ERROR_TYPES[type] && type !== 'UNCLASSIFIED') throw new Error(`Unknown error type "${type}"`);
+  }
+  for (const name of ['since', 'until']) {
+    if (filters[name] && Number.isNaN(new Date(filters[name]).getTime())) {
+      throw new Error(`Invalid --${name} date "${filters[name]}"`);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(filters).filter(([_, value]) => value !== undefined));
+}
+
+// Counts by error type, with the recommended action for each
+function printSelection(entries) {
+  const byType = {};
+  entries.forEach(entry => {
+    const type = entry.errorType || 'UNCLASSIFIED';
+    byType[type] = (byType[type] || 0) + 1;
+  });
+
+  console.log(chalk.cyan(`📋 ${entries.length} token(s) selected`));
+  if (entries.length > 0) {
+    console.log(chalk.gray(`   IDs ${entries[0].tokenId}-${entries[entries.length - 1].tokenId}`));
+  }
+  for (const [type, count] of Object.entries(byType).sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${String(count).padStart(6)}  ${type.padEnd(24)} ${chalk.gray(type === 'UNCLASSIFIED' ? 'no error recorded (legacy import)' : errorAction(type))}`);
+  }
+}
+
+function printEntries(entries) {
+  for (const entry of entries) {
+    const reason = entry.revert && entry.revert.name ? entry.revert.signature : (entry.error || '').slice(0, 80);
+    console.log(
+      `  ${entry.tokenId.padStart(7)}  ${entry.status.padEnd(9)} ${(entry.errorType || 'UNCLASSIFIED').padEnd(22)} ` +
+      `x${String(entry.attempts).padEnd(3)} ${entry.source}${reason ? chalk.gray(`  ${reason}`) : ''}`
+    );
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    printHelp();
+    return;
+  }
+
+  const storePath = getArg(args, 'store') ? path.resolve(getArg(args, 'store')) : DEAD_LETTER_PATH;
+  const store = await DeadLetterStore.open(storePath);
+
+  const imports = getArg(args, 'import');
+  if (imports) {
+    for (const file of imports.split(',')) {
+      const added = await store.importLegacy(path.resolve(__dirname, file.trim()));
+      console.log(chalk.green(`📥 ${file.trim()}: ${added} token(s) added`));
+    }
+    await store.save();
+  }
+
+  const stats = store.stats();
+  console.log(chalk.blue(`🪦 Dead-letter store: ${stats.dead} dead, ${stats.requeued} requeued, ${stats.resolved} resolved`));
+
+  const filters = buildFilters(args);
+  const selected = store.select(filters);
+  printSelection(selected);
+
+  if (args.includes('--list')) {
+    printEntries(selected);
+    return;
+  }
+  if (args.includes('--dry-run') || (imports && Object.keys(filters).length === 0)) {
+    return;
+  }
+  if (selected.length === 0) {
+    console.log(chalk.yellow('⚠️  Nothing to requeue'));
+    return;
+  }
+
+  const logPath = path.resolve(__dirname, getArg(args, 'log') || DEFAULT_LOG);
+  const profileName = getArg(args, 'profile') || 'robust';
+  const budget = getArg(args, 'budget');
+  const tokenIds = selected.map(entry => parseInt(entry.tokenId));
+
+  // Hand the tokens over before minting, so the logs that failed them leave them alone
+  store.markRequeued(tokenIds, logPath);
+  await store.save();
+  console.log(chalk.cyan(`🔁 Requeued ${tokenIds.length} token(s) into ${sourceName(logPath)}`));
+
+  const engine = new MintEngine({
+    name: `requeue ${tokenIds[0]}-${tokenIds[tokenIds.length - 1]}`,
+    startTokenId: tokenIds[0],
+    endTokenId: tokenIds[tokenIds.length - 1],
+    tokenIds,
+    logPath,
+    deadLetterPath: storePath,
+    signerKeys: resolveSignerKeys(getArg(args, 'signers') || 'primary'),
+    rpcEndpoints: resolveRpcEndpoints(getArg(args, 'rpc') || 'round-robin'),
+    profile: {
+      ...resolveProfile(profileName),
+      ...(budget && { RUN_BUDGET_BTIC: parseFloat(budget) }),
+      ...(args.includes('--simulate') && { SIMULATE_EACH_TX: true })
+    }
+  });
+  await engine.run();
+}
+
+process.on('unhandledRejection', (error) => {
+  console.error(chalk.red('Unhandled rejection:'), error);
+});
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red(`\n💥 Fatal error: ${error.message}`));
+    process.exit(1);
+  });
+}
@@ -1,15 +1,18 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
+const { getEndpoint } = require('./lib/rpc-endpoints');
 const fs = require('fs-extra');
 const path = require('path');
 const pLimit = require('p-limit');
 const chalk = require('chalk');
+const { writeJsonAtomic, readJsonVerified } = require('./lib/atomic-json');
+const { classifyError, isRetryable, errorAction } = require('./lib/errors');
 
 // Configuration
 const CONFIG = {
   CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
   PRIVATE_KEY: process.env.PRIVATE_KEY,
-  RPC_URL: process.env.RPC_URL || 'https://subnets.avax.network/btic/mainnet/rpc',
+  RPC_URL: process.env.RPC_URL || getEndpoint('public').url,
   
   MINT_RATE_LIMIT: 5, // Mints per second
   RETRY_ATTEMPTS: 3,
@@ -32,11 +35,12 @@ async function main() {
   
   try {
     // Load existing progress
-    if (!await fs.pathExists(CONFIG.MINT_LOG_PATH)) {
+    const { data } = await readJsonVerified(CONFIG.MINT_LOG_PATH);
+    if (!data) {
       throw new Error('No mint_log.json found. Run the main script first.');
     }
     
-    mintLog = await fs.readJSON(CONFIG.MINT_LOG_PATH);
+    mintLog = data;
     
     // Count pending tokens
     const pendingTokens = Object.values(mintLog.tokens).filter(t => 
@@ -134,19 +138,23 @@ async function mintPendingNFTs(wallet, contract, pendingTokens) {
           break; // Success, exit retry loop
           
         } catch (error) {
-          console.error(chalk.red(`❌ Attempt ${attempt}/${CONFIG.RETRY_ATTEMPTS} failed for token ${tokenData.tokenId}: ${error.message}`));
+          const errorType = classifyError(error);
+          console.error(chalk.red(`❌ Attempt ${attempt}/${CONFIG.RETRY_ATTEMPTS} failed for token ${tokenData.tokenId} (${errorType}): ${error.message}`));
           
-          if (attempt === CONFIG.RETRY_ATTEMPTS) {
-            // Final attempt failed
+          if (attempt === CONFIG.RETRY_ATTEMPTS || !isRetryable(errorType)) {
+            console.log(chalk.gray(`💡 ${tokenData.tokenId}: ${errorAction(errorType)}`));
+            // Final attempt failed, or retrying cannot help
             mintLog.tokens[tokenData.tokenId] = {
               ...tokenData,
               status: 'failed',
               error: error.message,
+              errorType: errorType,
               failedAt: new Date().toISOString()
             };
             failCount++;
             processedCount++;
             mintLog.summary.failed = failCount;
+            break;
           } else {
             // Wait before retry
             await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
@@ -175,7 +183,7 @@ async function saveMintLog() {
   };
   
   mintLog.lastUpdated = new Date().toISOString();
-  await fs.writeJSON(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+  await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
 }
 
 // Print summary
@@ -1,15 +1,19 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
-const fs = require('fs-extra');
+const { getEndpoint } = require('./lib/rpc-endpoints');
 const path = require('path');
 const pLimit = require('p-limit');
 const chalk = require('chalk');
+const { classifyError, isRetryable, errorAction } = require('./lib/errors');
+const { writeJsonAtomic, readJsonVerified } = require('./lib/atomic-json');
+const { DeadLetterStore } = require('./lib/dead-letter');
+const { extractMintedTokenId } = require('./lib/transfer-events');
 
 // Configuration
 const CONFIG = {
   CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
   PRIVATE_KEY: process.env.PRIVATE_KEY,
-  RPC_URL: 'https://subnets.avax.network/btic/mainnet/rpc',
+  RPC_URL: getEndpoint('public').url,
   MINT_RATE_LIMIT: 5,
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 3000,
@@ -26,6 +30,7 @@ const CONFIG = {
 
 const mintLimit = pLimit(CONFIG.MINT_RATE_LIMIT);
 let mintLog = { tokens: {}, summary: { total: 0, successful: 0, failed: 0, pending: 0 } };
+const deadLetter = new DeadLetterStore();
 
 async function initializeBlockchain() {
   console.log(chalk.blue('\n🔗 Connecting to Blockticity L1 Mainnet...'));
@@ -68,12 +73,17 @@ async function mintSingleToken(wallet, contract, tokenId, retryCount = 0) {
     
     const tx = await contract.mintURI(wallet.address, metadataUri, { gasLimit });
     const receipt = await tx.wait();
+    const onChainTokenId = extractMintedTokenId(receipt, CONFIG.CONTRACT_ADDRESS);
+    if (onChainTokenId === null) {
+      console.log(chalk.yellow(`  ⚠️  ${tokenId}: no Transfer event in receipt ${receipt.hash.slice(0, 10)}...`));
+    }
     
     mintLog.tokens[tokenId] = {
       ...mintLog.tokens[tokenId],
       status: 'completed',
       metadataUri: metadataUri,
       txHash: receipt.hash,
+      onChainTokenId: onChainTokenId,
       blockNumber: receipt.blockNumber,
       gasUsed: receipt.gasUsed.toString(),
       completedAt: new Date().toISOString()
@@ -82,26 +92,29 @@ async function mintSingleToken(wallet, contract, tokenId, retryCount = 0) {
     mintLog.summary.successful++;
     mintLog.summary.pending--;
     
-    console.log(chalk.green(`  ✅ Token ${tokenId} minted! Tx: ${receipt.hash}`));
-    await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+    console.log(chalk.green(`  ✅ Token ${tokenId} minted as #${onChainTokenId}! Tx: ${receipt.hash}`));
+    await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
     
     return true;
   } catch (error) {
-    console.error(chalk.red(`  ❌ Failed to mint token ${tokenId}: ${error.message}`));
+    const errorType = classifyError(error);
+    console.error(chalk.red(`  ❌ Failed to mint token ${tokenId} (${errorType}): ${error.message}`));
     
-    if (retryCount < CONFIG.RETRY_ATTEMPTS) {
+    if (isRetryable(errorType) && retryCount < CONFIG.RETRY_ATTEMPTS) {
       console.log(chalk.yellow(`  🔄 Retrying in ${CONFIG.RETRY_DELAY / 1000} seconds... (Attempt ${retryCount + 1}/${CONFIG.RETRY_ATTEMPTS})`));
       await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
       return mintSingleToken(wallet, contract, tokenId, retryCount + 1);
     }
     
+    console.log(chalk.gray(`  💡 ${tokenId}: ${errorAction(errorType)}`));
     mintLog.tokens[tokenId].status = 'failed';
     mintLog.tokens[tokenId].error = error.message;
+    mintLog.tokens[tokenId].errorType = errorType;
     mintLog.tokens[tokenId].failedAt = new Date().toISOString();
     mintLog.summary.failed++;
     mintLog.summary.pending--;
     
-    await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+    await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
     return false;
   }
 }
@@ -109,8 +122,8 @@ async function mintSingleToken(wallet, contract, tokenId, retryCount = 0) {
 async function loadFailedTokens() {
   console.log(chalk.cyan('\n📂 Loading failed tokens...'));
   
-  const tokensText = await fs.readFile(CONFIG.FAILED_TOKENS_FILE, 'utf8');
-  const tokenIds = tokensText.trim().split('\n').filter(id => id.trim());
+  // Dead-lettered tokens from the failure file (imported into the store on first use)
+  const tokenIds = await deadLetter.retryQueue(CONFIG.FAILED_TOKENS_FILE, CONFIG.MINT_LOG_PATH);
   
   console.log(chalk.cyan(`📊 Found ${tokenIds.length} failed tokens to retry`));
   
@@ -132,7 +145,7 @@ async function buildMintLog(tokenIds) {
     }
   }
   
-  await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+  await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
   console.log(chalk.green(`✅ Mint log initialized with ${mintLog.summary.total} tokens`));
 }
 
@@ -182,10 +195,11 @@ async function main() {
     const tokenIds = await loadFailedTokens();
     
     // Check if mint log exists
-    const mintLogExists = await fs.pathExists(CONFIG.MINT_LOG_PATH);
+    const { data: existingLog } = await readJsonVerified(CONFIG.MINT_LOG_PATH);
+    const mintLogExists = existingLog !== null;
     
     if (mintLogExists) {
-      mintLog = await fs.readJson(CONFIG.MINT_LOG_PATH);
+      mintLog = existingLog;
       console.log(chalk.green(`✅ Loaded existing mint log`));
       console.log(chalk.cyan(`📊 Current status: ${mintLog.summary.successful} minted, ${mintLog.summary.failed} failed, ${mintLog.summary.pending} pending`));
     } else {
@@ -209,19 +223,10 @@ async function main() {
     console.log(chalk.red(`   ❌ Failed: ${mintLog.summary.failed}`));
     console.log(chalk.yellow(`   ⏳ Pending: ${mintLog.summary.pending}`));
     
-    // Export any remaining failed tokens
-    const remainingFailedTokens = Object.entries(mintLog.tokens)
-      .filter(([_, data]) => data.status === 'failed')
-      .map(([tokenId, data]) => ({ tokenId, ...data }));
-    
-    if (remainingFailedTokens.length > 0) {
-      await fs.writeJson(
-        path.join(__dirname, 'remaining_failed_tokens.json'), 
-        remainingFailedTokens, 
-        { spaces: 2 }
-      );
-      console.log(chalk.yellow(`\n📄 Remaining failed tokens exported to remaining_failed_tokens.json`));
-    }
+    // Remaining failures go to the dead-letter store, minted tokens leave it
+    deadLetter.syncFromLog(mintLog.tokens, CONFIG.MINT_LOG_PATH);
+    await deadLetter.save();
+    deadLetter.printSummary();
     
   } catch (error) {
     console.error(chalk.red(`\n❌ Fatal error: ${error.message}`));
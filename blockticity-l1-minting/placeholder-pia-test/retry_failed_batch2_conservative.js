@@ -1,14 +1,18 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
-const fs = require('fs-extra');
+const { getEndpoint } = require('./lib/rpc-endpoints');
 const path = require('path');
 const chalk = require('chalk');
+const { writeJsonAtomic, readJsonVerified } = require('./lib/atomic-json');
+const { DeadLetterStore } = require('./lib/dead-letter');
+const { extractMintedTokenId } = require('./lib/transfer-events');
+const { classifyError, isRetryable, errorAction } = require('./lib/errors');
 
 // Ultra-conservative Configuration
 const CONFIG = {
   CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
   PRIVATE_KEY: process.env.PRIVATE_KEY,
-  RPC_URL: 'https://subnets.avax.network/btic/mainnet/rpc',
+  RPC_URL: getEndpoint('public').url,
   RETRY_ATTEMPTS: 10,
   RETRY_DELAY: 10000, // 10 seconds
   TX_TIMEOUT: 180000, // 3 minutes
@@ -23,6 +27,7 @@ const CONFIG = {
 };
 
 let mintLog = { tokens: {}, summary: { total: 0, successful: 0, failed: 0, pending: 0 } };
+const deadLetter = new DeadLetterStore();
 let provider = null;
 let wallet = null;
 
@@ -96,12 +101,17 @@ async function mintSingleTokenConservative(contract, tokenId, retryCount = 0) {
     
     // Wait for transaction with timeout
     const receipt = await waitForTransactionWithTimeout(tx.wait());
+    const onChainTokenId = extractMintedTokenId(receipt, CONFIG.CONTRACT_ADDRESS);
+    if (onChainTokenId === null) {
+      console.log(chalk.yellow(`  ⚠️  ${tokenId}: no Transfer event in receipt ${receipt.hash.slice(0, 10)}...`));
+    }
     
     mintLog.tokens[tokenId] = {
       tokenId: tokenId,
       status: 'completed',
       metadataUri: metadataUri,
       txHash: receipt.hash,
+      onChainTokenId: onChainTokenId,
       blockNumber: receipt.blockNumber,
       gasUsed: receipt.gasUsed.toString(),
       nonce: nonce,
@@ -113,18 +123,19 @@ async function mintSingleTokenConservative(contract, tokenId, retryCount = 0) {
       mintLog.summary.pending--;
     }
     
-    console.log(chalk.green(`✅ Token ${tokenId} minted successfully!`));
+    console.log(chalk.green(`✅ Token ${tokenId} minted successfully as #${onChainTokenId}!`));
     console.log(chalk.green(`   Block: ${receipt.blockNumber}, Gas: ${receipt.gasUsed}`));
     
-    await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+    await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
     
     return true;
     
   } catch (error) {
-    console.error(chalk.red(`❌ Failed to mint token ${tokenId}: ${error.message}`));
+    const errorType = classifyError(error);
+    console.error(chalk.red(`❌ Failed to mint token ${tokenId} (${errorType}): ${error.message}`));
     
     // Handle specific error cases
-    if (error.message.includes('already known') || error.message.includes('transaction already exists')) {
+    if (errorType === 'ALREADY_KNOWN') {
       console.log(chalk.blue(`📝 Transaction already known, marking as completed...`));
       
       mintLog.tokens[tokenId] = {
@@ -141,23 +152,26 @@ async function mintSingleTokenConservative(contract, tokenId, retryCount = 0) {
         mintLog.summary.pending--;
       }
       
-      await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+      await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
       return true;
     }
     
     // Retry logic
-    if (retryCount < CONFIG.RETRY_ATTEMPTS) {
+    if (isRetryable(errorType) && retryCount < CONFIG.RETRY_ATTEMPTS) {
       const delay = CONFIG.RETRY_DELAY * (retryCount + 1); // Linear backoff
       console.log(chalk.yellow(`🔄 Retrying in ${delay/1000}s... (${retryCount + 1}/${CONFIG.RETRY_ATTEMPTS})`));
       await new Promise(resolve => setTimeout(resolve, delay));
       return mintSingleTokenConservative(contract, tokenId, retryCount + 1);
     }
     
+    console.log(chalk.gray(`💡 ${tokenId}: ${errorAction(errorType)}`));
+    
     // Mark as failed
     mintLog.tokens[tokenId] = {
       tokenId: tokenId,
       status: 'failed',
       error: error.message,
+      errorType: errorType,
       failedAt: new Date().toISOString(),
       retryCount: retryCount
     };
@@ -167,16 +181,17 @@ async function mintSingleTokenConservative(contract, tokenId, retryCount = 0) {
       mintLog.summary.pending--;
     }
     
-    await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+    await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
     return false;
   }
 }
 
 async function loadExistingProgress() {
-  const mintLogExists = await fs.pathExists(CONFIG.MINT_LOG_PATH);
+  const { data: existingLog } = await readJsonVerified(CONFIG.MINT_LOG_PATH);
+  const mintLogExists = existingLog !== null;
   
   if (mintLogExists) {
-    mintLog = await fs.readJson(CONFIG.MINT_LOG_PATH);
+    mintLog = existingLog;
     console.log(chalk.green(`✅ Loaded existing progress`));
     console.log(chalk.cyan(`📊 Status: ${mintLog.summary.successful} minted, ${mintLog.summary.failed} failed, ${mintLog.summary.pending} pending`));
   }
@@ -193,8 +208,7 @@ async function main() {
     
     // Load failed tokens
     console.log(chalk.cyan('\n📂 Loading failed tokens...'));
-    const tokensText = await fs.readFile(CONFIG.FAILED_TOKENS_FILE, 'utf8');
-    const allTokenIds = tokensText.trim().split('\n').filter(id => id.trim()).sort((a, b) => parseInt(a) - parseInt(b));
+    const allTokenIds = await deadLetter.retryQueue(CONFIG.FAILED_TOKENS_FILE, CONFIG.MINT_LOG_PATH);
     
     console.log(chalk.cyan(`📊 Found ${allTokenIds.length} failed tokens total`));
     
@@ -242,6 +256,11 @@ async function main() {
     console.log(chalk.green(`   ✅ Successful: ${mintLog.summary.successful}`));
     console.log(chalk.red(`   ❌ Failed: ${mintLog.summary.failed}`));
     
+    // Remaining failures go to the dead-letter store, minted tokens leave it
+    deadLetter.syncFromLog(mintLog.tokens, CONFIG.MINT_LOG_PATH);
+    await deadLetter.save();
+    deadLetter.printSummary();
+    
   } catch (error) {
     console.error(chalk.red(`\n💥 Fatal error: ${error.message}`));
     console.error(error.stack);
@@ -257,9 +276,11 @@ process.on('SIGINT', async () => {
   console.log(chalk.red(`   ❌ Failed: ${mintLog.summary.failed}`));
   
   if (CONFIG.MINT_LOG_PATH) {
-    await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+    await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
     console.log(chalk.cyan(`💾 Progress saved to: ${CONFIG.MINT_LOG_PATH}`));
   }
+  deadLetter.syncFromLog(mintLog.tokens, CONFIG.MINT_LOG_PATH);
+  await deadLetter.save();
   
   process.exit(0);
 });
@@ -1,15 +1,19 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
-const fs = require('fs-extra');
+const { getEndpoint } = require('./lib/rpc-endpoints');
 const path = require('path');
 const pLimit = require('p-limit');
 const chalk = require('chalk');
+const { writeJsonAtomic, readJsonVerified } = require('./lib/atomic-json');
+const { DeadLetterStore } = require('./lib/dead-letter');
+const { extractMintedTokenId } = require('./lib/transfer-events');
+const { classifyError, isRetryable, errorAction } = require('./lib/errors');
 
 // Improved Configuration
 const CONFIG = {
   CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
   PRIVATE_KEY: process.env.PRIVATE_KEY,
-  RPC_URL: 'https://subnets.avax.network/btic/mainnet/rpc',
+  RPC_URL: getEndpoint('public').url,
   MINT_RATE_LIMIT: 3, // Reduced from 5 to avoid overwhelming RPC
   RETRY_ATTEMPTS: 5, // Increased retry attempts
   RETRY_DELAY: 5000, // Increased initial delay
@@ -27,33 +31,11 @@ const CONFIG = {
 
 const mintLimit = pLimit(CONFIG.MINT_RATE_LIMIT);
 let mintLog = { tokens: {}, summary: { total: 0, successful: 0, failed: 0, pending: 0 } };
+const deadLetter = new DeadLetterStore();
 let globalNonce = null;
 let provider = null;
 let wallet = null;
 
-// Improved error classification
-function classifyError(error) {
-  const message = error.message.toLowerCase();
-  
-  if (message.includes('already known') || message.includes('transaction already exists')) {
-    return 'ALREADY_KNOWN';
-  }
-  if (message.includes('nonce') && (message.includes('too low') || message.includes('already been used'))) {
-    return 'NONCE_ERROR';
-  }
-  if (message.includes('timeout') || message.includes('econnreset') || message.includes('network')) {
-    return 'NETWORK_ERROR';
-  }
-  if (message.includes('gas') && message.includes('insufficient')) {
-    return 'GAS_ERROR';
-  }
-  if (message.includes('replacement transaction underpriced')) {
-    return 'REPLACEMENT_UNDERPRICED';
-  }
-  
-  return 'UNKNOWN_ERROR';
-}
-
 // Get fresh nonce for each transaction
 async function getFreshNonce() {
   try {
@@ -157,12 +139,17 @@ async function mintSingleToken(contract, tokenId, retryCount = 0) {
     console.log(chalk.cyan(`  📡 Transaction sent: ${tx.hash} (nonce: ${nonce})`));
     
     const receipt = await tx.wait();
+    const onChainTokenId = extractMintedTokenId(receipt, CONFIG.CONTRACT_ADDRESS);
+    if (onChainTokenId === null) {
+      console.log(chalk.yellow(`  ⚠️  ${tokenId}: no Transfer event in receipt ${receipt.hash.slice(0, 10)}...`));
+    }
     
     mintLog.tokens[tokenId] = {
       ...mintLog.tokens[tokenId],
       status: 'completed',
       metadataUri: metadataUri,
       txHash: receipt.hash,
+      onChainTokenId: onChainTokenId,
       blockNumber: receipt.blockNumber,
       gasUsed: receipt.gasUsed.toString(),
       nonce: nonce,
@@ -174,8 +161,8 @@ async function mintSingleToken(contract, tokenId, retryCount = 0) {
       mintLog.summary.pending--;
     }
     
-    console.log(chalk.green(`  ✅ Token ${tokenId} minted! Tx: ${receipt.hash}`));
-    await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+    console.log(chalk.green(`  ✅ Token ${tokenId} minted as #${onChainTokenId}! Tx: ${receipt.hash}`));
+    await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
     
     return true;
     
@@ -207,7 +194,7 @@ async function mintSingleToken(contract, tokenId, retryCount = 0) {
         }
         
         console.log(chalk.green(`  ✅ Token ${tokenId} marked as completed (already known)`));
-        await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+        await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
         return true;
         
       } catch (checkError) {
@@ -215,20 +202,22 @@ async function mintSingleToken(contract, tokenId, retryCount = 0) {
       }
     }
     
-    if (errorType === 'NONCE_ERROR') {
+    if (errorType === 'NONCE_ERROR' || errorType === 'REPLACEMENT_UNDERPRICED') {
       console.log(chalk.yellow(`  🔄 Nonce error, refreshing nonce...`));
       // Reset nonce to force refresh
       globalNonce = null;
     }
     
     // Retry logic
-    if (retryCount < CONFIG.RETRY_ATTEMPTS) {
+    if (isRetryable(errorType) && retryCount < CONFIG.RETRY_ATTEMPTS) {
       const delay = calculateBackoffDelay(retryCount);
       console.log(chalk.yellow(`  🔄 Retrying in ${(delay / 1000).toFixed(1)}s... (Attempt ${retryCount + 1}/${CONFIG.RETRY_ATTEMPTS})`));
       await new Promise(resolve => setTimeout(resolve, delay));
       return mintSingleToken(contract, tokenId, retryCount + 1);
     }
     
+    console.log(chalk.gray(`  💡 ${tokenId}: ${errorAction(errorType)}`));
+
     // Mark as failed after all retries
     mintLog.tokens[tokenId] = {
       ...mintLog.tokens[tokenId],
@@ -244,7 +233,7 @@ async function mintSingleToken(contract, tokenId, retryCount = 0) {
       mintLog.summary.pending--;
     }
     
-    await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+    await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
     return false;
   }
 }
@@ -252,8 +241,8 @@ async function mintSingleToken(contract, tokenId, retryCount = 0) {
 async function loadFailedTokens() {
   console.log(chalk.cyan('\n📂 Loading failed tokens...'));
   
-  const tokensText = await fs.readFile(CONFIG.FAILED_TOKENS_FILE, 'utf8');
-  const tokenIds = tokensText.trim().split('\n').filter(id => id.trim());
+  // Dead-lettered tokens from the failure file (imported into the store on first use)
+  const tokenIds = await deadLetter.retryQueue(CONFIG.FAILED_TOKENS_FILE, CONFIG.MINT_LOG_PATH);
   
   console.log(chalk.cyan(`📊 Found ${tokenIds.length} failed tokens to retry`));
   
@@ -275,7 +264,7 @@ async function buildMintLog(tokenIds) {
     }
   }
   
-  await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+  await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
   console.log(chalk.green(`✅ Mint log initialized with ${mintLog.summary.total} tokens`));
 }
 
@@ -327,10 +316,11 @@ async function main() {
     const tokenIds = await loadFailedTokens();
     
     // Check if mint log exists
-    const mintLogExists = await fs.pathExists(CONFIG.MINT_LOG_PATH);
+    const { data: existingLog } = await readJsonVerified(CONFIG.MINT_LOG_PATH);
+    const mintLogExists = existingLog !== null;
     
     if (mintLogExists) {
-      mintLog = await fs.readJson(CONFIG.MINT_LOG_PATH);
+      mintLog = existingLog;
       console.log(chalk.green(`✅ Loaded existing mint log`));
       console.log(chalk.cyan(`📊 Current status: ${mintLog.summary.successful} minted, ${mintLog.summary.failed} failed, ${mintLog.summary.pending} pending`));
     } else {
@@ -360,6 +350,11 @@ async function main() {
       console.log(chalk.yellow(`📄 Log file: ${CONFIG.MINT_LOG_PATH}`));
     }
     
+    // Remaining failures go to the dead-letter store, minted tokens leave it
+    deadLetter.syncFromLog(mintLog.tokens, CONFIG.MINT_LOG_PATH);
+    await deadLetter.save();
+    deadLetter.printSummary();
+    
   } catch (error) {
     console.error(chalk.red(`\n💥 Fatal error: ${error.message}`));
     console.error(error.stack);
@@ -376,9 +371,11 @@ process.on('SIGINT', async () => {
   console.log(chalk.yellow(`   ⏳ Pending: ${mintLog.summary.pending}`));
   
   if (CONFIG.MINT_LOG_PATH) {
-    await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+    await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
     console.log(chalk.cyan(`💾 Progress saved to: ${CONFIG.MINT_LOG_PATH}`));
   }
+  deadLetter.syncFromLog(mintLog.tokens, CONFIG.MINT_LOG_PATH);
+  await deadLetter.save();
   
   process.exit(0);
 });
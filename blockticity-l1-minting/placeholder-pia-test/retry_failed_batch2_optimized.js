@@ -1,15 +1,19 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
-const fs = require('fs-extra');
+const { getEndpoint } = require('./lib/rpc-endpoints');
 const path = require('path');
 const pLimit = require('p-limit');
 const chalk = require('chalk');
+const { writeJsonAtomic, readJsonVerified } = require('./lib/atomic-json');
+const { DeadLetterStore } = require('./lib/dead-letter');
+const { extractMintedTokenId } = require('./lib/transfer-events');
+const { classifyError, isRetryable, errorAction } = require('./lib/errors');
 
 // Optimized Configuration for Maximum Throughput
 const CONFIG = {
   CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
   PRIVATE_KEY: process.env.PRIVATE_KEY,
-  RPC_URL: 'https://subnets.avax.network/btic/mainnet/rpc',
+  RPC_URL: getEndpoint('public').url,
   MINT_RATE_LIMIT: 10, // Increased concurrency
   RETRY_ATTEMPTS: 5,
   RETRY_DELAY: 2000, // Reduced delay
@@ -26,31 +30,12 @@ const CONFIG = {
 
 const mintLimit = pLimit(CONFIG.MINT_RATE_LIMIT);
 let mintLog = { tokens: {}, summary: { total: 0, successful: 0, failed: 0, pending: 0 } };
+const deadLetter = new DeadLetterStore();
 let provider = null;
 let wallet = null;
 let baseNonce = null;
 let nonceOffset = 0;
 
-// Smart error classification
-function classifyError(error) {
-  const message = error.message.toLowerCase();
-  
-  if (message.includes('already known') || message.includes('transaction already exists')) {
-    return 'ALREADY_KNOWN';
-  }
-  if (message.includes('nonce') && (message.includes('too low') || message.includes('already been used'))) {
-    return 'NONCE_ERROR';
-  }
-  if (message.includes('timeout') || message.includes('econnreset') || message.includes('network')) {
-    return 'NETWORK_ERROR';
-  }
-  if (message.includes('replacement transaction underpriced')) {
-    return 'REPLACEMENT_UNDERPRICED';
-  }
-  
-  return 'UNKNOWN_ERROR';
-}
-
 // Get next nonce in sequence
 function getNextNonce() {
   const nonce = baseNonce + nonceOffset;
@@ -140,12 +125,17 @@ async function mintSingleTokenOptimized(contract, tokenId, retryCount = 0) {
     console.log(chalk.yellow(`  🎨 ${tokenId}: ${tx.hash.slice(0, 10)}... (nonce: ${nonce})`));
     
     const receipt = await tx.wait();
+    const onChainTokenId = extractMintedTokenId(receipt, CONFIG.CONTRACT_ADDRESS);
+    if (onChainTokenId === null) {
+      console.log(chalk.yellow(`  ⚠️  ${tokenId}: no Transfer event in receipt ${receipt.hash.slice(0, 10)}...`));
+    }
     
     mintLog.tokens[tokenId] = {
       tokenId: tokenId,
       status: 'completed',
       metadataUri: metadataUri,
       txHash: receipt.hash,
+      onChainTokenId: onChainTokenId,
       blockNumber: receipt.blockNumber,
       gasUsed: receipt.gasUsed.toString(),
       nonce: nonce,
@@ -157,7 +147,7 @@ async function mintSingleTokenOptimized(contract, tokenId, retryCount = 0) {
       mintLog.summary.pending--;
     }
     
-    console.log(chalk.green(`  ✅ ${tokenId}: Block ${receipt.blockNumber}`));
+    console.log(chalk.green(`  ✅ ${tokenId}: Block ${receipt.blockNumber} → #${onChainTokenId}`));
     return true;
     
   } catch (error) {
@@ -185,19 +175,21 @@ async function mintSingleTokenOptimized(contract, tokenId, retryCount = 0) {
     }
     
     // Reset nonce on nonce errors
-    if (errorType === 'NONCE_ERROR') {
+    if (errorType === 'NONCE_ERROR' || errorType === 'REPLACEMENT_UNDERPRICED') {
       console.log(chalk.yellow(`  🔄 Nonce error detected, resetting sequence...`));
       await resetNonceSequence();
     }
     
     // Retry logic
-    if (retryCount < CONFIG.RETRY_ATTEMPTS) {
+    if (isRetryable(errorType) && retryCount < CONFIG.RETRY_ATTEMPTS) {
       const delay = calculateBackoffDelay(retryCount);
       console.log(chalk.yellow(`  🔄 ${tokenId}: Retry ${retryCount + 1}/${CONFIG.RETRY_ATTEMPTS} in ${(delay/1000).toFixed(1)}s`));
       await new Promise(resolve => setTimeout(resolve, delay));
       return mintSingleTokenOptimized(contract, tokenId, retryCount + 1);
     }
     
+    console.log(chalk.gray(`  💡 ${tokenId}: ${errorAction(errorType)}`));
+
     // Mark as failed after all retries
     mintLog.tokens[tokenId] = {
       tokenId: tokenId,
@@ -218,10 +210,11 @@ async function mintSingleTokenOptimized(contract, tokenId, retryCount = 0) {
 }
 
 async function loadExistingProgress() {
-  const mintLogExists = await fs.pathExists(CONFIG.MINT_LOG_PATH);
+  const { data: existingLog } = await readJsonVerified(CONFIG.MINT_LOG_PATH);
+  const mintLogExists = existingLog !== null;
   
   if (mintLogExists) {
-    mintLog = await fs.readJson(CONFIG.MINT_LOG_PATH);
+    mintLog = existingLog;
     console.log(chalk.green(`✅ Loaded existing progress`));
     console.log(chalk.cyan(`📊 Status: ${mintLog.summary.successful} minted, ${mintLog.summary.failed} failed, ${mintLog.summary.pending} pending`));
   }
@@ -249,7 +242,7 @@ async function processBatchOptimized(contract, batch, batchNum, totalBatches) {
   console.log(chalk.cyan(`📈 Total progress: ${mintLog.summary.successful} minted, ${mintLog.summary.failed} failed, ${mintLog.summary.pending} pending`));
   
   // Save progress after each batch
-  await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+  await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
 }
 
 async function main() {
@@ -263,8 +256,7 @@ async function main() {
     
     // Load failed tokens
     console.log(chalk.cyan('\n📂 Loading failed tokens...'));
-    const tokensText = await fs.readFile(CONFIG.FAILED_TOKENS_FILE, 'utf8');
-    const allTokenIds = tokensText.trim().split('\n').filter(id => id.trim()).sort((a, b) => parseInt(a) - parseInt(b));
+    const allTokenIds = await deadLetter.retryQueue(CONFIG.FAILED_TOKENS_FILE, CONFIG.MINT_LOG_PATH);
     
     console.log(chalk.cyan(`📊 Found ${allTokenIds.length} failed tokens total`));
     
@@ -317,6 +309,11 @@ async function main() {
     console.log(chalk.green(`   ✅ Successful: ${mintLog.summary.successful}`));
     console.log(chalk.red(`   ❌ Failed: ${mintLog.summary.failed}`));
     
+    // Remaining failures go to the dead-letter store, minted tokens leave it
+    deadLetter.syncFromLog(mintLog.tokens, CONFIG.MINT_LOG_PATH);
+    await deadLetter.save();
+    deadLetter.printSummary();
+    
   } catch (error) {
     console.error(chalk.red(`\n💥 Fatal error: ${error.message}`));
     console.error(error.stack);
@@ -332,9 +329,11 @@ process.on('SIGINT', async () => {
   console.log(chalk.red(`   ❌ Failed: ${mintLog.summary.failed}`));
   
   if (CONFIG.MINT_LOG_PATH) {
-    await fs.writeJson(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
+    await writeJsonAtomic(CONFIG.MINT_LOG_PATH, mintLog, { spaces: 2 });
     console.log(chalk.cyan(`💾 Progress saved to: ${CONFIG.MINT_LOG_PATH}`));
   }
+  deadLetter.syncFromLog(mintLog.tokens, CONFIG.MINT_LOG_PATH);
+  await deadLetter.save();
   
   process.exit(0);
 });
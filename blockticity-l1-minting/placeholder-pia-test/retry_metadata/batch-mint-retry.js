@@ -1,15 +1,18 @@
 require('dotenv').config({ path: '../../.env' });
 const { ethers } = require('ethers');
+const { getEndpoint } = require('../lib/rpc-endpoints');
 const fs = require('fs-extra');
 const path = require('path');
 const pLimit = require('p-limit');
 const chalk = require('chalk');
+const { classifyError, isRetryable, errorAction } = require('../lib/errors');
+const { DeadLetterStore } = require('../lib/dead-letter');
 
 // Configuration
 const CONFIG = {
   CONTRACT_ADDRESS: process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
   PRIVATE_KEY: process.env.MAINNET_PRIVATE_KEY,
-  RPC_URL: process.env.PUBLIC_RPC_URL || 'https://subnets.avax.network/btic/mainnet/rpc',
+  RPC_URL: process.env.PUBLIC_RPC_URL || getEndpoint('public').url,
   MINT_RATE_LIMIT: 3,
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 5000,
@@ -26,6 +29,7 @@ const CONFIG = {
 
 const mintLimit = pLimit(CONFIG.MINT_RATE_LIMIT);
 let mintLog = { tokens: {}, summary: { total: 0, successful: 0, failed: 0, pending: 0 } };
+const deadLetter = new DeadLetterStore();
 
 async function initializeBlockchain() {
   console.log(chalk.blue('\n🔗 Connecting to Blockticity L1 Mainnet...'));
@@ -122,16 +126,19 @@ async function mintSingleToken(wallet, contract, tokenData, retryCount = 0) {
     
     return true;
   } catch (error) {
-    console.error(chalk.red(`  ❌ Failed to mint token ${tokenId}: ${error.message}`));
+    const errorType = classifyError(error);
+    console.error(chalk.red(`  ❌ Failed to mint token ${tokenId} (${errorType}): ${error.message}`));
     
-    if (retryCount < CONFIG.RETRY_ATTEMPTS) {
+    if (isRetryable(errorType) && retryCount < CONFIG.RETRY_ATTEMPTS) {
       console.log(chalk.yellow(`  🔄 Retrying in ${CONFIG.RETRY_DELAY / 1000} seconds... (Attempt ${retryCount + 1}/${CONFIG.RETRY_ATTEMPTS})`));
       await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
       return mintSingleToken(wallet, contract, tokenData, retryCount + 1);
     }
     
+    console.log(chalk.gray(`  💡 ${tokenId}: ${errorAction(errorType)}`));
     mintLog.tokens[tokenId].status = 'failed';
     mintLog.tokens[tokenId].error = error.message;
+    mintLog.tokens[tokenId].errorType = errorType;
     mintLog.tokens[tokenId].failedAt = new Date().toISOString();
     mintLog.summary.failed++;
     mintLog.summary.pending--;
@@ -257,19 +264,10 @@ async function main() {
     console.log(chalk.red(`   ❌ Failed: ${mintLog.summary.failed}`));
     console.log(chalk.yellow(`   ⏳ Pending: ${mintLog.summary.pending}`));
     
-    // Export failed tokens for analysis
-    const failedTokens = Object.entries(mintLog.tokens)
-      .filter(([_, data]) => data.status === 'failed')
-      .map(([tokenId, data]) => ({ tokenId, ...data }));
-    
-    if (failedTokens.length > 0) {
-      await fs.writeJson(
-        path.join(__dirname, 'failed_tokens.json'), 
-        failedTokens, 
-        { spaces: 2 }
-      );
-      console.log(chalk.yellow(`\n📄 Failed tokens exported to failed_tokens.json`));
-    }
+    // Failed tokens go to the dead-letter store (node requeue.js --source retry_metadata)
+    deadLetter.syncFromLog(mintLog.tokens, CONFIG.MINT_LOG_PATH);
+    await deadLetter.save();
+    deadLetter.printSummary();
     
   } catch (error) {
     console.error(chalk.red(`\n❌ Fatal error: ${error.message}`));
@@ -0,0 +1,77 @@
+require('dotenv').config();
+const path = require('path');
+const chalk = require('chalk');
+const { resolveRpcEndpoints } = require('./lib/rpc-endpoints');
+const { RpcCassetteProxy } = require('./lib/rpc-cassette');
+
+/**
+ * Record a minting session's JSON-RPC traffic to a cassette, or replay it offline.
+ *
+ *   node rpc-proxy.js record --cassette cassettes/mint-10.json [--rpc round-robin] [--port 8545]
+ *   node rpc-proxy.js replay --cassette cassettes/mint-10.json [--port 8545] [--latency]
+ *
+ * Both write <cassette>.registry.json, an RPC registry whose endpoints point at the proxy;
+ * run the script under test with RPC_REGISTRY set to it (see lib/rpc-cassette.js).
+ */
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function printUsage() {
+  console.log(chalk.blue('JSON-RPC record/replay proxy\n'));
+  console.log('Usage:');
+  console.log('  node rpc-proxy.js record --cassette <file.json> [--rpc round-robin] [--port 8545]');
+  console.log('  node rpc-proxy.js replay --cassette <file.json> [--port 8545] [--latency]');
+  console.log('\nOptions:');
+  console.log('  --cassette <path>  Cassette to write (record) or read (replay)');
+  console.log('  --rpc <set>        Record: RPC set or endpoint names to forward to (default: round-robin)');
+  console.log('  --port <port>      Port to listen on (default: 8545)');
+  console.log('  --latency          Replay: answer after the recorded response times');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const mode = args[0];
+  const cassettePath = getArg(args, 'cassette');
+
+  if (!['record', 'replay'].includes(mode) || !cassettePath || args.includes('--help')) {
+    printUsage();
+    return;
+  }
+
+  const proxy = new RpcCassetteProxy(mode, path.resolve(cassettePath), {
+    port: getArg(args, 'port') ? parseInt(getArg(args, 'port')) : undefined,
+    latency: args.includes('--latency'),
+    endpoints: mode === 'record' ? resolveRpcEndpoints(getArg(args, 'rpc') || 'round-robin') : undefined
+  });
+
+  const cassette = await proxy.load();
+  await proxy.start();
+
+  const registryPath = path.resolve(cassettePath).replace(/\.json$/, '') + '.registry.json';
+  await proxy.writeRegistry(registryPath);
+
+  console.log(chalk.cyan(`📼 ${mode === 'record' ? 'Recording to' : `Replaying ${cassette.interactions.length} call(s) from`} ${cassettePath}`));
+  Object.keys(cassette.endpoints).forEach(name => {
+    console.log(chalk.cyan(`  📡 ${name}: http://${proxy.options.host}:${proxy.options.port}/${name}`));
+  });
+  console.log(chalk.cyan(`\nRun the script under test with:\n  RPC_REGISTRY=${registryPath} node mint-batch.js ...`));
+  console.log(chalk.gray('Ctrl+C to stop'));
+
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, async () => {
+    await proxy.stop();
+    const { requests, calls, recorded, replayed, misses } = proxy.stats;
+    console.log(chalk.cyan(`\n📼 ${requests} request(s), ${calls} call(s): ${mode === 'record' ? `${recorded} recorded` : `${replayed} replayed, ${misses} miss(es)`}`));
+    process.exit(mode === 'replay' && misses > 0 ? 1 : 0);
+  }));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red(`💥 Fatal error: ${error.message}`));
+    process.exit(1);
+  });
+}
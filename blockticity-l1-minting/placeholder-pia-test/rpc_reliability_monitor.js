@@ -1,11 +1,14 @@
 const { ethers } = require('ethers');
 const fs = require('fs-extra');
+const path = require('path');
 const chalk = require('chalk');
+const { getEndpoint, endpointsForNetwork, resolveRpcEndpoints, createProvider } = require('./lib/rpc-endpoints');
 
 // Configuration for RPC reliability testing
 const CONFIG = {
-  // Primary RPC endpoint
-  PRIMARY_RPC: 'https://subnets.avax.network/btic/mainnet/rpc',
+  // Endpoint under test and the network whose other endpoints are compared (config/rpc-endpoints.json)
+  PRIMARY_RPC: process.env.RPC_PRIMARY || 'public',
+  NETWORK: process.env.NETWORK || 'mainnet',
   
   // Test configuration
   TEST_DURATION: 300000, // 5 minutes of testing
@@ -13,11 +16,70 @@ const CONFIG = {
   TIMEOUT_THRESHOLD: 10000, // 10 second timeout
   
   // Output file
-  RESULTS_FILE: './rpc_reliability_results.json'
+  RESULTS_FILE: './rpc_reliability_results.json',
+  
+  // Daemon mode (--daemon): every endpoint at once, percentiles over rolling windows
+  ROLLING_WINDOWS: [60000, 300000, 900000], // 1, 5 and 15 minutes
+  SUMMARY_INTERVAL: 60000,                  // Window stats printed and exported every minute
+  EXPORT_DIR: './output/rpc-monitor'        // rpc_monitor_<date>.jsonl / .csv, one pair per UTC day
 };
 
+// Error types tracked per endpoint
+const ERROR_TYPES = ['TIMEOUT', 'RATE_LIMIT', 'CONNECTION_RESET', 'CONNECTION_REFUSED', 'DNS_ERROR', 'SERVER_ERROR', 'UNKNOWN'];
+
+// Classify a failed request; ethers puts the cause in code, info.responseStatus or the message
+function classifyRpcError(error) {
+  const text = [
+    error.message,
+    error.code,
+    error.cause && error.cause.code,
+    error.info && error.info.responseStatus
+  ].filter(Boolean).join(' ').toLowerCase();
+
+  // ethers retries HTTP 429 itself; it only surfaces once its retries run out, or as a
+  // JSON-RPC error from nodes that rate limit in the response body (-32005)
+  if (['429', 'rate limit', 'too many requests', 'limit exceeded', 'maximum retry limit', '-32005'].some(pattern => text.includes(pattern))) {
+    return 'RATE_LIMIT';
+  }
+  if (error.code === 'TIMEOUT' || text.includes('timeout')) return 'TIMEOUT';
+  if (text.includes('econnreset') || text.includes('socket hang up')) return 'CONNECTION_RESET';
+  if (text.includes('econnrefused')) return 'CONNECTION_REFUSED';
+  if (text.includes('enotfound') || text.includes('eai_again')) return 'DNS_ERROR';
+  if (/\b5\d\d\b/.test(text) || error.code === 'SERVER_ERROR') return 'SERVER_ERROR';
+  return 'UNKNOWN';
+}
+
+// "1m", "15m", or "30s" for windows under a minute
+function formatWindow(windowMs) {
+  return windowMs % 60000 === 0 ? `${windowMs / 60000}m` : `${windowMs / 1000}s`;
+}
+
+// Nearest-rank percentile of a list of numbers; null when empty
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+/**
+ * Probes one RPC endpoint with the calls a minter makes (block number, network, fees,
+ * balance). run() is the offline 5-minute test; lib/provider-pool.js calls runSingleTest()
+ * on every pool endpoint to keep its live health scores.
+ *
+ * options: { endpoint, provider, name, quiet, maxTests, retainMs }
+ *   endpoint  - registry endpoint to probe (lib/rpc-endpoints.js); defaults to PRIMARY_RPC
+ *   provider  - probe an existing provider instead of opening one for the endpoint
+ *   quiet     - no per-test console output
+ *   maxTests  - keep only the most recent tests in results.tests
+ *   retainMs  - keep only tests from the last retainMs ms (daemon mode)
+ */
 class RPCReliabilityMonitor {
-  constructor() {
+  constructor(options = {}) {
+    this.endpoint = options.provider ? null : options.endpoint || getEndpoint(CONFIG.PRIMARY_RPC);
+    this.name = options.name || (this.endpoint && this.endpoint.name);
+    this.quiet = options.quiet || false;
+    this.maxTests = options.maxTests || null;
+    this.retainMs = options.retainMs || null;
     this.results = {
       startTime: new Date().toISOString(),
       endTime: null,
@@ -25,23 +87,61 @@ class RPCReliabilityMonitor {
       successfulTests: 0,
       failedTests: 0,
       timeouts: 0,
+      errorTypes: {},
       averageResponseTime: 0,
       minResponseTime: Infinity,
       maxResponseTime: 0,
       tests: []
     };
     
-    this.provider = new ethers.JsonRpcProvider(CONFIG.PRIMARY_RPC, undefined, {
+    this.provider = options.provider || createProvider(this.endpoint, {
       timeout: CONFIG.TIMEOUT_THRESHOLD
     });
   }
 
+  log(message) {
+    if (!this.quiet) console.log(message);
+  }
+
+  recordTest(testResult) {
+    this.results.tests.push(testResult);
+    if (this.maxTests && this.results.tests.length > this.maxTests) {
+      this.results.tests.shift();
+    }
+    if (this.retainMs) {
+      const cutoff = Date.now() - this.retainMs;
+      while (this.results.tests.length > 0 && Date.parse(this.results.tests[0].timestamp) < cutoff) {
+        this.results.tests.shift();
+      }
+    }
+  }
+
+  // Success rate, p50/p95/p99 latency and error types over the tests of the last windowMs
+  windowStats(windowMs, now = Date.now()) {
+    const tests = this.results.tests.filter(test => Date.parse(test.timestamp) >= now - windowMs);
+    const latencies = tests.filter(test => test.success).map(test => test.responseTime);
+    const errors = {};
+    tests.filter(test => !test.success).forEach(test => {
+      errors[test.errorType] = (errors[test.errorType] || 0) + 1;
+    });
+
+    return {
+      windowMs,
+      tests: tests.length,
+      successRate: tests.length > 0 ? latencies.length / tests.length * 100 : null,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      p99: percentile(latencies, 99),
+      errors
+    };
+  }
+
   async runSingleTest() {
     const testStart = Date.now();
-    const testId = this.results.totalTests + 1;
+    const testId = this.results.successfulTests + this.results.failedTests + 1;
     
     try {
-      console.log(chalk.cyan(`🔍 Test ${testId}: Testing RPC response...`));
+      this.log(chalk.cyan(`🔍 Test ${testId}: Testing RPC response...`));
       
       // Test multiple RPC calls to simulate real usage
       const promises = [
@@ -70,9 +170,9 @@ class RPCReliabilityMonitor {
         balance: ethers.formatEther(results[3])
       };
       
-      this.results.tests.push(testResult);
+      this.recordTest(testResult);
       
-      console.log(chalk.green(`✅ Test ${testId}: Success in ${responseTime}ms (Block: ${results[0]})`));
+      this.log(chalk.green(`✅ Test ${testId}: Success in ${responseTime}ms (Block: ${results[0]})`));
       
       return testResult;
       
@@ -80,17 +180,11 @@ class RPCReliabilityMonitor {
       const responseTime = Date.now() - testStart;
       
       // Classify error type
-      let errorType = 'UNKNOWN';
-      if (error.message.includes('timeout')) {
-        errorType = 'TIMEOUT';
+      const errorType = classifyRpcError(error);
+      if (errorType === 'TIMEOUT') {
         this.results.timeouts++;
-      } else if (error.message.includes('ECONNRESET')) {
-        errorType = 'CONNECTION_RESET';
-      } else if (error.message.includes('ENOTFOUND')) {
-        errorType = 'DNS_ERROR';
-      } else if (error.message.includes('429')) {
-        errorType = 'RATE_LIMIT';
       }
+      this.results.errorTypes[errorType] = (this.results.errorTypes[errorType] || 0) + 1;
       
       this.results.failedTests++;
       
@@ -103,9 +197,9 @@ class RPCReliabilityMonitor {
         errorMessage: error.message.slice(0, 100)
       };
       
-      this.results.tests.push(testResult);
+      this.recordTest(testResult);
       
-      console.log(chalk.red(`❌ Test ${testId}: ${errorType} in ${responseTime}ms - ${error.message.slice(0, 50)}...`));
+      this.log(chalk.red(`❌ Test ${testId}: ${errorType} in ${responseTime}ms - ${error.message.slice(0, 50)}...`));
       
       return testResult;
     }
@@ -118,6 +212,11 @@ class RPCReliabilityMonitor {
       const successfulTests = this.results.tests.filter(t => t.success);
       const totalResponseTime = successfulTests.reduce((sum, test) => sum + test.responseTime, 0);
       this.results.averageResponseTime = totalResponseTime / successfulTests.length;
+      
+      const latencies = successfulTests.map(test => test.responseTime);
+      this.results.p50ResponseTime = percentile(latencies, 50);
+      this.results.p95ResponseTime = percentile(latencies, 95);
+      this.results.p99ResponseTime = percentile(latencies, 99);
     }
     
     this.results.successRate = (this.results.successfulTests / this.results.totalTests) * 100;
@@ -139,15 +238,13 @@ class RPCReliabilityMonitor {
     if (this.results.successfulTests > 0) {
       console.log(chalk.cyan(`\n📈 Response Time Statistics:`));
       console.log(chalk.cyan(`   Average: ${this.results.averageResponseTime.toFixed(0)}ms`));
+      console.log(chalk.cyan(`   p50 / p95 / p99: ${this.results.p50ResponseTime}ms / ${this.results.p95ResponseTime}ms / ${this.results.p99ResponseTime}ms`));
       console.log(chalk.cyan(`   Minimum: ${this.results.minResponseTime}ms`));
       console.log(chalk.cyan(`   Maximum: ${this.results.maxResponseTime}ms`));
     }
     
     // Error breakdown
-    const errorTypes = {};
-    this.results.tests.filter(t => !t.success).forEach(test => {
-      errorTypes[test.errorType] = (errorTypes[test.errorType] || 0) + 1;
-    });
+    const errorTypes = this.results.errorTypes;
     
     if (Object.keys(errorTypes).length > 0) {
       console.log(chalk.red(`\n🚨 Error Breakdown:`));
@@ -179,7 +276,7 @@ class RPCReliabilityMonitor {
 
   async run() {
     console.log(chalk.cyan('🚀 Starting RPC Reliability Monitor'));
-    console.log(chalk.cyan(`🎯 Testing: ${CONFIG.PRIMARY_RPC}`));
+    console.log(chalk.cyan(`🎯 Testing: ${this.name}`));
     console.log(chalk.cyan(`⏱️  Duration: ${CONFIG.TEST_DURATION / 1000} seconds`));
     console.log(chalk.cyan(`🔄 Interval: ${CONFIG.TEST_INTERVAL / 1000} seconds`));
     console.log(chalk.cyan('='.repeat(60)));
@@ -200,6 +297,144 @@ class RPCReliabilityMonitor {
   }
 }
 
+/**
+ * Long-lived monitor of every configured endpoint at once (--daemon).
+ *
+ * Each endpoint gets its own RPCReliabilityMonitor; all of them are tested together every
+ * TEST_INTERVAL ms, so their results line up in time. Every test is appended to
+ * <EXPORT_DIR>/rpc_monitor_<date>.jsonl as it happens, with the endpoint's lag behind the
+ * highest block seen in the same round. Every SUMMARY_INTERVAL ms each endpoint's success
+ * rate, p50/p95/p99 latency and error types over each of ROLLING_WINDOWS are printed,
+ * appended to the JSONL file and written as rows of rpc_monitor_<date>.csv.
+ *
+ * options: { endpoints, interval, summaryInterval, windows, exportDir, duration }
+ */
+class RPCMonitorDaemon {
+  constructor(options = {}) {
+    this.interval = options.interval || CONFIG.TEST_INTERVAL;
+    this.summaryInterval = options.summaryInterval || CONFIG.SUMMARY_INTERVAL;
+    this.windows = options.windows || CONFIG.ROLLING_WINDOWS;
+    this.exportDir = options.exportDir || CONFIG.EXPORT_DIR;
+    this.duration = options.duration || null;   // null = until stopped
+    this.stopped = false;
+
+    const retainMs = Math.max(...this.windows);
+    this.monitors = options.endpoints.map(endpoint => new RPCReliabilityMonitor({ endpoint, quiet: true, retainMs }));
+  }
+
+  // Export files for the current UTC day
+  exportPaths(now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    return {
+      jsonl: path.join(this.exportDir, `rpc_monitor_${day}.jsonl`),
+      csv: path.join(this.exportDir, `rpc_monitor_${day}.csv`)
+    };
+  }
+
+  async appendJsonl(records) {
+    const { jsonl } = this.exportPaths();
+    await fs.appendFile(jsonl, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+  }
+
+  async appendCsv(rows) {
+    const { csv } = this.exportPaths();
+    if (!(await fs.pathExists(csv))) {
+      const header = ['timestamp', 'endpoint', 'window_s', 'tests', 'success_rate', 'p50_ms', 'p95_ms', 'p99_ms',
+        ...ERROR_TYPES.map(type => type.toLowerCase())];
+      await fs.writeFile(csv, header.join(',') + '\n');
+    }
+    await fs.appendFile(csv, rows.map(row => row.join(',')).join('\n') + '\n');
+  }
+
+  // One test of every endpoint, exported as it completes
+  async runRound() {
+    const results = await Promise.all(this.monitors.map(monitor => monitor.runSingleTest()));
+    const heights = results.filter(result => result.success).map(result => result.blockNumber);
+    const tip = heights.length > 0 ? Math.max(...heights) : null;
+
+    await this.appendJsonl(results.map((result, index) => ({
+      type: 'test',
+      endpoint: this.monitors[index].name,
+      timestamp: result.timestamp,
+      success: result.success,
+      responseTime: result.responseTime,
+      ...(result.success
+        ? { blockNumber: result.blockNumber, lag: tip - result.blockNumber }
+        : { errorType: result.errorType, errorMessage: result.errorMessage })
+    })));
+  }
+
+  // Rolling-window stats of every endpoint: printed, and exported to JSONL and CSV
+  async summarize() {
+    const now = new Date();
+    const records = [];
+    const rows = [];
+
+    console.log(chalk.cyan(`\n📊 ${now.toISOString()}`));
+    this.monitors.forEach(monitor => {
+      const stats = this.windows.map(windowMs => monitor.windowStats(windowMs, now.getTime()));
+
+      const parts = stats.map(window => {
+        const errors = Object.entries(window.errors).map(([type, count]) => `${count} ${type}`).join(', ');
+        return `${formatWindow(window.windowMs)}: ${window.tests} tests, ${window.successRate !== null ? window.successRate.toFixed(1) : '-'}% ok, ` +
+          `p50 ${window.p50 ?? '-'} p95 ${window.p95 ?? '-'} p99 ${window.p99 ?? '-'}ms${errors ? ` (${errors})` : ''}`;
+      });
+      const latest = stats[0];
+      const color = latest.successRate === null || latest.successRate >= 95 ? chalk.green : latest.successRate >= 80 ? chalk.yellow : chalk.red;
+      console.log(color(`  📡 ${monitor.name}: ${parts.join(' | ')}`));
+
+      stats.forEach(window => {
+        records.push({ type: 'window', endpoint: monitor.name, timestamp: now.toISOString(), ...window });
+        rows.push([
+          now.toISOString(), monitor.name, window.windowMs / 1000, window.tests,
+          window.successRate !== null ? window.successRate.toFixed(2) : '',
+          window.p50 ?? '', window.p95 ?? '', window.p99 ?? '',
+          ...ERROR_TYPES.map(type => window.errors[type] || 0)
+        ]);
+      });
+    });
+
+    await this.appendJsonl(records);
+    await this.appendCsv(rows);
+  }
+
+  async run() {
+    await fs.ensureDir(this.exportDir);
+
+    console.log(chalk.cyan('🚀 Starting RPC Reliability Monitor (daemon)'));
+    console.log(chalk.cyan(`🎯 Endpoints: ${this.monitors.map(monitor => monitor.name).join(', ')}`));
+    console.log(chalk.cyan(`🔄 Interval: ${this.interval / 1000}s, windows: ${this.windows.map(formatWindow).join(', ')}`));
+    console.log(chalk.cyan(`💾 Exporting to: ${this.exportDir}`));
+    console.log(chalk.cyan('='.repeat(60)));
+
+    const startTime = Date.now();
+    let lastSummary = startTime;
+
+    while (!this.stopped && (!this.duration || Date.now() - startTime < this.duration)) {
+      try {
+        await this.runRound();
+        if (Date.now() - lastSummary >= this.summaryInterval) {
+          lastSummary = Date.now();
+          await this.summarize();
+        }
+      } catch (error) {
+        // An export failure must not end a days-long run
+        console.log(chalk.yellow(`⚠️  Monitor round failed: ${error.message}`));
+      }
+      await new Promise(resolve => setTimeout(resolve, this.interval));
+    }
+
+    await this.summarize();
+    this.monitors.forEach(monitor => monitor.provider.destroy());
+    console.log(chalk.cyan(`\n💾 Results in: ${path.dirname(this.exportPaths().jsonl)}`));
+  }
+
+  // Finish the current round, write a last summary and return from run()
+  stop() {
+    this.stopped = true;
+  }
+}
+
 // Network Quality Test
 async function testNetworkQuality() {
   console.log(chalk.blue('\n🌐 NETWORK QUALITY TEST'));
@@ -208,15 +443,16 @@ async function testNetworkQuality() {
   try {
     // Test DNS resolution speed
     const dnsStart = Date.now();
-    await require('dns').promises.lookup('subnets.avax.network');
+    const endpoint = getEndpoint(CONFIG.PRIMARY_RPC);
+    await require('dns').promises.lookup(new URL(endpoint.url).hostname);
     const dnsTime = Date.now() - dnsStart;
     console.log(chalk.green(`✅ DNS Resolution: ${dnsTime}ms`));
     
     // Test basic connectivity
     const pingStart = Date.now();
-    const response = await fetch('https://subnets.avax.network/btic/mainnet/rpc', {
+    const response = await fetch(endpoint.url, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...endpoint.headers },
       body: JSON.stringify({
         jsonrpc: '2.0',
         method: 'net_version',
@@ -237,22 +473,17 @@ async function testNetworkQuality() {
   }
 }
 
-// Comparison test with other RPC endpoints (if available)
+// Comparison test with the other registered endpoints for the network
 async function testAlternativeRPCs() {
   console.log(chalk.blue('\n🔄 ALTERNATIVE RPC TEST'));
   console.log(chalk.blue('='.repeat(40)));
   
-  // List of potential alternative RPCs for Blockticity L1
-  const alternativeRPCs = [
-    'https://rpc.btic.network',
-    'https://btic-mainnet.rpc.thirdweb.com',
-    'https://blockticity.rpc.quicknode.pro'
-  ];
+  const alternatives = endpointsForNetwork(CONFIG.NETWORK).filter(name => name !== CONFIG.PRIMARY_RPC);
   
-  for (const rpcUrl of alternativeRPCs) {
+  for (const name of alternatives) {
     try {
-      console.log(chalk.cyan(`Testing: ${rpcUrl}`));
-      const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, {
+      console.log(chalk.cyan(`Testing: ${name}`));
+      const provider = createProvider(getEndpoint(name), {
         timeout: 10000
       });
       
@@ -260,16 +491,76 @@ async function testAlternativeRPCs() {
       const blockNumber = await provider.getBlockNumber();
       const responseTime = Date.now() - start;
       
-      console.log(chalk.green(`✅ ${rpcUrl}: ${responseTime}ms (Block: ${blockNumber})`));
+      console.log(chalk.green(`✅ ${name}: ${responseTime}ms (Block: ${blockNumber})`));
       
     } catch (error) {
-      console.log(chalk.red(`❌ ${rpcUrl}: ${error.message.slice(0, 50)}...`));
+      console.log(chalk.red(`❌ ${name}: ${error.message.slice(0, 50)}...`));
     }
   }
 }
 
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Every registered endpoint of the network whose credentials are available
+function monitoredEndpoints(spec) {
+  if (spec) {
+    return resolveRpcEndpoints(spec, { network: CONFIG.NETWORK });
+  }
+
+  return endpointsForNetwork(CONFIG.NETWORK).flatMap(name => {
+    try {
+      return [getEndpoint(name)];
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Skipping RPC endpoint "${name}": ${error.message}`));
+      return [];
+    }
+  });
+}
+
 // Main execution
 async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log(chalk.blue('RPC endpoint reliability analysis\n'));
+    console.log('Usage:');
+    console.log('  node rpc_reliability_monitor.js                 5-minute test of RPC_PRIMARY plus a comparison');
+    console.log('  node rpc_reliability_monitor.js --daemon [--endpoints round-robin] [--interval 5000] [--duration ms] [--out dir]');
+    console.log('\nOptions:');
+    console.log(`  --daemon           Monitor every ${CONFIG.NETWORK} endpoint until stopped (Ctrl+C)`);
+    console.log('  --endpoints <set>  RPC set or comma-separated endpoint names (default: all registered)');
+    console.log(`  --interval <ms>    Time between test rounds (default: ${CONFIG.TEST_INTERVAL})`);
+    console.log('  --duration <ms>    Stop after this long (default: run until stopped)');
+    console.log(`  --out <dir>        JSONL and CSV export directory (default: ${CONFIG.EXPORT_DIR})`);
+    return;
+  }
+
+  if (args.includes('--daemon')) {
+    const endpoints = monitoredEndpoints(getArg(args, 'endpoints'));
+    if (endpoints.length === 0) {
+      throw new Error(`No usable RPC endpoint on ${CONFIG.NETWORK}`);
+    }
+
+    const daemon = new RPCMonitorDaemon({
+      endpoints,
+      interval: parseInt(getArg(args, 'interval')) || undefined,
+      duration: parseInt(getArg(args, 'duration')) || undefined,
+      exportDir: getArg(args, 'out')
+    });
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+      console.log(chalk.yellow(`\n🛑 ${signal} received, finishing the current round...`));
+      daemon.stop();
+    }));
+
+    await daemon.run();
+    return;
+  }
+
   console.log(chalk.cyan('🔍 RPC ENDPOINT RELIABILITY ANALYSIS'));
   console.log(chalk.cyan('='.repeat(60)));
   
@@ -290,4 +581,4 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
-module.exports = { RPCReliabilityMonitor };
\ No newline at end of file
+module.exports = { RPCReliabilityMonitor, RPCMonitorDaemon, classifyRpcError, percentile, testNetworkQuality, testAlternativeRPCs };
@@ -1,6 +1,14 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
 const chalk = require('chalk');
+const { resolveRpcEndpoints, endpointsForNetwork } = require('../lib/rpc-endpoints');
+const { ProviderPool } = require('../lib/provider-pool');
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
 
 async function verify() {
   console.log(chalk.blue('🔍 Verifying Blockticity LayerZero Contract Deployment...\n'));
@@ -8,9 +16,8 @@ async function verify() {
   // Determine network from environment variable or default to mainnet
   const network = process.env.NETWORK || 'mainnet';
   
-  const rpc = network === 'mainnet'
-    ? 'https://subnets.avax.network/btic/mainnet/rpc'
-    : 'https://subnets.avax.network/btest/testnet/rpc';
+  // Every endpoint of the network (or --rpc), failing over when one doesn't answer
+  const endpoints = resolveRpcEndpoints(getArg(process.argv, 'rpc') || endpointsForNetwork(network).join(','), { network, role: 'read' });
 
   const contract = network === 'mainnet'
     ? process.env.MAINNET_CONTRACT
@@ -19,7 +26,7 @@ async function verify() {
   const chainId = network === 'mainnet' ? '28530' : '75234';
 
   console.log(chalk.yellow(`Network: ${network}`));
-  console.log(chalk.yellow(`RPC: ${rpc}`));
+  console.log(chalk.yellow(`RPC: ${endpoints.map(endpoint => endpoint.name).join(', ')}`));
   console.log(chalk.yellow(`Contract: ${contract}`));
   console.log(chalk.yellow(`Chain ID: ${chainId}\n`));
 
@@ -30,12 +37,12 @@ async function verify() {
   }
 
   try {
-    const provider = new ethers.JsonRpcProvider(rpc);
+    const pool = new ProviderPool(endpoints, { timeout: 10000 });
     
     // Check network connection
     console.log(chalk.gray('Connecting to network...'));
-    const networkInfo = await provider.getNetwork();
-    console.log(chalk.green(`✅ Connected to chain ID: ${networkInfo.chainId}`));
+    const { result: networkInfo, rpcName, blockNumber } = await pool.read(provider => provider.getNetwork());
+    console.log(chalk.green(`✅ Connected to chain ID: ${networkInfo.chainId} via ${rpcName} at block ${blockNumber}`));
     
     if (networkInfo.chainId.toString() !== chainId) {
       console.warn(chalk.orange(`⚠️  Warning: Expected chain ID ${chainId}, got ${networkInfo.chainId}`));
@@ -43,7 +50,8 @@ async function verify() {
     
     // Check contract bytecode
     console.log(chalk.gray('Checking contract bytecode...'));
-    const bytecode = await provider.getCode(contract);
+    const { result: bytecode, rpcName: codeRpc, blockNumber: codeBlock } = await pool.read(provider => provider.getCode(contract));
+    console.log(chalk.gray(`   (${codeRpc} at block ${codeBlock})`));
 
     if (bytecode && bytecode.length > 4 && bytecode !== '0x') {
       console.log(chalk.green(`✅ Contract deployed successfully at ${contract}`));
@@ -52,7 +60,7 @@ async function verify() {
       
       // Try to get contract balance
       try {
-        const balance = await provider.getBalance(contract);
+        const { result: balance } = await pool.read(provider => provider.getBalance(contract));
         console.log(chalk.blue(`💰 Contract balance: ${ethers.formatEther(balance)} ETH`));
       } catch (balanceError) {
         console.log(chalk.gray('   Could not fetch contract balance'));
@@ -64,6 +72,7 @@ async function verify() {
       process.exit(1);
     }
     
+    pool.destroy();
   } catch (error) {
     console.error(chalk.red(`❌ Error verifying deployment:`));
     console.error(chalk.red(`   ${error.message}`));
@@ -84,6 +93,7 @@ if (process.argv.includes('--help') || process.argv.includes('-h')) {
   console.log('  node scripts/verifyDeployment.js           # Verify mainnet deployment');
   console.log('  node scripts/verifyDeployment.js --testnet # Verify testnet deployment');
   console.log('  node scripts/verifyDeployment.js -t        # Verify testnet deployment (short)');
+  console.log('  node scripts/verifyDeployment.js --rpc developer # Only query these endpoints');
   console.log('  node scripts/verifyDeployment.js --help    # Show this help');
   console.log('\nEnvironment variables:');
   console.log('  MAINNET_CONTRACT - Mainnet contract address');
@@ -3,8 +3,23 @@ const { ethers } = require('ethers');
 const pinataSDK = require('@pinata/sdk');
 const fs = require('fs-extra');
 const chalk = require('chalk');
+const { resolveRpcEndpoints } = require('./lib/rpc-endpoints');
+const { ProviderPool } = require('./lib/provider-pool');
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
 
 async function testConnection() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log('Usage: node test-connection.js [--rpc round-robin]');
+    console.log('  --rpc <set>   RPC endpoints to try; another takes over if one fails (default: RPC_URL, then RPC_SET or round-robin)');
+    return;
+  }
+
   console.log(chalk.cyan('🔍 Testing Connections...'));
   console.log(chalk.cyan('='.repeat(50)));
   
@@ -18,29 +33,37 @@ async function testConnection() {
   }
   
   // Test Blockchain
+  let pool = null;
   try {
-    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    // RPC_URL (unless --rpc is given) first, then the registry's endpoints as failover
+    const endpoints = resolveRpcEndpoints(getArg(args, 'rpc') || process.env.RPC_SET || 'round-robin', { role: 'read' });
+    if (process.env.RPC_URL && !getArg(args, 'rpc')) {
+      endpoints.unshift({ name: 'RPC_URL', url: process.env.RPC_URL });
+    }
+    pool = new ProviderPool(endpoints, { timeout: 10000 });
+    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
     
-    const network = await provider.getNetwork();
-    const balance = await provider.getBalance(wallet.address);
+    const { result: [network, balance], rpcName, blockNumber } = await pool.read(provider =>
+      Promise.all([provider.getNetwork(), provider.getBalance(wallet.address)]));
     
     console.log(chalk.green('✅ Blockchain connection successful'));
+    console.log(chalk.gray(`   RPC: ${rpcName} at block ${blockNumber}`));
     console.log(chalk.gray(`   Network: ${network.name} (Chain ID: ${network.chainId})`));
     console.log(chalk.gray(`   Wallet: ${wallet.address}`));
     console.log(chalk.gray(`   Balance: ${ethers.formatEther(balance)} BTIC`));
     
     // Test contract
-    const contract = new ethers.Contract(
+    const { result: owner } = await pool.read(provider => new ethers.Contract(
       process.env.CONTRACT_ADDRESS,
       ['function owner() public view returns (address)'],
       provider
-    );
-    const owner = await contract.owner();
+    ).owner());
     console.log(chalk.gray(`   Contract Owner: ${owner}`));
     
   } catch (error) {
     console.log(chalk.red('❌ Blockchain connection failed:'), error.message);
+  } finally {
+    if (pool) pool.destroy();
   }
   
   // Check files
@@ -1,12 +1,17 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
+const { resolveRpcEndpoints, createProvider } = require('./lib/rpc-endpoints');
+const { ProviderPool } = require('./lib/provider-pool');
+
+// Read "--name value" from the command line
+function getArg(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
 
 const CONFIG = {
   CONTRACT_ADDRESS: process.env.MAINNET_CONTRACT || process.env.CONTRACT_ADDRESS || '0x7D1955F814f25Ec2065C01B9bFc0AcC29B3f2926',
-  RPC_ENDPOINTS: [
-    'https://subnets.avax.network/btic/mainnet/rpc',
-    'https://mainnet-btic-wd732.avax.network/ext/bc/2pV5K35V1ohNSYhRU3z1Bud2oZys9bak7QYcmvbVvnieh4FJXc/rpc?token=90bd898ee2f77b6c45744ad57ae36724130c37e6478836c4cab1a50922d56dde'
-  ],
+  RPC_ENDPOINTS: resolveRpcEndpoints(getArg(process.argv.slice(2), 'rpc') || process.env.RPC_SET || 'round-robin', { network: 'mainnet' }),
   CONTRACT_ABI: [
     'function mintURI(address to, string uri) public',
     'function owner() public view returns (address)',
@@ -16,24 +21,32 @@ const CONFIG = {
 };
 
 async function testContractStatus() {
+  if (process.argv.includes('--help')) {
+    console.log('Usage: node test-contract-status.js [--rpc round-robin]');
+    console.log('  --rpc <set>   RPC endpoints to test (default: RPC_SET or round-robin)');
+    return;
+  }
+
   console.log('🔍 Testing contract status and RPC endpoints...\n');
   
   // Test both RPC endpoints
   for (let i = 0; i < CONFIG.RPC_ENDPOINTS.length; i++) {
-    const rpcUrl = CONFIG.RPC_ENDPOINTS[i];
-    const rpcName = rpcUrl.includes('subnets') ? 'Public RPC' : 'Developer RPC';
+    const endpoint = CONFIG.RPC_ENDPOINTS[i];
+    const rpcName = `${endpoint.name} RPC`;
     
     console.log(`📡 Testing ${rpcName}:`);
     
+    let provider = null;
     try {
-      const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, {
+      provider = createProvider(endpoint, {
         staticNetwork: true,
         timeout: 10000
       });
       
       // Test basic connectivity
       const network = await provider.getNetwork();
-      console.log(`  ✅ Connected to chainId: ${network.chainId}`);
+      const blockNumber = await provider.getBlockNumber();
+      console.log(`  ✅ Connected to chainId: ${network.chainId}, block ${blockNumber}`);
       
       // Test contract calls
       const contract = new ethers.Contract(CONFIG.CONTRACT_ADDRESS, CONFIG.CONTRACT_ABI, provider);
@@ -71,25 +84,32 @@ async function testContractStatus() {
       
     } catch (error) {
       console.log(`  ❌ RPC connection failed: ${error.message}`);
+    } finally {
+      if (provider) provider.destroy();
     }
     
     console.log('');
   }
   
-  // Test a simple transaction estimation
+  // Test a simple transaction estimation, on whichever endpoint answers
   console.log('🧪 Testing transaction estimation...');
+  let pool = null;
   try {
-    const provider = new ethers.JsonRpcProvider(CONFIG.RPC_ENDPOINTS[0]);
-    const wallet = new ethers.Wallet(process.env.SIGNER_KEY_0, provider);
-    const contract = new ethers.Contract(CONFIG.CONTRACT_ADDRESS, CONFIG.CONTRACT_ABI, wallet);
-    
+    pool = new ProviderPool(CONFIG.RPC_ENDPOINTS, { timeout: 10000 });
     const metadataUri = 'ipfs://QmRT8DUSsFLZrrhgyhcSwh8988xx1kKCuR5SLpDS2hWkDN';
-    const gasEstimate = await contract.mintURI.estimateGas(wallet.address, metadataUri);
-    console.log(`  ✅ Gas estimate for mintURI: ${gasEstimate.toString()}`);
+
+    const { result: gasEstimate, rpcName, blockNumber } = await pool.read(provider => {
+      const wallet = new ethers.Wallet(process.env.SIGNER_KEY_0, provider);
+      const contract = new ethers.Contract(CONFIG.CONTRACT_ADDRESS, CONFIG.CONTRACT_ABI, wallet);
+      return contract.mintURI.estimateGas(wallet.address, metadataUri);
+    });
+    console.log(`  ✅ Gas estimate for mintURI: ${gasEstimate.toString()} (${rpcName}, block ${blockNumber})`);
     
   } catch (error) {
     console.log(`  ❌ Gas estimation failed: ${error.message}`);
     console.log(`  🔍 Error details: ${JSON.stringify(error, null, 2)}`);
+  } finally {
+    if (pool) pool.destroy();
   }
 }
 
@@ -1,23 +1,21 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
+const { resolveRpcEndpoints, createProvider } = require('./lib/rpc-endpoints');
 
-const RPC_ENDPOINTS = [
-  'https://subnets.avax.network/btic/mainnet/rpc',
-  'https://mainnet-btic-wd732.avax.network/ext/bc/2pV5K35V1ohNSYhRU3z1Bud2oZys9bak7QYcmvbVvnieh4FJXc/rpc?token=90bd898ee2f77b6c45744ad57ae36724130c37e6478836c4cab1a50922d56dde'
-];
+const RPC_ENDPOINTS = resolveRpcEndpoints(process.env.RPC_SET || 'round-robin', { network: 'mainnet' });
 
 async function testRPCHealth() {
   console.log('🏥 Testing RPC Endpoint Health...\n');
   
   for (let i = 0; i < RPC_ENDPOINTS.length; i++) {
-    const rpcUrl = RPC_ENDPOINTS[i];
-    const rpcName = rpcUrl.includes('subnets') ? 'Public RPC' : 'Developer RPC';
+    const endpoint = RPC_ENDPOINTS[i];
+    const rpcName = `${endpoint.name} RPC`;
     
     console.log(`📡 Testing ${rpcName}:`);
-    console.log(`   URL: ${rpcUrl.slice(0, 50)}...`);
+    console.log(`   URL: ${endpoint.url.slice(0, 50)}...`);
     
     try {
-      const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, {
+      const provider = createProvider(endpoint, {
         staticNetwork: true,
         timeout: 10000
       });
@@ -52,7 +50,7 @@ async function testRPCHealth() {
   // Test contract interaction
   console.log('🔍 Testing Contract Interaction...');
   try {
-    const provider = new ethers.JsonRpcProvider(RPC_ENDPOINTS[0]);
+    const provider = createProvider(RPC_ENDPOINTS[0]);
     const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
     const contract = new ethers.Contract(
       process.env.CONTRACT_ADDRESS,
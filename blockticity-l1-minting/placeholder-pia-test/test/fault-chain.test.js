@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ethers } = require('ethers');
+
+/**
+ * Runs the minting engine against the fault-injecting local chain (lib/fault-chain.js) and
+ * checks that, however the faults land, every logical token is minted on chain exactly once.
+ *
+ * A scenario is run until nothing is left to mint, at most MAX_RUNS times, as an operator
+ * would restart an unfinished run. Then every mint on chain is counted by its token URI,
+ * which is unique per logical token here.
+ */
+
+const WORK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fault-chain-test-'));
+// Read when the first endpoint set is resolved, so it has to be set before that
+process.env.RPC_REGISTRY = path.join(WORK_DIR, 'registry.json');
+
+const { FaultInjectingChain, DEFAULT_CONTRACT_ADDRESS } = require('../lib/fault-chain');
+const { resolveRpcEndpoints } = require('../lib/rpc-endpoints');
+const { resolveProfile } = require('../lib/tuning-profiles');
+const { MintEngine } = require('../lib/mint-engine');
+
+// Test-only keys, funded on the local chain
+const SIGNER_KEYS = ['0x' + '11'.repeat(32), '0x' + '22'.repeat(32)];
+const TOKENS_PER_SCENARIO = 20;
+const MAX_RUNS = 3;
+const NO_FAULTS = { dropRate: 0, neverMineRate: 0 };
+
+// Short waits, so stuck transactions are replaced and cancelled within the test
+const PROFILE = resolveProfile('fast', {
+  BATCH_SIZE: 20,
+  REPLACE_AFTER: 1500,
+  TX_TIMEOUT: 3000,
+  RPC_TIMEOUT: 3000,
+  RETRY_DELAY: 200,
+  MAX_RETRY_DELAY: 500
+});
+
+const MINT_ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'function tokenURI(uint256 tokenId) view returns (string)'
+];
+
+let chain;
+
+class FaultTestEngine extends MintEngine {
+  constructor(options, faults) {
+    super(options);
+    this.faults = faults;
+  }
+
+  // A URI per token, so the mints on chain can be told apart
+  async buildMetadataUri(tokenId) {
+    return `ipfs://fault-test/${tokenId}`;
+  }
+
+  // Faults hit the minting and the check of what earlier runs left submitted, not startup
+  async initializeBlockchain() {
+    chain.setFaults(NO_FAULTS);
+    await super.initializeBlockchain();
+    chain.setFaults(this.faults);
+  }
+}
+
+// Mint a token range under `faults`, restarting the engine until nothing is left
+async function mintUnderFaults(name, startTokenId, faults) {
+  const options = {
+    name,
+    startTokenId,
+    endTokenId: startTokenId + TOKENS_PER_SCENARIO - 1,
+    logPath: path.join(WORK_DIR, `${name}_log.json`),
+    deadLetterPath: path.join(WORK_DIR, `${name}_dead_letter.json`),
+    contractAddress: DEFAULT_CONTRACT_ADDRESS,
+    signerKeys: SIGNER_KEYS,
+    rpcEndpoints: resolveRpcEndpoints('public'),
+    profile: PROFILE
+  };
+
+  let mintLog;
+  for (let run = 1; run <= MAX_RUNS; run++) {
+    mintLog = await new FaultTestEngine(options, faults).run();
+    process.removeAllListeners('SIGINT');
+    if (Object.values(mintLog.tokens).every(token => token.status === 'completed')) break;
+  }
+  chain.setFaults(NO_FAULTS);
+  return mintLog;
+}
+
+// Token URI -> hashes of the transactions that minted it
+async function mintsByUri() {
+  const provider = new ethers.JsonRpcProvider(chain.url(), undefined, { staticNetwork: true });
+  const contract = new ethers.Contract(DEFAULT_CONTRACT_ADDRESS, MINT_ABI, provider);
+
+  try {
+    const mints = new Map();
+    const events = await contract.queryFilter(contract.filters.Transfer(ethers.ZeroAddress), 0);
+    for (const event of events) {
+      const uri = await contract.tokenURI(event.args.tokenId);
+      mints.set(uri, [...(mints.get(uri) || []), event.transactionHash]);
+    }
+    return mints;
+  } finally {
+    provider.destroy();
+  }
+}
+
+function assertMintedOnce(mintLog, mints, startTokenId) {
+  for (let tokenId = startTokenId; tokenId < startTokenId + TOKENS_PER_SCENARIO; tokenId++) {
+    const hashes = mints.get(`ipfs://fault-test/${tokenId}`) || [];
+    const token = mintLog.tokens[tokenId];
+
+    assert.strictEqual(hashes.length, 1, `token ${tokenId} minted ${hashes.length} time(s) on chain`);
+    assert.strictEqual(token.status, 'completed', `token ${tokenId} is ${token.status} in the log`);
+    assert.strictEqual(token.txHash, hashes[0], `token ${tokenId} logs the transaction that minted it`);
+  }
+}
+
+// Several runs of progress output swamp the test runner's report; warnings and errors still show
+function quietProgress(t) {
+  t.mock.method(console, 'log', () => {});
+}
+
+before(async () => {
+  chain = new FaultInjectingChain(SIGNER_KEYS, { port: 0, blockTime: 1, seed: 7, contractAddress: DEFAULT_CONTRACT_ADDRESS });
+  await chain.start();
+  await chain.writeRegistry(process.env.RPC_REGISTRY);
+});
+
+after(async () => {
+  await chain.stop();
+  await fs.remove(WORK_DIR);
+});
+
+test('dropped responses do not mint a token twice', async (t) => {
+  quietProgress(t);
+  const mintLog = await mintUnderFaults('drops', 1, { dropRate: 0.15 });
+  assertMintedOnce(mintLog, await mintsByUri(), 1);
+  assert.ok(chain.stats().drop > 0, 'responses were dropped');
+});
+
+test('transactions that never mine are replaced without a second mint', async (t) => {
+  quietProgress(t);
+  const mintLog = await mintUnderFaults('never-mine', 101, { neverMineRate: 0.3, dropRate: 0.1 });
+  assertMintedOnce(mintLog, await mintsByUri(), 101);
+  assert.ok(chain.stats().neverMine > 0, 'transactions were discarded');
+});